@@ -23,6 +23,11 @@ service cloud.firestore {
       match /sessions/{sessionId} {
         allow read, write: if request.auth != null && request.auth.uid == userId;
       }
+
+      // Flashcard deck: one document per card, scheduled by the extension
+      match /flashcards/{cardId} {
+        allow read, write: if request.auth != null && request.auth.uid == userId;
+      }
     }
 
     // Deny everything else
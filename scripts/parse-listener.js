@@ -1,5 +1,15 @@
+// Local stand-in for the parse endpoint: logs every POST /api/parse.
+//
+// With --follow it instead tails the AI server's live event stream:
+//
+//   node scripts/parse-listener.js --follow [--types=parse,decision] [--uid=<uid>|*]
+//
+// STREAM_URL overrides the stream address and FOCUS_FLOW_API_KEY is sent as
+// X-Api-Key. The stream is resumed from the last event id after a disconnect.
+
 const fs = require("fs");
 const http = require("http");
+const https = require("https");
 const path = require("path");
 
 const PORT = Number(process.env.PORT || 3000);
@@ -8,6 +18,16 @@ const LOG_DIR = path.join(process.cwd(), "logs");
 const JSONL_FILE = path.join(LOG_DIR, "parse-events.jsonl");
 const MAX_IN_MEMORY_EVENTS = 50;
 
+const args = process.argv.slice(2);
+const FOLLOW = args.includes("--follow");
+const STREAM_URL = process.env.STREAM_URL || `http://${HOST}:${PORT}/events/stream`;
+const STREAM_API_KEY = process.env.FOCUS_FLOW_API_KEY || "";
+
+function readFlag(name) {
+  const arg = args.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
 const recentEvents = [];
 
 fs.mkdirSync(LOG_DIR, { recursive: true });
@@ -99,10 +119,103 @@ const server = http.createServer((req, res) => {
   sendJson(res, 404, { ok: false, error: "Not found" });
 });
 
-server.listen(PORT, HOST, () => {
-  console.log(`Focus Flow parse listener running at http://${HOST}:${PORT}`);
-  console.log(`POST endpoint: http://${HOST}:${PORT}/api/parse`);
-  console.log(`Recent events: http://${HOST}:${PORT}/events`);
-  console.log(`Health check: http://${HOST}:${PORT}/health`);
-  console.log(`Logging JSONL to: ${JSONL_FILE}`);
-});
+// ===== Follow Mode =====
+
+function printStreamEvent(type, raw) {
+  let event;
+  try {
+    event = JSON.parse(raw);
+  } catch {
+    event = { raw };
+  }
+  console.log(`\n=== Focus Flow ${type} event ===`);
+  console.log(JSON.stringify(event, null, 2));
+  console.log("=== End Event ===\n");
+}
+
+function followStream() {
+  const url = new URL(STREAM_URL);
+  const types = readFlag("types");
+  const uid = readFlag("uid");
+  if (types) url.searchParams.set("types", types);
+  if (uid) url.searchParams.set("uid", uid);
+
+  let lastEventId = null;
+  let retryMs = 3000;
+
+  function connect() {
+    const headers = { Accept: "text/event-stream" };
+    if (STREAM_API_KEY) headers["X-Api-Key"] = STREAM_API_KEY;
+    if (lastEventId) headers["Last-Event-ID"] = lastEventId;
+
+    // One reconnect per connection, whichever of end/close/error comes first
+    let retrying = false;
+    const retry = (message) => {
+      if (retrying) return;
+      retrying = true;
+      console.warn(`${message}, reconnecting in ${retryMs} ms...`);
+      setTimeout(connect, retryMs);
+    };
+
+    const client = url.protocol === "https:" ? https : http;
+    const req = client.get(url, { headers }, (res) => {
+      if (res.statusCode !== 200) {
+        let body = "";
+        res.on("data", (chunk) => {
+          body += chunk;
+        });
+        res.on("end", () => {
+          console.error(`Stream refused (${res.statusCode}): ${body.trim()}`);
+          // Bad credentials or filters won't fix themselves
+          if (res.statusCode >= 400 && res.statusCode < 500) process.exit(1);
+          retry("Server error");
+        });
+        return;
+      }
+
+      console.log(`Following ${url.toString()}`);
+      res.setEncoding("utf8");
+      let buffer = "";
+      res.on("data", (chunk) => {
+        buffer += chunk.replace(/\r\n/g, "\n");
+        let end;
+        while ((end = buffer.indexOf("\n\n")) >= 0) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+
+          let type = "message";
+          const data = [];
+          block.split("\n").forEach((line) => {
+            if (!line || line.startsWith(":")) return;
+            const colon = line.indexOf(":");
+            const field = colon >= 0 ? line.slice(0, colon) : line;
+            const value = colon >= 0 ? line.slice(colon + 1).replace(/^ /, "") : "";
+            if (field === "id") lastEventId = value;
+            else if (field === "event") type = value;
+            else if (field === "data") data.push(value);
+            else if (field === "retry" && Number(value) > 0) retryMs = Number(value);
+          });
+          if (data.length) printStreamEvent(type, data.join("\n"));
+        }
+      });
+      res.on("error", (error) => retry(`Stream error: ${error.message}`));
+      res.on("close", () => retry("Stream closed"));
+    });
+
+    req.on("error", (error) => retry(`Stream error: ${error.message}`));
+  }
+
+  connect();
+}
+
+if (FOLLOW) {
+  followStream();
+} else {
+  server.listen(PORT, HOST, () => {
+    console.log(`Focus Flow parse listener running at http://${HOST}:${PORT}`);
+    console.log(`POST endpoint: http://${HOST}:${PORT}/api/parse`);
+    console.log(`Recent events: http://${HOST}:${PORT}/events`);
+    console.log(`Health check: http://${HOST}:${PORT}/health`);
+    console.log(`Logging JSONL to: ${JSONL_FILE}`);
+  });
+}
@@ -0,0 +1,169 @@
+// Replay recorded payloads through the /api/ai/analyze pipeline and compare
+// runs, e.g. before and after a prompt change.
+//
+//   npm run replay:decisions -- [--log logs/parse-events.jsonl] [--provider template]
+//                               [--scorer llm|classifier] [--label name] [--limit 200]
+//                               [--out logs/replays/name.json] [--baseline run.json] [--json diff.json]
+//   npm run replay:decisions -- --compare base.json candidate.json [--json diff.json]
+//
+// --provider sets LLM_PROVIDERS for the run (any registry name, including
+// "local" and the offline "template"). Payloads are replayed per user on
+// their recorded clock, so cooldowns apply as they did live. Storage is
+// in-memory: the log being replayed is never written to.
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+function readArgs(argv) {
+  const args = {
+    log: path.join(process.cwd(), "logs", "parse-events.jsonl"),
+    provider: null,
+    scorer: "llm",
+    label: null,
+    limit: Infinity,
+    out: null,
+    baseline: null,
+    json: null,
+    compare: null,
+  };
+
+  for (let i = 0; i < argv.length; i += 2) {
+    const value = argv[i + 1];
+    if (argv[i] === "--log") args.log = path.resolve(value);
+    else if (argv[i] === "--provider") args.provider = value;
+    else if (argv[i] === "--scorer") args.scorer = value;
+    else if (argv[i] === "--label") args.label = value;
+    else if (argv[i] === "--limit") args.limit = Number(value);
+    else if (argv[i] === "--out") args.out = path.resolve(value);
+    else if (argv[i] === "--baseline") args.baseline = path.resolve(value);
+    else if (argv[i] === "--json") args.json = path.resolve(value);
+    else if (argv[i] === "--compare") {
+      args.compare = [path.resolve(value), path.resolve(argv[i + 2] || "")];
+      i += 1;
+    } else throw new Error(`Unknown option ${argv[i]}`);
+  }
+  return args;
+}
+
+async function readReplayableRecords(file, limit, isReplayableRecord) {
+  const records = [];
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file, { encoding: "utf8" }),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      // Skip truncated or hand-edited lines
+      continue;
+    }
+    if (isReplayableRecord(record)) records.push(record);
+    if (records.length >= limit) break;
+  }
+  lines.close();
+  return records;
+}
+
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`, "utf8");
+}
+
+function readRun(file) {
+  const run = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(run.results)) throw new Error(`${file} is not a replay run`);
+  return run;
+}
+
+async function replay(args) {
+  if (!fs.existsSync(args.log)) {
+    throw new Error(`No log at ${args.log}. Run the server and a few sessions first.`);
+  }
+
+  // Must be set before the server module reads its config
+  process.env.STORAGE_DRIVER = "memory";
+  process.env.DECISION_SCORER = args.scorer;
+  if (args.provider) process.env.LLM_PROVIDERS = args.provider;
+  // Recorded payloads replay far faster than they arrived; without this the
+  // per-minute limits would swap LLM output for templates partway through
+  const limitVars = [
+    "LLM_USER_CALLS_PER_MINUTE",
+    "LLM_GLOBAL_CALLS_PER_MINUTE",
+    "LLM_USER_DAILY_CALLS",
+    "LLM_USER_DAILY_TOKENS",
+    "LLM_GLOBAL_DAILY_TOKENS",
+  ];
+  limitVars.forEach((name) => {
+    process.env[name] = "0";
+  });
+  // Each payload should get freshly generated content from the run's prompts
+  process.env.CONTENT_CACHE_MAX_ENTRIES = "0";
+
+  const { analyzePayload, saveRecentContext } = require("../server/index");
+  const { isReplayableRecord, replayResult, summarizeRun } = require("../server/replay");
+
+  const records = await readReplayableRecords(args.log, args.limit, isReplayableRecord);
+  const label = args.label || args.provider || "default";
+  console.log(`Replaying ${records.length} payloads from ${path.basename(args.log)} (${label})`);
+
+  const results = [];
+  for (const [index, record] of records.entries()) {
+    const uid = record.uid || "anon";
+    const now = Date.parse(record.received_at) || Date.now();
+    // Live, /api/parse stores the batch before the same batch is analyzed
+    saveRecentContext(uid, record.payload);
+    results.push(replayResult(record, index, await analyzePayload(uid, record.payload, { now })));
+    if ((index + 1) % 25 === 0) console.log(`  ${index + 1}/${records.length}`);
+  }
+
+  return {
+    label,
+    provider: args.provider || process.env.LLM_PROVIDERS || null,
+    scorer: args.scorer,
+    log: args.log,
+    created_at: new Date().toISOString(),
+    summary: summarizeRun(results),
+    results,
+  };
+}
+
+function report(base, candidate, jsonFile) {
+  const { diffRuns, formatDiffReport } = require("../server/replay");
+  const diff = diffRuns(base, candidate);
+  console.log(`\n${formatDiffReport(diff)}`);
+  if (jsonFile) {
+    writeJson(jsonFile, diff);
+    console.log(`\nDiff JSON: ${jsonFile}`);
+  }
+}
+
+async function main() {
+  const args = readArgs(process.argv.slice(2));
+
+  if (args.compare) {
+    report(readRun(args.compare[0]), readRun(args.compare[1]), args.json);
+    return;
+  }
+
+  const run = await replay(args);
+  const out =
+    args.out ||
+    path.join(process.cwd(), "logs", "replays", `${run.label}-${run.created_at.replace(/[:.]/g, "-")}.json`);
+  writeJson(out, run);
+
+  const { formatRunSummary } = require("../server/replay");
+  console.log(`\n${formatRunSummary(run)}`);
+  console.log(`\nRun JSON: ${out}`);
+
+  if (args.baseline) report(readRun(args.baseline), run, args.json);
+}
+
+main().catch((error) => {
+  console.error(`Replay failed: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,87 @@
+// Train the local focus classifier from the server's JSONL log.
+//
+//   npm run train:classifier -- [--log logs/parse-events.jsonl] [--out models/focus-classifier]
+//                                [--min-samples 20] [--epochs 800]
+//
+// Writes a new versioned model and points current.json at it. The running
+// server picks it up on restart.
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const {
+  createSampleCollector,
+  trainLogisticRegression,
+  createModelVersion,
+  saveModel,
+} = require("../server/classifier");
+
+function readArgs(argv) {
+  const args = {
+    log: path.join(process.cwd(), "logs", "parse-events.jsonl"),
+    out: path.join(process.cwd(), "models", "focus-classifier"),
+    minSamples: 20,
+    epochs: 800,
+  };
+
+  for (let i = 0; i < argv.length; i += 2) {
+    const value = argv[i + 1];
+    if (argv[i] === "--log") args.log = path.resolve(value);
+    else if (argv[i] === "--out") args.out = path.resolve(value);
+    else if (argv[i] === "--min-samples") args.minSamples = Number(value);
+    else if (argv[i] === "--epochs") args.epochs = Number(value);
+    else throw new Error(`Unknown option ${argv[i]}`);
+  }
+  return args;
+}
+
+async function collectSamples(file) {
+  const collector = createSampleCollector();
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file, { encoding: "utf8" }),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      collector.add(JSON.parse(line));
+    } catch {
+      // Skip truncated or hand-edited lines
+    }
+  }
+  return collector.samples();
+}
+
+async function main() {
+  const args = readArgs(process.argv.slice(2));
+  if (!fs.existsSync(args.log)) {
+    throw new Error(`No log at ${args.log}. Run the server and a few sessions first.`);
+  }
+
+  const samples = await collectSamples(args.log);
+  const positives = samples.filter((s) => s.y === 1).length;
+  console.log(`Labeled samples: ${samples.length} (${positives} distracted, ${samples.length - positives} focused)`);
+
+  if (samples.length < args.minSamples || positives === 0 || positives === samples.length) {
+    throw new Error(
+      `Need at least ${args.minSamples} labeled samples covering both classes; keep the previous model.`
+    );
+  }
+
+  const model = {
+    version: createModelVersion(),
+    created_at: new Date().toISOString(),
+    source_log: path.basename(args.log),
+    ...trainLogisticRegression(samples, { epochs: args.epochs }),
+  };
+  saveModel(args.out, model);
+
+  console.log(`Model ${model.version}: accuracy ${model.training.accuracy}, log loss ${model.training.log_loss}`);
+  console.log(`Saved to ${path.join(args.out, `${model.version}.json`)}`);
+}
+
+main().catch((error) => {
+  console.error(`Training failed: ${error.message}`);
+  process.exit(1);
+});
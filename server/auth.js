@@ -0,0 +1,153 @@
+// ===== Focus Flow - AI Server Auth =====
+// Requests must carry one of:
+//
+//   Authorization: Bearer <Firebase ID token>   signed-in extension users
+//   X-Api-Key: <key>                            keys listed in API_KEYS
+//
+// Firebase ID tokens are verified locally against Google's published
+// signing certificates (RS256, issuer/audience bound to the project).
+// API_KEYS is a comma-separated list of `key` or `key:uid` entries; keys
+// without a uid act as the "local" user.
+
+const crypto = require("crypto");
+
+const FIREBASE_CERTS_URL =
+  "https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com";
+const DEFAULT_CERT_TTL_MS = 60 * 60 * 1000;
+const CLOCK_SKEW_SECONDS = 300;
+
+const certCache = {
+  certs: null,
+  expiresAt: 0,
+};
+
+function parseApiKeys(raw) {
+  const keys = new Map();
+  String(raw || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [key, uid] = entry.split(":");
+      if (key) keys.set(key, (uid || "").trim() || "local");
+    });
+  return keys;
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+async function getFirebaseCerts() {
+  if (certCache.certs && Date.now() < certCache.expiresAt) return certCache.certs;
+
+  const response = await fetch(FIREBASE_CERTS_URL);
+  if (!response.ok) throw new Error(`cert fetch failed: ${response.status}`);
+
+  const maxAge = /max-age=(\d+)/.exec(response.headers.get("cache-control") || "");
+  certCache.certs = await response.json();
+  certCache.expiresAt = Date.now() + (maxAge ? Number(maxAge[1]) * 1000 : DEFAULT_CERT_TTL_MS);
+  return certCache.certs;
+}
+
+/**
+ * Verify a Firebase ID token and return its uid.
+ * Throws with a short reason when the token is not valid for `projectId`.
+ */
+async function verifyFirebaseIdToken(token, projectId) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) throw new Error("malformed token");
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+  } catch {
+    throw new Error("malformed token");
+  }
+
+  if (header.alg !== "RS256") throw new Error("unexpected algorithm");
+
+  const certs = await getFirebaseCerts();
+  const cert = certs[header.kid];
+  if (!cert) throw new Error("unknown signing key");
+
+  const signed = Buffer.from(`${parts[0]}.${parts[1]}`, "utf8");
+  const signature = Buffer.from(parts[2], "base64url");
+  if (!crypto.verify("RSA-SHA256", signed, crypto.createPublicKey(cert), signature)) {
+    throw new Error("bad signature");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.aud !== projectId) throw new Error("wrong audience");
+  if (claims.iss !== `https://securetoken.google.com/${projectId}`) throw new Error("wrong issuer");
+  if (!claims.exp || claims.exp < now - CLOCK_SKEW_SECONDS) throw new Error("token expired");
+  if (claims.iat && claims.iat > now + CLOCK_SKEW_SECONDS) throw new Error("token issued in the future");
+  if (!claims.sub || typeof claims.sub !== "string") throw new Error("missing subject");
+
+  return claims.sub;
+}
+
+/**
+ * Express middleware that sets `req.user = { uid, method }` or answers 401.
+ */
+function createAuthMiddleware({ projectId, apiKeys }) {
+  const keys = parseApiKeys(apiKeys);
+
+  return async (req, res, next) => {
+    const apiKey = req.get("x-api-key");
+    if (apiKey) {
+      const uid = keys.get(apiKey);
+      if (!uid) {
+        res.status(401).json({ ok: false, error: "invalid_api_key" });
+        return;
+      }
+      req.user = { uid, method: "api_key" };
+      next();
+      return;
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+    if (!match) {
+      res.status(401).json({ ok: false, error: "missing_credentials" });
+      return;
+    }
+
+    if (!projectId) {
+      res.status(401).json({ ok: false, error: "firebase_auth_not_configured" });
+      return;
+    }
+
+    try {
+      const uid = await verifyFirebaseIdToken(match[1], projectId);
+      req.user = { uid, method: "firebase" };
+      next();
+    } catch (error) {
+      res.status(401).json({ ok: false, error: "invalid_token", reason: error.message });
+    }
+  };
+}
+
+/**
+ * CORS origin check: the extension itself, requests without an Origin
+ * (curl, scripts) and any origins listed in CORS_ORIGINS.
+ */
+function createOriginCheck(rawOrigins) {
+  const allowed = new Set(
+    String(rawOrigins || "")
+      .split(",")
+      .map((origin) => origin.trim())
+      .filter(Boolean)
+  );
+
+  return (origin, callback) => {
+    callback(null, !origin || origin.startsWith("chrome-extension://") || allowed.has(origin));
+  };
+}
+
+module.exports = {
+  createAuthMiddleware,
+  createOriginCheck,
+  verifyFirebaseIdToken,
+};
@@ -0,0 +1,280 @@
+// ===== Focus Flow - Local Focus Classifier =====
+// Logistic regression over the behavioral features in `summarizeForModel`,
+// trained from intervention outcomes in logs/parse-events.jsonl by
+// scripts/train-classifier.js. Scores P(distracted) for /api/ai/analyze so
+// the LLM is only needed to write flashcards and mascot scripts.
+//
+// Models are versioned JSON files in the model directory:
+//   <dir>/<version>.json   weights, normalization and training stats
+//   <dir>/current.json     { "version": "..." } — the model the server loads
+
+const fs = require("fs");
+const path = require("path");
+const { summarizeForModel, computeTopicRelevance } = require("./features");
+
+const CATEGORIES = ["education", "entertainment", "social", "productivity", "unknown"];
+
+const NUMERIC_FEATURES = [
+  ["inactivity_log", (s) => Math.log1p(s.inactivity_seconds || 0)],
+  ["mouse_score", (s) => s.mouse_score || 0],
+  ["scroll_speed_log", (s) => Math.log1p(s.scroll_speed_px_per_sec || 0)],
+  ["clicks_per_minute_log", (s) => Math.log1p(s.clicks_per_minute || 0)],
+  ["relevance_score", (_s, profile) => profile.relevance_score || 0],
+  ["tab_switches_log", (s) => Math.log1p(s.tab_switches || 0)],
+  ["is_allowed", (s) => (s.is_allowed ? 1 : 0)],
+  ["is_relevant", (s) => (s.is_relevant_to_topic === null ? 0.5 : s.is_relevant_to_topic ? 1 : 0)],
+];
+
+const FEATURE_NAMES = [
+  ...NUMERIC_FEATURES.map(([name]) => name),
+  ...CATEGORIES.map((c) => `category_${c}`),
+];
+
+// Telemetry items ride along in parse batches; they are outcomes, not signals
+const TELEMETRY_TYPE = "ai_intervention_event";
+// An outcome only labels a snapshot taken shortly before it
+const LABEL_WINDOW_MS = 5 * 60 * 1000;
+// Feedback outcomes as labels; "returned" only times a devil choice
+const FEEDBACK_LABELS = { correct: 0, incorrect: 0, dismissed: 1, angel: 1, devil: 1, exception: 0 };
+
+function extractFeatures(payload) {
+  const summary = summarizeForModel(payload);
+  const profile = computeTopicRelevance(summary);
+  const category = CATEGORIES.includes(summary.category) ? summary.category : "unknown";
+
+  return [
+    ...NUMERIC_FEATURES.map(([, fn]) => Number(fn(summary, profile)) || 0),
+    ...CATEGORIES.map((c) => (c === category ? 1 : 0)),
+  ];
+}
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+// ===== Training =====
+
+/**
+ * Fit a class-weighted, L2-regularized logistic regression with batch
+ * gradient descent. `samples` is `[{ x: number[], y: 0|1 }]`.
+ */
+function trainLogisticRegression(samples, { epochs = 800, learningRate = 0.2, l2 = 0.01 } = {}) {
+  const dims = FEATURE_NAMES.length;
+  const n = samples.length;
+
+  const means = new Array(dims).fill(0);
+  const stds = new Array(dims).fill(0);
+  samples.forEach(({ x }) => x.forEach((v, i) => { means[i] += v / n; }));
+  samples.forEach(({ x }) => x.forEach((v, i) => { stds[i] += (v - means[i]) ** 2 / n; }));
+  for (let i = 0; i < dims; i += 1) stds[i] = Math.sqrt(stds[i]) || 1;
+
+  const rows = samples.map(({ x, y }) => ({ x: x.map((v, i) => (v - means[i]) / stds[i]), y }));
+  const positives = rows.filter((r) => r.y === 1).length;
+  // Balance classes so a skewed log doesn't collapse to one answer
+  const weightFor = (y) => (y === 1 ? n / (2 * Math.max(1, positives)) : n / (2 * Math.max(1, n - positives)));
+
+  const weights = new Array(dims).fill(0);
+  let bias = 0;
+
+  for (let epoch = 0; epoch < epochs; epoch += 1) {
+    const grad = new Array(dims).fill(0);
+    let gradBias = 0;
+
+    rows.forEach(({ x, y }) => {
+      const p = sigmoid(bias + x.reduce((sum, v, i) => sum + v * weights[i], 0));
+      const err = (p - y) * weightFor(y);
+      x.forEach((v, i) => { grad[i] += err * v; });
+      gradBias += err;
+    });
+
+    for (let i = 0; i < dims; i += 1) {
+      weights[i] -= learningRate * (grad[i] / n + l2 * weights[i]);
+    }
+    bias -= learningRate * (gradBias / n);
+  }
+
+  const model = { features: FEATURE_NAMES, means, stds, weights, bias };
+  let correct = 0;
+  let logLoss = 0;
+  samples.forEach(({ x, y }) => {
+    const p = Math.min(1 - 1e-9, Math.max(1e-9, scoreFeatures(model, x)));
+    if ((p >= 0.5 ? 1 : 0) === y) correct += 1;
+    logLoss -= y * Math.log(p) + (1 - y) * Math.log(1 - p);
+  });
+
+  return {
+    ...model,
+    training: {
+      samples: n,
+      positives,
+      accuracy: Number((correct / n).toFixed(3)),
+      log_loss: Number((logLoss / n).toFixed(4)),
+      epochs,
+      learning_rate: learningRate,
+      l2,
+    },
+  };
+}
+
+/**
+ * Streams log records into labeled samples. Call `add(record)` for each
+ * parsed JSONL line in file order, then read `samples()`.
+ *
+ * Labels come only from what the user did after an intervention that
+ * followed a snapshot, never from the intervention itself (that would train
+ * the model on its own earlier decisions):
+ *   flashcard_continue answered=true   0 (engaged with the topic)
+ *   flashcard_continue answered=false  1 (dismissed without answering)
+ *
+ * and from /api/ai/feedback outcomes, matched through the decision record:
+ *   correct / incorrect                0
+ *   dismissed / angel / devil          1
+ */
+function createSampleCollector() {
+  const samples = [];
+  const lastSnapshot = new Map();
+  const pendingFlashcard = new Map();
+  const decisionSnapshot = new Map();
+
+  function label(snapshot, y, at) {
+    if (!snapshot || snapshot.labeled || at - snapshot.at > LABEL_WINDOW_MS) return;
+    snapshot.labeled = true;
+    samples.push({ x: snapshot.x, y });
+  }
+
+  function handleTelemetry(key, item, at) {
+    if (item.event_type === "flashcard_shown") {
+      pendingFlashcard.set(key, lastSnapshot.get(key));
+    } else if (item.event_type === "flashcard_continue") {
+      label(pendingFlashcard.get(key), item.answered ? 0 : 1, at);
+      pendingFlashcard.delete(key);
+    }
+  }
+
+  function handleStateRecord(record) {
+    if (record.kind === "decision" && record.decision) {
+      const { id, uid, study_topic: topic } = record.decision;
+      decisionSnapshot.set(id, lastSnapshot.get(`${uid || "anon"}::${topic || "untitled"}`));
+    } else if (record.kind === "outcome" && record.outcome) {
+      const { decision_id: id, outcome, at } = record.outcome;
+      const y = FEEDBACK_LABELS[outcome];
+      if (y === undefined) return;
+      label(decisionSnapshot.get(id), y, at);
+      decisionSnapshot.delete(id);
+    }
+  }
+
+  return {
+    add(record) {
+      if (record && record.kind) {
+        handleStateRecord(record);
+        return;
+      }
+      const payload = record ? record.payload : null;
+      if (!payload || !Array.isArray(payload.events)) return;
+
+      const key = `${record.uid || "anon"}::${payload.study_topic || "untitled"}`;
+      const at = Date.parse(record.received_at) || 0;
+      const telemetry = payload.events.filter((e) => e && e.type === TELEMETRY_TYPE);
+      const signals = payload.events.filter((e) => e && e.type !== TELEMETRY_TYPE);
+
+      // Outcomes in this batch refer to decisions made from earlier snapshots
+      telemetry.forEach((item) => handleTelemetry(key, item, item.timestamp || at));
+
+      if (signals.length) {
+        lastSnapshot.set(key, { x: extractFeatures({ ...payload, events: signals }), at, labeled: false });
+      }
+    },
+
+    samples() {
+      return samples;
+    },
+  };
+}
+
+// ===== Scoring =====
+
+function scoreFeatures(model, x) {
+  const z = x.reduce(
+    (sum, v, i) => sum + ((v - model.means[i]) / model.stds[i]) * model.weights[i],
+    model.bias
+  );
+  return sigmoid(z);
+}
+
+/**
+ * Decision in the `sanitizeDecision` shape, from P(distracted).
+ * Content (flashcard / mascot script) is filled in later by the LLM.
+ */
+function classifyDecision(model, payload) {
+  const x = extractFeatures(payload);
+  const p = scoreFeatures(model, x);
+
+  const status =
+    p >= 0.8 ? "severe_distraction" : p >= 0.55 ? "distracted" : p >= 0.35 ? "mild_distraction" : "focused";
+  const intervention =
+    status === "severe_distraction" ? "mascot_chat" : status === "distracted" ? "flashcard" : "none";
+
+  // Strongest pushes toward "distracted", for debugging decisions
+  const drivers = model.features
+    .map((name, i) => ({ name, push: ((x[i] - model.means[i]) / model.stds[i]) * model.weights[i] }))
+    .filter((d) => d.push > 0.25)
+    .sort((a, b) => b.push - a.push)
+    .slice(0, 2)
+    .map((d) => `feature_${d.name}`);
+
+  return {
+    status,
+    confidence: Number((status === "focused" ? 1 - p : p).toFixed(3)),
+    intervention,
+    cooldown_seconds: 90,
+    reason_codes: ["local_classifier", `model_${model.version}`, ...drivers],
+    flashcard: null,
+    mascot_script: null,
+  };
+}
+
+// ===== Model Files =====
+
+function createModelVersion(now = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `fc-${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+}
+
+function saveModel(dir, model) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${model.version}.json`), `${JSON.stringify(model, null, 2)}\n`, "utf8");
+  fs.writeFileSync(path.join(dir, "current.json"), `${JSON.stringify({ version: model.version }, null, 2)}\n`, "utf8");
+}
+
+/**
+ * Load a model by version, or the one named in current.json.
+ * Returns null when no model has been trained yet.
+ */
+function loadModel(dir, version = null) {
+  const pointer = path.join(dir, "current.json");
+  if (!version) {
+    if (!fs.existsSync(pointer)) return null;
+    version = JSON.parse(fs.readFileSync(pointer, "utf8")).version;
+  }
+
+  const file = path.join(dir, `${version}.json`);
+  if (!fs.existsSync(file)) return null;
+
+  const model = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (JSON.stringify(model.features) !== JSON.stringify(FEATURE_NAMES)) {
+    throw new Error(`model ${version} was trained on a different feature set; retrain it`);
+  }
+  return model;
+}
+
+module.exports = {
+  FEATURE_NAMES,
+  extractFeatures,
+  trainLogisticRegression,
+  createSampleCollector,
+  classifyDecision,
+  createModelVersion,
+  saveModel,
+  loadModel,
+};
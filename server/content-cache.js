@@ -0,0 +1,160 @@
+// ===== Focus Flow - Generated Content Cache =====
+// Flashcards and mascot scripts that a network LLM wrote and that passed their
+// quality checks, kept so the next intervention on the same page and topic
+// doesn't regenerate them (template answers are cheap and never cached):
+//
+//   key   kind | topic | domain | content hash [| uid]
+//   pool  up to `poolSize` items per key, newest last, each with a TTL
+//
+// The topic part is the topic family from inferTopicFamily, or the study
+// topic's own terms when the family is "general". Pages are shared across
+// users (the content hash pins them to identical text) except social and
+// productivity pages, which are personal and keyed per user.
+//
+// Items shown in a session (uid + study topic) aren't served to it again, so
+// a pool whose items the session has all seen is a miss and gets a new item.
+
+const crypto = require("crypto");
+const { tokenize } = require("./features");
+
+const CACHE_KINDS = ["flashcard", "mascot_script"];
+const DEFAULT_TTL_MS = {
+  flashcard: 24 * 60 * 60 * 1000,
+  mascot_script: 2 * 60 * 60 * 1000,
+};
+const SEEN_TTL_MS = 12 * 60 * 60 * 1000;
+const PRIVATE_CATEGORIES = new Set(["social", "productivity"]);
+
+function hashText(text) {
+  return crypto.createHash("sha1").update(String(text)).digest("hex").slice(0, 16);
+}
+
+function latestEvent(payload) {
+  const events = Array.isArray(payload?.events) ? payload.events : [];
+  return events[events.length - 1] || {};
+}
+
+/**
+ * Cache key for `kind` content about the page in `payload`. `input` and
+ * `profile` are the summarizeForModel / computeTopicRelevance results.
+ */
+function contentKey(kind, { payload, input, profile, uid }) {
+  const event = latestEvent(payload);
+  const topic =
+    profile.topic_family === "general" ? `general:${tokenize(input.study_topic).sort().join("+")}` : profile.topic_family;
+  // Older builds don't send content_hash; hash the same page fields instead
+  const contentHash =
+    event.content_hash ||
+    hashText([input.page_title, ...(input.content?.headings || []), input.content?.summary || ""].join("|"));
+  const parts = [kind, topic, input.domain || "unknown", contentHash];
+  if (PRIVATE_CATEGORIES.has(event.category || input.category)) parts.push(uid);
+  return parts.join("|");
+}
+
+function emptyStats() {
+  return { hits: 0, misses: 0, cross_user_hits: 0, stores: 0, expired: 0, evicted: 0 };
+}
+
+function createContentCache({ maxEntries = 500, poolSize = 4, ttlMs = {} } = {}) {
+  const ttl = { ...DEFAULT_TTL_MS, ...ttlMs };
+  // Map keeps insertion order, so the first key is the least recently stored
+  const entries = new Map();
+  const seen = new Map();
+  const stats = Object.fromEntries(CACHE_KINDS.map((kind) => [kind, emptyStats()]));
+
+  const viewerKey = ({ uid, topic }) => `${uid}::${String(topic || "").toLowerCase()}`;
+  const kindOf = (key) => key.slice(0, key.indexOf("|"));
+
+  function seenBy(viewer, now) {
+    const key = viewerKey(viewer);
+    const record = seen.get(key);
+    if (!record || now - record.at > SEEN_TTL_MS) {
+      const fresh = { at: now, ids: new Set() };
+      seen.set(key, fresh);
+      return fresh;
+    }
+    return record;
+  }
+
+  function livePool(key, now) {
+    const pool = entries.get(key);
+    if (!pool) return [];
+    const live = pool.filter((item) => item.expiresAt > now);
+    stats[kindOf(key)].expired += pool.length - live.length;
+    if (live.length) entries.set(key, live);
+    else entries.delete(key);
+    return live;
+  }
+
+  return {
+    enabled: maxEntries > 0,
+
+    /**
+     * An item under `key` this viewer hasn't been shown, or null.
+     */
+    lookup(key, viewer, now = Date.now()) {
+      if (!this.enabled) return null;
+      const { ids } = seenBy(viewer, now);
+      const item = livePool(key, now).find((candidate) => !ids.has(candidate.id));
+      const kindStats = stats[kindOf(key)];
+      if (!item) {
+        kindStats.misses += 1;
+        return null;
+      }
+      kindStats.hits += 1;
+      if (item.uid !== viewer.uid) kindStats.cross_user_hits += 1;
+      return item.content;
+    },
+
+    store(key, content, viewer, now = Date.now()) {
+      if (!this.enabled) return;
+      const kind = kindOf(key);
+      const id = hashText(JSON.stringify(content));
+      const pool = livePool(key, now).filter((item) => item.id !== id);
+      pool.push({ id, content, uid: viewer.uid, expiresAt: now + (ttl[kind] || DEFAULT_TTL_MS.flashcard) });
+      if (pool.length > poolSize) pool.splice(0, pool.length - poolSize);
+
+      entries.delete(key);
+      entries.set(key, pool);
+      stats[kind].stores += 1;
+      while (entries.size > maxEntries) {
+        const oldest = entries.keys().next().value;
+        entries.delete(oldest);
+        stats[kindOf(oldest)].evicted += 1;
+      }
+    },
+
+    /**
+     * Record that the viewer was shown `content`, so lookups skip it.
+     */
+    markSeen(content, viewer, now = Date.now()) {
+      if (!this.enabled) return;
+      const record = seenBy(viewer, now);
+      record.ids.add(hashText(JSON.stringify(content)));
+      record.at = now;
+      if (seen.size > maxEntries * 4) {
+        seen.forEach((other, key) => {
+          if (now - other.at > SEEN_TTL_MS) seen.delete(key);
+        });
+      }
+    },
+
+    /**
+     * Hit rates per kind, for /health.
+     */
+    stats() {
+      const kinds = Object.fromEntries(
+        Object.entries(stats).map(([kind, s]) => {
+          const lookups = s.hits + s.misses;
+          return [kind, { ...s, hit_rate: lookups ? Number((s.hits / lookups).toFixed(3)) : null }];
+        })
+      );
+      return { enabled: this.enabled, entries: entries.size, max_entries: maxEntries, ...kinds };
+    },
+  };
+}
+
+module.exports = {
+  contentKey,
+  createContentCache,
+};
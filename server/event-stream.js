@@ -0,0 +1,93 @@
+// ===== Focus Flow - Live Event Stream =====
+// Server-Sent Events for dashboards and debugging consoles. Every event is
+// tagged with the uid it belongs to and one of STREAM_TYPES:
+//
+//   parse     a parse batch or raw payload from the extension
+//   decision  an /api/ai/analyze decision (including "none")
+//   outcome   intervention feedback reported for a decision
+//
+// Each event goes out as `id: <seq>`, `event: <type>`, `data: <json>`.
+// A short backlog is kept so reconnecting clients resume from Last-Event-ID.
+
+const STREAM_TYPES = ["parse", "decision", "outcome"];
+const DEFAULT_BACKLOG = 200;
+const DEFAULT_HEARTBEAT_MS = 25000;
+
+/**
+ * Parse `?types=parse,decision` into a Set. Returns `{ types }` or `{ error }`;
+ * an empty value means every type.
+ */
+function parseStreamTypes(raw) {
+  const requested = String(raw || "")
+    .split(",")
+    .map((type) => type.trim())
+    .filter(Boolean);
+  const unknown = requested.filter((type) => !STREAM_TYPES.includes(type));
+  if (unknown.length) {
+    return { error: `unknown event types: ${unknown.join(", ")} (expected ${STREAM_TYPES.join(", ")})` };
+  }
+  return { types: new Set(requested.length ? requested : STREAM_TYPES) };
+}
+
+function createEventStream({ backlog = DEFAULT_BACKLOG, heartbeatMs = DEFAULT_HEARTBEAT_MS } = {}) {
+  const clients = new Set();
+  const buffer = [];
+  let seq = 0;
+
+  // `uid: null` subscribes to every user
+  function matches(client, event) {
+    return client.types.has(event.type) && (client.uid === null || client.uid === event.uid);
+  }
+
+  function write(client, event) {
+    client.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  }
+
+  return {
+    publish(type, uid, data) {
+      const event = { id: ++seq, type, uid, at: Date.now(), data };
+      buffer.push(event);
+      if (buffer.length > backlog) buffer.shift();
+      clients.forEach((client) => {
+        if (matches(client, event)) write(client, event);
+      });
+    },
+
+    /**
+     * Hold `res` open as an SSE response until the client goes away.
+     */
+    subscribe(req, res, { uid, types, lastEventId = null }) {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        // Keep reverse proxies from buffering the stream
+        "X-Accel-Buffering": "no",
+      });
+      res.write(`retry: 3000\n\n`);
+
+      const client = { res, uid, types };
+      const since = Number(lastEventId);
+      if (Number.isFinite(since) && since > 0) {
+        buffer.filter((event) => event.id > since && matches(client, event)).forEach((event) => write(client, event));
+      }
+      clients.add(client);
+
+      const heartbeat = setInterval(() => res.write(`: ping\n\n`), heartbeatMs);
+      req.on("close", () => {
+        clearInterval(heartbeat);
+        clients.delete(client);
+      });
+    },
+
+    get clientCount() {
+      return clients.size;
+    },
+  };
+}
+
+module.exports = {
+  STREAM_TYPES,
+  parseStreamTypes,
+  createEventStream,
+};
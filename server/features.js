@@ -0,0 +1,152 @@
+// ===== Focus Flow - Model Input Features =====
+// Turns parse payloads into the compact summary sent to LLMs and scored by
+// the local classifier, plus the topic-relevance profile built from it.
+// Shared by the server and the training script so both see identical inputs.
+
+function summarizeForModel(payload) {
+  const events = Array.isArray(payload.events) ? payload.events : [];
+  const latest = events[events.length - 1] || {};
+
+  return {
+    trigger_type: payload.trigger_type || null,
+    requested_intervention: payload.requested_intervention || null,
+    study_topic: payload.study_topic || "",
+    session_duration: payload.session_duration || 0,
+    tab_switches: payload.tab_switches || 0,
+    active_tab_time_seconds: payload.active_tab_time_seconds || 0,
+    domain: latest.domain || payload.domain || null,
+    category: latest.category || payload.category || "unknown",
+    page_title: latest.page_title || payload.page_title || "",
+    is_allowed: Boolean(latest.is_allowed),
+    is_relevant_to_topic:
+      latest.is_relevant_to_topic === undefined ? null : Boolean(latest.is_relevant_to_topic),
+    inactivity_seconds: latest.inactivity_seconds || 0,
+    mouse_score: latest.mouse_score || 0,
+    scroll_speed_px_per_sec: latest.scroll_speed_px_per_sec || 0,
+    clicks_per_minute: latest.clicks_per_minute || 0,
+    content: {
+      headings: latest.content?.headings || [],
+      summary: latest.content?.summary || "",
+      word_count: latest.content?.word_count || 0,
+      metadata: latest.metadata || {},
+      youtube: latest.youtube || null,
+      site_context: latest.site_context || null,
+    },
+  };
+}
+
+const STOPWORDS = new Set([
+  "the", "and", "for", "with", "that", "this", "from", "into", "about", "your", "you",
+  "are", "was", "were", "have", "has", "had", "will", "would", "could", "should", "can",
+  "academy", "welcome", "home", "login", "parent", "teacher", "learner",
+]);
+
+const TOPIC_SYNONYMS = {
+  coding: [
+    "program",
+    "programming",
+    "code",
+    "coding",
+    "algorithm",
+    "function",
+    "loop",
+    "array",
+    "linked",
+    "tree",
+    "stack",
+    "queue",
+    "complexity",
+    "javascript",
+    "react",
+    "hooks",
+    "state",
+    "component",
+    "useeffect",
+    "usestate",
+  ],
+  physics: ["force", "motion", "energy", "velocity", "acceleration", "torque", "momentum", "newton"],
+  chemistry: ["atom", "molecule", "reaction", "oxidation", "reduction", "acid", "base", "bond"],
+  biology: ["cell", "gene", "enzyme", "organism", "dna", "protein", "evolution"],
+  math: ["algebra", "calculus", "equation", "derivative", "integral", "geometry", "probability"],
+  history: ["empire", "war", "revolution", "timeline", "civilization", "treaty"],
+  economics: ["demand", "supply", "inflation", "gdp", "market", "elasticity"],
+};
+
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w.length >= 3 && !STOPWORDS.has(w));
+}
+
+// Text values of a site_context (titles, tags, sections, API names, ...),
+// leaving out URLs and ids, which only add noise tokens.
+function siteContextText(siteContext) {
+  const parts = [];
+  const walk = (value, key) => {
+    if (/(^|_)(url|id|slug|site|type)$/.test(key)) return;
+    if (typeof value === "string") parts.push(value);
+    else if (Array.isArray(value)) value.forEach((item) => walk(item, ""));
+    else if (value && typeof value === "object") Object.entries(value).forEach(([k, v]) => walk(v, k));
+  };
+  walk(siteContext, "");
+  return parts.join(" ").slice(0, 4000);
+}
+
+function inferTopicFamily(studyTopic) {
+  const tokens = tokenize(studyTopic);
+  if (!tokens.length) return "general";
+
+  let bestFamily = "general";
+  let bestScore = 0;
+
+  for (const [family, synonyms] of Object.entries(TOPIC_SYNONYMS)) {
+    const lexicon = new Set([family, ...synonyms]);
+    const score = tokens.filter((t) => lexicon.has(t)).length;
+    if (score > bestScore) {
+      bestScore = score;
+      bestFamily = family;
+    }
+  }
+
+  if (bestScore > 0) return bestFamily;
+  return "general";
+}
+
+function topicTerms(studyTopic, topicFamily) {
+  const base = tokenize(studyTopic).slice(0, 8);
+  const familySynonyms = TOPIC_SYNONYMS[topicFamily] || [];
+  return [...new Set([...base, ...familySynonyms])];
+}
+
+function computeTopicRelevance(modelInput) {
+  const topicFamily = inferTopicFamily(modelInput.study_topic);
+  const terms = topicTerms(modelInput.study_topic, topicFamily);
+  const sourceText = [
+    modelInput.page_title || "",
+    ...(Array.isArray(modelInput.content?.headings) ? modelInput.content.headings : []),
+    modelInput.content?.summary || "",
+    siteContextText(modelInput.content?.site_context),
+  ].join(" ");
+
+  const sourceTokens = new Set(tokenize(sourceText));
+  const matched = terms.filter((t) => sourceTokens.has(t));
+  const score = terms.length ? Math.min(1, matched.length / Math.max(4, terms.length)) : 0;
+  const contextQuality = score >= 0.35 ? "good" : score >= 0.15 ? "weak" : "none";
+  return {
+    topic_family: topicFamily,
+    topic_terms: terms,
+    matched_terms: matched,
+    relevance_score: Number(score.toFixed(2)),
+    context_quality: contextQuality,
+  };
+}
+
+module.exports = {
+  summarizeForModel,
+  tokenize,
+  siteContextText,
+  inferTopicFamily,
+  topicTerms,
+  computeTopicRelevance,
+};
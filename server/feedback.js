@@ -0,0 +1,132 @@
+// ===== Focus Flow - Intervention Feedback =====
+// Outcomes reported by the extension for a decision_id from /api/ai/analyze:
+//
+//   flashcard     correct | incorrect | dismissed
+//   mascot_chat   angel | devil | exception — mascots granted a temporary allow
+//   any           returned — user got back to an allowed site (with return_seconds)
+//
+// A user's recent outcomes tune later decisions: interventions they keep
+// brushing off get longer cooldowns, and when one intervention type works
+// clearly better for them it is preferred.
+
+const FEEDBACK_OUTCOMES = {
+  flashcard: ["correct", "incorrect", "dismissed"],
+  mascot_chat: ["angel", "devil", "exception"],
+};
+const RETURN_OUTCOME = "returned";
+// A granted exception means the page was needed, so it counts neither way
+const NEUTRAL_OUTCOMES = new Set([RETURN_OUTCOME, "exception"]);
+
+const EFFECTIVE_OUTCOMES = new Set(["correct", "incorrect", "angel"]);
+const MIN_OUTCOMES_FOR_ADAPTATION = 3;
+const TYPE_PREFERENCE_MARGIN = 0.3;
+const MAX_ADAPTIVE_COOLDOWN_SECONDS = 180;
+
+function clampSeconds(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? Math.min(Math.round(n), 24 * 3600) : null;
+}
+
+/**
+ * Validate a feedback body against the stored decision.
+ * Returns `{ outcome }` or `{ error }`.
+ */
+function normalizeFeedback(body, decision) {
+  const outcome = String(body?.outcome || "");
+  const allowed = [...(FEEDBACK_OUTCOMES[decision.intervention] || []), RETURN_OUTCOME];
+  if (!allowed.includes(outcome)) {
+    return { error: `outcome must be one of: ${allowed.join(", ")}` };
+  }
+
+  return {
+    outcome: {
+      decision_id: decision.id,
+      intervention: decision.intervention,
+      outcome,
+      response_seconds: clampSeconds(body.response_seconds),
+      return_seconds: clampSeconds(body.return_seconds),
+      at: Date.now(),
+    },
+  };
+}
+
+/**
+ * Per-intervention effectiveness over a user's recent outcomes.
+ */
+function summarizeOutcomes(outcomes = []) {
+  const stats = {};
+  Object.keys(FEEDBACK_OUTCOMES).forEach((type) => {
+    stats[type] = { count: 0, effective: 0, returnSecondsTotal: 0, returns: 0 };
+  });
+
+  outcomes.forEach((o) => {
+    const s = stats[o.intervention];
+    if (!s) return;
+    if (o.return_seconds != null) {
+      s.returnSecondsTotal += o.return_seconds;
+      s.returns += 1;
+    }
+    if (NEUTRAL_OUTCOMES.has(o.outcome)) return;
+    s.count += 1;
+    if (EFFECTIVE_OUTCOMES.has(o.outcome)) s.effective += 1;
+  });
+
+  Object.keys(stats).forEach((type) => {
+    const s = stats[type];
+    stats[type] = {
+      count: s.count,
+      effective: s.effective,
+      rate: s.count ? Number((s.effective / s.count).toFixed(3)) : null,
+      avgReturnSeconds: s.returns ? Math.round(s.returnSecondsTotal / s.returns) : null,
+    };
+  });
+  return stats;
+}
+
+/**
+ * Adjust a decision with the user's outcome stats. `canSwitchType` is false
+ * when the extension can only show one kind (off-topic sites get the mascot).
+ */
+function adaptDecision(decision, stats, { canSwitchType = true } = {}) {
+  if (!decision || decision.intervention === "none") return decision;
+
+  let next = decision;
+  const current = stats[decision.intervention];
+
+  if (canSwitchType) {
+    const other = decision.intervention === "flashcard" ? "mascot_chat" : "flashcard";
+    const alt = stats[other];
+    if (
+      current && alt &&
+      current.count >= MIN_OUTCOMES_FOR_ADAPTATION &&
+      alt.count >= MIN_OUTCOMES_FOR_ADAPTATION &&
+      alt.rate - current.rate >= TYPE_PREFERENCE_MARGIN
+    ) {
+      next = {
+        ...next,
+        intervention: other,
+        reason_codes: [...next.reason_codes, `adaptive_prefer_${other}`],
+      };
+    }
+  }
+
+  const used = stats[next.intervention];
+  if (used && used.count >= MIN_OUTCOMES_FOR_ADAPTATION && used.rate < 0.34) {
+    // Mostly ignored: back off instead of nagging
+    next = {
+      ...next,
+      cooldown_seconds: Math.min(MAX_ADAPTIVE_COOLDOWN_SECONDS, (next.cooldown_seconds || 90) * 2),
+      reason_codes: [...next.reason_codes, "adaptive_cooldown_backoff"],
+    };
+  }
+
+  return next;
+}
+
+module.exports = {
+  FEEDBACK_OUTCOMES,
+  RETURN_OUTCOME,
+  normalizeFeedback,
+  summarizeOutcomes,
+  adaptDecision,
+};
@@ -1,9 +1,31 @@
 const express = require("express");
 const cors = require("cors");
-const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
 const dotenv = require("dotenv");
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { createStorage } = require("./storage");
+const { createAuthMiddleware, createOriginCheck } = require("./auth");
+const { createProviderRegistry } = require("./llm-providers");
+const {
+  summarizeForModel,
+  tokenize,
+  topicTerms,
+  computeTopicRelevance,
+} = require("./features");
+const { loadModel, classifyDecision } = require("./classifier");
+const { normalizeFeedback, summarizeOutcomes, adaptDecision } = require("./feedback");
+const {
+  MAX_USER_TURNS,
+  createConversationStore,
+  cleanMessage,
+  buildMascotReplyPrompt,
+  sanitizeMascotReply,
+} = require("./mascot-dialogue");
+const { createEventStream, parseStreamTypes } = require("./event-stream");
+const { validatePayload } = require("./payload-schema");
+const { limitsFromEnv, createUsageLimiter } = require("./usage-limits");
+const { contentKey, createContentCache } = require("./content-cache");
+const { generateTemplateJson } = require("./template-generator");
 
 dotenv.config({ path: path.join(process.cwd(), "server", ".env") });
 
@@ -13,25 +35,97 @@ const MODEL = process.env.GEMINI_MODEL || "gemini-1.5-pro";
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY || "";
 const GROQ_API_KEY = process.env.GROQ_API_KEY || "";
 const GROQ_MODEL = process.env.GROQ_MODEL || "llama-3.1-8b-instant";
+const LOCAL_LLM_URL = process.env.LOCAL_LLM_URL || "";
+const LOCAL_LLM_MODEL = process.env.LOCAL_LLM_MODEL || "";
+const LOCAL_LLM_API_KEY = process.env.LOCAL_LLM_API_KEY || "";
+const LLM_PROVIDERS = (process.env.LLM_PROVIDERS || "gemini,groq,local,template")
+  .split(",")
+  .map((name) => name.trim())
+  .filter(Boolean);
+const LLM_CONFIG_FILE = process.env.LLM_CONFIG_FILE || null;
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "jsonl";
+const FIREBASE_PROJECT_ID = process.env.FIREBASE_PROJECT_ID || "focus-a5e5c";
+const API_KEYS = process.env.API_KEYS || "";
+const CORS_ORIGINS = process.env.CORS_ORIGINS || "";
+// Uids that may stream other users' events (comma-separated)
+const EVENT_STREAM_ADMINS = new Set(
+  (process.env.EVENT_STREAM_ADMINS || "")
+    .split(",")
+    .map((uid) => uid.trim())
+    .filter(Boolean)
+);
+// Oldest payload schema still accepted; raise to 2 once old builds are gone
+const PAYLOAD_SCHEMA_MIN_VERSION = Number(process.env.PAYLOAD_SCHEMA_MIN_VERSION || 1);
+const CONTENT_CACHE_MAX_ENTRIES = Number(process.env.CONTENT_CACHE_MAX_ENTRIES ?? 500);
+// "classifier" scores status with the local model when one is trained; "llm" always asks the LLM
+const DECISION_SCORER = process.env.DECISION_SCORER || "classifier";
+const FOCUS_MODEL_DIR = process.env.FOCUS_MODEL_DIR || path.join(process.cwd(), "models", "focus-classifier");
+const FOCUS_MODEL_VERSION = process.env.FOCUS_MODEL_VERSION || null;
 
 const LOG_DIR = path.join(process.cwd(), "logs");
 const JSONL_FILE = path.join(LOG_DIR, "parse-events.jsonl");
 const MAX_RECENT_EVENTS = 200;
 const MAX_CONTEXT_EVENTS = 15;
 
-const recentEvents = [];
-const interventionState = new Map();
+const storage = createStorage(STORAGE_DRIVER, {
+  file: JSONL_FILE,
+  maxRecentEvents: MAX_RECENT_EVENTS,
+  maxContextEvents: MAX_CONTEXT_EVENTS,
+});
 
-fs.mkdirSync(LOG_DIR, { recursive: true });
+// Providers are tried in LLM_PROVIDERS order (or the config file's "order");
+// unavailable ones (no key / no URL) are skipped.
+const llmRegistry = createProviderRegistry({
+  order: LLM_PROVIDERS,
+  configFile: LLM_CONFIG_FILE,
+  builtins: {
+    gemini: { type: "gemini", apiKey: GEMINI_API_KEY, model: MODEL },
+    groq: {
+      type: "openai",
+      baseUrl: "https://api.groq.com/openai/v1",
+      apiKey: GROQ_API_KEY,
+      model: GROQ_MODEL,
+      requiresKey: true,
+    },
+    local: { type: "openai", baseUrl: LOCAL_LLM_URL, apiKey: LOCAL_LLM_API_KEY, model: LOCAL_LLM_MODEL },
+    template: { type: "template" },
+  },
+});
 
-function appendEvent(event) {
-  fs.appendFileSync(JSONL_FILE, `${JSON.stringify(event)}\n`, "utf8");
-  recentEvents.unshift(event);
-  if (recentEvents.length > MAX_RECENT_EVENTS) {
-    recentEvents.pop();
+// Per-user and global limits on network LLM calls; see usage-limits.js
+const usageLimiter = createUsageLimiter(limitsFromEnv());
+
+// Validated flashcards and mascot scripts, reused per page and topic
+const contentCache = createContentCache({ maxEntries: CONTENT_CACHE_MAX_ENTRIES });
+
+const mascotConversations = createConversationStore();
+const eventStream = createEventStream();
+
+let focusModel = null;
+if (DECISION_SCORER === "classifier") {
+  try {
+    focusModel = loadModel(FOCUS_MODEL_DIR, FOCUS_MODEL_VERSION);
+  } catch (error) {
+    console.warn(`Focus Flow: could not load focus classifier: ${error.message}`);
   }
 }
 
+function appendEvent(event) {
+  storage.appendEvent(event);
+  eventStream.publish("parse", event.uid, event);
+}
+
+// `domain` comes from the latest event (summarizeForModel); analyze payloads
+// have no top-level domain
+function publishDecision(uid, payload, decision, domain) {
+  eventStream.publish("decision", uid, {
+    decision,
+    trigger_type: payload.trigger_type || null,
+    study_topic: payload.study_topic || null,
+    domain: domain || null,
+  });
+}
+
 function parseJsonSafely(raw) {
   try {
     return { data: JSON.parse(raw), parseError: null };
@@ -40,63 +134,40 @@ function parseJsonSafely(raw) {
   }
 }
 
-function summarizeForModel(payload) {
-  const events = Array.isArray(payload.events) ? payload.events : [];
-  const latest = events[events.length - 1] || {};
+// Context and cooldowns are per verified user, then per topic and tab
+function sessionKey(uid, payload) {
+  const topic = payload.study_topic || "untitled";
+  return `${uid}::${topic}::${payload.active_tab_id || "na"}`;
+}
 
-  return {
-    trigger_type: payload.trigger_type || null,
-    requested_intervention: payload.requested_intervention || null,
-    study_topic: payload.study_topic || "",
-    session_duration: payload.session_duration || 0,
-    tab_switches: payload.tab_switches || 0,
-    active_tab_time_seconds: payload.active_tab_time_seconds || 0,
-    domain: latest.domain || payload.domain || null,
-    category: latest.category || payload.category || "unknown",
-    page_title: latest.page_title || payload.page_title || "",
-    is_allowed: Boolean(latest.is_allowed),
-    is_relevant_to_topic:
-      latest.is_relevant_to_topic === undefined ? null : Boolean(latest.is_relevant_to_topic),
-    inactivity_seconds: latest.inactivity_seconds || 0,
-    mouse_score: latest.mouse_score || 0,
-    scroll_speed_px_per_sec: latest.scroll_speed_px_per_sec || 0,
-    clicks_per_minute: latest.clicks_per_minute || 0,
-    content: {
-      headings: latest.content?.headings || [],
-      summary: latest.content?.summary || "",
-      word_count: latest.content?.word_count || 0,
-      metadata: latest.metadata || {},
-      youtube: latest.youtube || null,
-    },
-  };
+function getRecentContext(uid, payload) {
+  return storage.getRecentContext(sessionKey(uid, payload));
 }
 
-function sessionKey(payload) {
-  const topic = payload.study_topic || "untitled";
-  return `${topic}::${payload.active_tab_id || "na"}`;
+function saveRecentContext(uid, payload) {
+  storage.saveRecentContext(sessionKey(uid, payload), summarizeForModel(payload));
 }
 
-function getRecentContext(payload) {
-  const key = sessionKey(payload);
-  const bucket = interventionState.get(key) || { events: [], lastInterventionAt: 0 };
-  return bucket;
+function markIntervention(uid, payload, at = Date.now()) {
+  storage.markIntervention(sessionKey(uid, payload), at);
 }
 
-function saveRecentContext(payload) {
-  const key = sessionKey(payload);
-  const bucket = interventionState.get(key) || { events: [], lastInterventionAt: 0 };
-  bucket.events.push(summarizeForModel(payload));
-  if (bucket.events.length > MAX_CONTEXT_EVENTS) {
-    bucket.events.splice(0, bucket.events.length - MAX_CONTEXT_EVENTS);
-  }
-  interventionState.set(key, bucket);
+function createDecisionId() {
+  return `dec_${Date.now().toString(36)}_${crypto.randomBytes(4).toString("hex")}`;
 }
 
-function markIntervention(payload) {
-  const key = sessionKey(payload);
-  const bucket = interventionState.get(key) || { events: [], lastInterventionAt: 0 };
-  bucket.lastInterventionAt = Date.now();
-  interventionState.set(key, bucket);
+// Only shown interventions can get feedback, so only those are kept
+function recordDecision(uid, payload, decision) {
+  if (decision.intervention === "none") return;
+  storage.saveDecision({
+    id: decision.decision_id,
+    uid,
+    intervention: decision.intervention,
+    status: decision.status,
+    trigger_type: payload.trigger_type || null,
+    study_topic: payload.study_topic || null,
+    at: Date.now(),
+  });
 }
 
 function sanitizeDecision(raw) {
@@ -142,98 +213,6 @@ function sanitizeDecision(raw) {
   };
 }
 
-const STOPWORDS = new Set([
-  "the", "and", "for", "with", "that", "this", "from", "into", "about", "your", "you",
-  "are", "was", "were", "have", "has", "had", "will", "would", "could", "should", "can",
-  "academy", "welcome", "home", "login", "parent", "teacher", "learner",
-]);
-
-const TOPIC_SYNONYMS = {
-  coding: [
-    "program",
-    "programming",
-    "code",
-    "coding",
-    "algorithm",
-    "function",
-    "loop",
-    "array",
-    "linked",
-    "tree",
-    "stack",
-    "queue",
-    "complexity",
-    "javascript",
-    "react",
-    "hooks",
-    "state",
-    "component",
-    "useeffect",
-    "usestate",
-  ],
-  physics: ["force", "motion", "energy", "velocity", "acceleration", "torque", "momentum", "newton"],
-  chemistry: ["atom", "molecule", "reaction", "oxidation", "reduction", "acid", "base", "bond"],
-  biology: ["cell", "gene", "enzyme", "organism", "dna", "protein", "evolution"],
-  math: ["algebra", "calculus", "equation", "derivative", "integral", "geometry", "probability"],
-  history: ["empire", "war", "revolution", "timeline", "civilization", "treaty"],
-  economics: ["demand", "supply", "inflation", "gdp", "market", "elasticity"],
-};
-
-function tokenize(text) {
-  return String(text || "")
-    .toLowerCase()
-    .split(/[^a-z0-9]+/)
-    .filter((w) => w.length >= 3 && !STOPWORDS.has(w));
-}
-
-function inferTopicFamily(studyTopic) {
-  const tokens = tokenize(studyTopic);
-  if (!tokens.length) return "general";
-
-  let bestFamily = "general";
-  let bestScore = 0;
-
-  for (const [family, synonyms] of Object.entries(TOPIC_SYNONYMS)) {
-    const lexicon = new Set([family, ...synonyms]);
-    const score = tokens.filter((t) => lexicon.has(t)).length;
-    if (score > bestScore) {
-      bestScore = score;
-      bestFamily = family;
-    }
-  }
-
-  if (bestScore > 0) return bestFamily;
-  return "general";
-}
-
-function topicTerms(studyTopic, topicFamily) {
-  const base = tokenize(studyTopic).slice(0, 8);
-  const familySynonyms = TOPIC_SYNONYMS[topicFamily] || [];
-  return [...new Set([...base, ...familySynonyms])];
-}
-
-function computeTopicRelevance(modelInput) {
-  const topicFamily = inferTopicFamily(modelInput.study_topic);
-  const terms = topicTerms(modelInput.study_topic, topicFamily);
-  const sourceText = [
-    modelInput.page_title || "",
-    ...(Array.isArray(modelInput.content?.headings) ? modelInput.content.headings : []),
-    modelInput.content?.summary || "",
-  ].join(" ");
-
-  const sourceTokens = new Set(tokenize(sourceText));
-  const matched = terms.filter((t) => sourceTokens.has(t));
-  const score = terms.length ? Math.min(1, matched.length / Math.max(4, terms.length)) : 0;
-  const contextQuality = score >= 0.35 ? "good" : score >= 0.15 ? "weak" : "none";
-  return {
-    topic_family: topicFamily,
-    topic_terms: terms,
-    matched_terms: matched,
-    relevance_score: Number(score.toFixed(2)),
-    context_quality: contextQuality,
-  };
-}
-
 function buildSmartFlashcardFromPayload(payload) {
   const latest = summarizeForModel(payload);
   const topic = latest.study_topic || "your study topic";
@@ -313,86 +292,60 @@ function normalizeFlashcardAnswer(card) {
   return normalized;
 }
 
-async function runGeminiJsonPrompt(prompt) {
-  const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-  const model = genAI.getGenerativeModel({ model: MODEL });
-  const result = await model.generateContent(prompt);
-  const text = result.response.text().trim();
-  return text
-    .replace(/^```json\s*/i, "")
-    .replace(/^```/i, "")
-    .replace(/```$/, "")
-    .trim();
+/**
+ * Run a prompt through the provider registry and return raw JSON text.
+ * `request` is `{ uid, task, input, profile, preferred }`; `preferred` names a
+ * provider to try first. The template provider builds its answer from
+ * `task`/`input`/`profile` instead of the prompt. Network providers count
+ * against `uid`'s limits; once a limit is hit the answer comes from templates.
+ */
+async function runLlmJsonPrompt(prompt, request = {}) {
+  return (await runLlmJsonPromptWithSource(prompt, request)).raw;
 }
 
-async function runGroqJsonPrompt(prompt) {
-  if (!GROQ_API_KEY) {
-    throw new Error("groq_missing_api_key");
-  }
-
-  const response = await fetch("https://api.groq.com/openai/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${GROQ_API_KEY}`,
-    },
-    body: JSON.stringify({
-      model: GROQ_MODEL,
-      temperature: 0.2,
-      messages: [
-        {
-          role: "system",
-          content:
-            "Return only valid JSON. No markdown fences. No extra prose.",
-        },
-        { role: "user", content: prompt },
-      ],
-    }),
-  });
-
-  if (!response.ok) {
-    const errBody = await response.text();
-    throw new Error(`groq_http_${response.status}:${errBody.slice(0, 300)}`);
-  }
-
-  const data = await response.json();
-  const text = String(data?.choices?.[0]?.message?.content || "").trim();
-  return text
-    .replace(/^```json\s*/i, "")
-    .replace(/^```/i, "")
-    .replace(/```$/, "")
-    .trim();
-}
-
-async function runLlmJsonPrompt(prompt, preferredProvider = "gemini") {
+/**
+ * runLlmJsonPrompt, also returning `llmProvider`: the network provider that
+ * answered, or null when the answer came from templates.
+ */
+async function runLlmJsonPromptWithSource(prompt, request = {}) {
+  const uid = request.uid || "anon";
   const errors = [];
-
-  const providers = preferredProvider === "groq" ? ["groq", "gemini"] : ["gemini", "groq"];
-
-  for (const provider of providers) {
-    if (provider === "gemini" && GEMINI_API_KEY) {
-      try {
-        return await runGeminiJsonPrompt(prompt);
-      } catch (err) {
-        errors.push(`gemini:${err?.message || "unknown"}`);
+  let limited = null;
+
+  for (const provider of llmRegistry.ordered(request.preferred)) {
+    const metered = provider.type !== "template";
+    if (metered) {
+      const reason = usageLimiter.check(uid);
+      if (reason) {
+        limited = reason;
+        errors.push(`${provider.name}:${reason}`);
+        continue;
       }
     }
 
-    if (provider === "groq" && GROQ_API_KEY) {
-      try {
-        return await runGroqJsonPrompt(prompt);
-      } catch (err) {
-        errors.push(`groq:${err?.message || "unknown"}`);
-      }
+    try {
+      const raw = await provider.runJsonPrompt(prompt, request);
+      if (metered) usageLimiter.record(uid, { task: request.task, provider: provider.name, prompt, response: raw });
+      else if (limited) usageLimiter.recordDegraded(uid, limited);
+      return { raw, llmProvider: metered ? provider.name : null };
+    } catch (err) {
+      if (metered) usageLimiter.record(uid, { task: request.task, provider: provider.name, prompt, failed: true });
+      errors.push(`${provider.name}:${err?.message || "unknown"}`);
     }
   }
 
+  // Over a limit with no template provider configured: answer from templates anyway
+  if (limited) {
+    usageLimiter.recordDegraded(uid, limited);
+    return { raw: JSON.stringify(generateTemplateJson(request)), llmProvider: null };
+  }
+
   throw new Error(errors.length ? errors.join(" | ") : "no_llm_provider_configured");
 }
 
-async function generateFlashcardWithGemini(payload, profile, mode = "context_aligned") {
-  if (!GEMINI_API_KEY && !GROQ_API_KEY) {
-    return { card: null, generation_mode: "llm_unavailable", quality_reject_reason: "missing_api_key" };
+async function generateFlashcardWithGemini(payload, profile, mode = "context_aligned", uid = "anon") {
+  if (!llmRegistry.hasAvailable()) {
+    return { card: null, generation_mode: "llm_unavailable", quality_reject_reason: "no_llm_provider" };
   }
 
   const latest = summarizeForModel(payload);
@@ -404,6 +357,7 @@ async function generateFlashcardWithGemini(payload, profile, mode = "context_ali
     page_title: latest.page_title,
     headings: (latest.content?.headings || []).slice(0, 5),
     summary: String(latest.content?.summary || "").slice(0, 1200),
+    site_context: latest.content?.site_context || null,
     domain: latest.domain,
     mode,
   };
@@ -420,6 +374,7 @@ async function generateFlashcardWithGemini(payload, profile, mode = "context_ali
 Rules:
 - The question must be subject-specific to study_topic.
 - If mode=context_aligned, use headings/summary concepts when relevant.
+- site_context, when present, is structured page data (e.g. a Stack Overflow question and its tags, an MDN API name, a Wikipedia infobox); prefer it over summary text when it fits study_topic.
 - If mode=topic_only, ignore generic page text and ask a valid topic question.
 - Never mention platform/homepage text (e.g., welcome pages).
 - Options must be plausible and only one correct.
@@ -432,7 +387,13 @@ ${JSON.stringify(context, null, 2)}
 `;
 
   try {
-    const raw = await runLlmJsonPrompt(prompt, "groq");
+    const { raw, llmProvider } = await runLlmJsonPromptWithSource(prompt, {
+      uid,
+      preferred: "groq",
+      task: "flashcard",
+      input: latest,
+      profile,
+    });
     const parsed = JSON.parse(raw);
     const card = normalizeFlashcardAnswer({
       question: String(parsed.question || "").slice(0, 260),
@@ -444,18 +405,23 @@ ${JSON.stringify(context, null, 2)}
     if (isLowQualityFlashcard(card, latest.study_topic, profile)) {
       return { card: null, generation_mode: mode, quality_reject_reason: "generic_flashcard" };
     }
-    return { card, generation_mode: mode };
+    return { card, generation_mode: mode, llm_provider: llmProvider };
   } catch {
     return { card: null, generation_mode: mode, quality_reject_reason: "generation_error" };
   }
 }
 
-async function generateFlashcardWithRetries(payload, profile) {
+// Every result carries `quality_checks` / `quality_rejections`: how many
+// generated cards went through isLowQualityFlashcard and how many it rejected.
+async function generateFlashcardWithRetries(payload, profile, uid) {
   const modes = [profile.context_quality === "good" ? "context_aligned" : "topic_only", "topic_only"];
+  const quality = { quality_checks: 0, quality_rejections: 0 };
   let last = { card: null, generation_mode: "none", quality_reject_reason: "not_attempted" };
   for (const mode of modes) {
-    last = await generateFlashcardWithGemini(payload, profile, mode);
-    if (last.card) return { ...last, attempts: modes.indexOf(mode) + 1 };
+    last = await generateFlashcardWithGemini(payload, profile, mode, uid);
+    if (last.card || last.quality_reject_reason === "generic_flashcard") quality.quality_checks += 1;
+    if (last.quality_reject_reason === "generic_flashcard") quality.quality_rejections += 1;
+    if (last.card) return { ...last, ...quality, attempts: modes.indexOf(mode) + 1 };
   }
 
   try {
@@ -478,7 +444,13 @@ Rules:
 - Keep it specific to the study topic, not platform text.
 - Beginner-friendly and concise.
 `;
-    const raw = await runLlmJsonPrompt(rescuePrompt, "groq");
+    const { raw, llmProvider } = await runLlmJsonPromptWithSource(rescuePrompt, {
+      uid,
+      preferred: "groq",
+      task: "flashcard",
+      input: latest,
+      profile,
+    });
     const parsed = JSON.parse(raw);
     const card = normalizeFlashcardAnswer({
       question: String(parsed.question || "").slice(0, 260),
@@ -487,19 +459,23 @@ Rules:
       hint: String(parsed.hint || "").slice(0, 220),
       explanation: String(parsed.explanation || "").slice(0, 360),
     });
+    quality.quality_checks += 1;
     if (!isLowQualityFlashcard(card, latest.study_topic, profile)) {
       return {
         card,
         generation_mode: "topic_only_rescue",
+        llm_provider: llmProvider,
         quality_reject_reason: null,
+        ...quality,
         attempts: 3,
       };
     }
+    quality.quality_rejections += 1;
   } catch {
     // Keep Gemini-only behavior; caller handles null generation.
   }
 
-  return { ...last, attempts: 3 };
+  return { ...last, ...quality, attempts: 3 };
 }
 
 function looksGenericMascotScript(script, studyTopic, domain, profile) {
@@ -513,8 +489,8 @@ function looksGenericMascotScript(script, studyTopic, domain, profile) {
   return genericCount >= 2 || (!hasTopic && !hasDomain);
 }
 
-async function generateMascotScriptWithGemini(payload, profile) {
-  if (!GEMINI_API_KEY && !GROQ_API_KEY) return null;
+async function generateMascotScriptWithGemini(payload, profile, uid) {
+  if (!llmRegistry.hasAvailable()) return { script: null, llmProvider: null };
   const latest = summarizeForModel(payload);
 
   const topicHint = profile.matched_terms.length
@@ -561,26 +537,32 @@ ${topicHint}
 `;
 
   try {
-    const extracted = await runLlmJsonPrompt(prompt, "groq");
-    const parsed = JSON.parse(extracted);
+    const { raw, llmProvider } = await runLlmJsonPromptWithSource(prompt, {
+      uid,
+      preferred: "groq",
+      task: "mascot_script",
+      input: latest,
+      profile,
+    });
+    const parsed = JSON.parse(raw);
     const script = Array.isArray(parsed.mascot_script)
       ? parsed.mascot_script.slice(0, 4).map((x, i) => ({
           speaker: i % 2 === 0 ? "devil" : "angel",
           text: String(x?.text || "").slice(0, 240),
         }))
       : null;
-    return script;
+    return { script, llmProvider };
   } catch {
-    return null;
+    return { script: null, llmProvider: null };
   }
 }
 
-async function generateMascotScriptWithRetries(payload, profile, domain) {
+async function generateMascotScriptWithRetries(payload, profile, domain, uid) {
   const studyTopic = summarizeForModel(payload).study_topic;
   for (let attempt = 1; attempt <= 2; attempt += 1) {
-    const script = await generateMascotScriptWithGemini(payload, profile);
+    const { script, llmProvider } = await generateMascotScriptWithGemini(payload, profile, uid);
     if (validateMascotScriptStrict(script, profile, domain, studyTopic)) {
-      return { script, attempts: attempt, quality_reject_reason: null };
+      return { script, llm_provider: llmProvider, attempts: attempt, quality_reject_reason: null };
     }
   }
 
@@ -606,7 +588,13 @@ Rules:
 - Mention topic or domain context in every line.
 - Be specific and concrete.
 `;
-    const raw = await runLlmJsonPrompt(rescuePrompt, "groq");
+    const { raw, llmProvider } = await runLlmJsonPromptWithSource(rescuePrompt, {
+      uid,
+      preferred: "groq",
+      task: "mascot_script",
+      input: latest,
+      profile,
+    });
     const parsed = JSON.parse(raw);
     const script = Array.isArray(parsed.mascot_script)
       ? parsed.mascot_script.slice(0, 4).map((x, i) => ({
@@ -615,7 +603,7 @@ Rules:
         }))
       : null;
     if (validateMascotScriptStrict(script, profile, domain, studyTopic)) {
-      return { script, attempts: 3, quality_reject_reason: null };
+      return { script, llm_provider: llmProvider, attempts: 3, quality_reject_reason: null };
     }
   } catch {
     // Keep Gemini-only behavior; caller handles null generation.
@@ -719,8 +707,19 @@ function fallbackDecision(payload) {
   };
 }
 
-async function callGeminiAnalyze(payload, contextBucket) {
-  if (!GEMINI_API_KEY && !GROQ_API_KEY) {
+/**
+ * Status decision: the local classifier when a model is loaded, otherwise
+ * the LLM prompt (or the heuristic fallback with no provider).
+ */
+async function decideStatus(payload, contextBucket, uid) {
+  if (focusModel) {
+    return sanitizeDecision(classifyDecision(focusModel, payload));
+  }
+  return callGeminiAnalyze(payload, contextBucket, uid);
+}
+
+async function callGeminiAnalyze(payload, contextBucket, uid) {
+  if (!llmRegistry.hasAvailable()) {
     return fallbackDecision(payload);
   }
 
@@ -767,49 +766,25 @@ Recent context window:
 ${JSON.stringify(recentContext, null, 2)}
 `;
 
-  const extracted = await runLlmJsonPrompt(prompt);
+  const extracted = await runLlmJsonPrompt(prompt, { uid, task: "analyze", input: latest });
 
   const parsed = JSON.parse(extracted);
   return sanitizeDecision(parsed);
 }
 
-const app = express();
-app.use(cors());
-app.use(express.json({ limit: "2mb" }));
-
-app.get("/health", (_req, res) => {
-  res.json({
-    ok: true,
-    service: "focus-flow-ai-backend",
-    model: MODEL,
-    hasGeminiKey: Boolean(GEMINI_API_KEY),
-    hasGroqKey: Boolean(GROQ_API_KEY),
-    groqModel: GROQ_MODEL,
-    logFile: JSONL_FILE,
-  });
-});
-
-app.get("/events", (_req, res) => {
-  res.json({ ok: true, count: recentEvents.length, events: recentEvents.slice(0, 50) });
-});
-
-app.post("/api/parse", (req, res) => {
-  const payload = req.body || {};
-  const event = {
-    received_at: new Date().toISOString(),
-    payload,
-  };
-  appendEvent(event);
-  saveRecentContext(payload);
-
-  res.json({ ok: true, message: "Payload received", received_at: event.received_at });
-});
-
-app.post("/api/ai/analyze", async (req, res) => {
-  const payload = req.body || {};
-  const contextBucket = getRecentContext(payload);
+/**
+ * The full /api/ai/analyze pipeline for one payload: status decision,
+ * requested-intervention overrides, per-user adaptation, content generation,
+ * cooldown and confidence gates. `now` lets the replay harness run recorded
+ * payloads on their original clock. Returns `{ decision, debug }`, or the
+ * heuristic fallback with `warning` and `error`.
+ */
+async function analyzePayload(uid, payload, { now = Date.now() } = {}) {
+  const contextBucket = getRecentContext(uid, payload);
   const modelInput = summarizeForModel(payload);
   const profile = computeTopicRelevance(modelInput);
+  // Cached content isn't repeated within one user's session on a topic
+  const viewer = { uid, topic: modelInput.study_topic };
   let generationMeta = {
     generation_mode: "none",
     relevance_score: profile.relevance_score,
@@ -820,7 +795,7 @@ app.post("/api/ai/analyze", async (req, res) => {
   };
 
   try {
-    let decision = await callGeminiAnalyze(payload, contextBucket);
+    let decision = await decideStatus(payload, contextBucket, uid);
 
     if (
       payload.requested_intervention === "flashcard" &&
@@ -848,12 +823,29 @@ app.post("/api/ai/analyze", async (req, res) => {
       };
     }
 
+    // Per-user tuning from reported outcomes. Off-topic pages can only show
+    // the mascot, and a requested intervention (e.g. a flashcard the user
+    // asked for on a study tab) must keep its type, so only the cooldown
+    // adapts there.
+    decision = adaptDecision(decision, summarizeOutcomes(storage.getOutcomes(uid)), {
+      canSwitchType:
+        !payload.requested_intervention && !String(payload.trigger_type || "").startsWith("offtopic_site"),
+    });
+
     if (decision.intervention === "flashcard") {
-      const generated = await generateFlashcardWithRetries(payload, profile);
+      const cacheKey = contentKey("flashcard", { payload, input: modelInput, profile, uid });
+      const cached = contentCache.lookup(cacheKey, viewer);
+      const generated = cached
+        ? { card: cached, generation_mode: "cache", quality_checks: 0, quality_rejections: 0, attempts: 0 }
+        : await generateFlashcardWithRetries(payload, profile, uid);
+      // Template and limit-fallback cards stay uncached so later viewers get a real one
+      if (generated.card && generated.llm_provider) contentCache.store(cacheKey, generated.card, viewer);
       generationMeta = {
         ...generationMeta,
         generation_mode: generated.generation_mode,
         quality_reject_reason: generated.quality_reject_reason || null,
+        quality_checks: generated.quality_checks,
+        quality_rejections: generated.quality_rejections,
         generation_attempts: generated.attempts,
       };
       if (generated.card) {
@@ -872,9 +864,15 @@ app.post("/api/ai/analyze", async (req, res) => {
 
     if (decision.intervention === "mascot_chat") {
       const domain = modelInput.domain;
-      const generated = await generateMascotScriptWithRetries(payload, profile, domain);
+      const cacheKey = contentKey("mascot_script", { payload, input: modelInput, profile, uid });
+      const cached = contentCache.lookup(cacheKey, viewer);
+      const generated = cached
+        ? { script: cached, attempts: 0, quality_reject_reason: null }
+        : await generateMascotScriptWithRetries(payload, profile, domain, uid);
+      if (generated.script && generated.llm_provider) contentCache.store(cacheKey, generated.script, viewer);
       generationMeta = {
         ...generationMeta,
+        generation_mode: cached ? "cache" : generationMeta.generation_mode,
         generation_attempts: generated.attempts,
         quality_reject_reason: generated.quality_reject_reason || generationMeta.quality_reject_reason,
       };
@@ -892,7 +890,6 @@ app.post("/api/ai/analyze", async (req, res) => {
       }
     }
 
-    const now = Date.now();
     const sinceLast = now - (contextBucket.lastInterventionAt || 0);
     const cooldownMs = (decision.cooldown_seconds || 90) * 1000;
 
@@ -915,34 +912,216 @@ app.post("/api/ai/analyze", async (req, res) => {
       };
     }
 
+    decision = { ...decision, decision_id: createDecisionId() };
     if (decision.intervention !== "none") {
-      markIntervention(payload);
+      markIntervention(uid, payload, now);
+      recordDecision(uid, payload, decision);
+      const shown = decision.intervention === "flashcard" ? decision.flashcard : decision.mascot_script;
+      if (shown) contentCache.markSeen(shown, viewer, now);
     }
 
-    saveRecentContext(payload);
+    saveRecentContext(uid, payload);
+    publishDecision(uid, payload, decision, modelInput.domain);
 
-    res.json({
-      ok: true,
-      timestamp: Date.now(),
-      decision,
-      debug: generationMeta,
-    });
+    return { decision, debug: generationMeta };
   } catch (error) {
-    const fallback = fallbackDecision(payload);
-    res.status(200).json({
-      ok: true,
-      timestamp: Date.now(),
+    const fallback = { ...fallbackDecision(payload), decision_id: createDecisionId() };
+    publishDecision(uid, payload, fallback, modelInput.domain);
+    return {
       decision: fallback,
       warning: "ai_failed_fallback_used",
       error: error?.message || "unknown",
+    };
+  }
+}
+
+const app = express();
+const requireAuth = createAuthMiddleware({ projectId: FIREBASE_PROJECT_ID, apiKeys: API_KEYS });
+
+app.use(cors({ origin: createOriginCheck(CORS_ORIGINS) }));
+app.use(express.json({ limit: "2mb" }));
+
+// Parse and analyze bodies must match a supported payload schema
+function requireValidPayload(req, res, next) {
+  const { version, errors } = validatePayload(req.body, { minVersion: PAYLOAD_SCHEMA_MIN_VERSION });
+  if (errors) {
+    res.status(400).json({ ok: false, error: "invalid_payload", schema_version: version, details: errors });
+    return;
+  }
+  next();
+}
+
+app.get("/health", (_req, res) => {
+  res.json({
+    ok: true,
+    service: "focus-flow-ai-backend",
+    model: MODEL,
+    hasGeminiKey: Boolean(GEMINI_API_KEY),
+    hasGroqKey: Boolean(GROQ_API_KEY),
+    groqModel: GROQ_MODEL,
+    llmProviders: llmRegistry.describe(),
+    decisionScorer: focusModel ? "classifier" : "llm",
+    focusModel: focusModel ? { version: focusModel.version, training: focusModel.training } : null,
+    storage: storage.driver,
+    eventStreamClients: eventStream.clientCount,
+    llmUsage: usageLimiter.overview(),
+    contentCache: contentCache.stats(),
+    firebaseProjectId: FIREBASE_PROJECT_ID || null,
+    apiKeysConfigured: Boolean(API_KEYS),
+    logFile: storage.driver === "jsonl" ? JSONL_FILE : null,
+  });
+});
+
+app.get("/events", requireAuth, (req, res) => {
+  const events = storage.getRecentEvents().filter((event) => event.uid === req.user.uid);
+  res.json({ ok: true, count: events.length, events: events.slice(0, 50) });
+});
+
+// Live parse batches, decisions and outcomes as Server-Sent Events.
+// ?types=parse,decision,outcome narrows the stream; users see their own
+// events, and EVENT_STREAM_ADMINS may pass ?uid=<uid> or ?uid=* for everyone.
+app.get("/events/stream", requireAuth, (req, res) => {
+  const { types, error } = parseStreamTypes(req.query.types);
+  if (error) {
+    return res.status(400).json({ ok: false, error });
+  }
+
+  const requestedUid = req.query.uid ? String(req.query.uid) : req.user.uid;
+  if (requestedUid !== req.user.uid && !EVENT_STREAM_ADMINS.has(req.user.uid)) {
+    return res.status(403).json({ ok: false, error: "stream_forbidden" });
+  }
+
+  eventStream.subscribe(req, res, {
+    uid: requestedUid === "*" ? null : requestedUid,
+    types,
+    lastEventId: req.get("last-event-id") || req.query.since || null,
+  });
+});
+
+// Today's LLM calls and estimated tokens. EVENT_STREAM_ADMINS may pass
+// ?uid=<uid>, or ?uid=* for every user active today.
+app.get("/api/usage", requireAuth, (req, res) => {
+  const requestedUid = req.query.uid ? String(req.query.uid) : req.user.uid;
+  if (requestedUid !== req.user.uid && !EVENT_STREAM_ADMINS.has(req.user.uid)) {
+    return res.status(403).json({ ok: false, error: "usage_forbidden" });
+  }
+
+  if (requestedUid === "*") {
+    return res.json({ ok: true, overview: usageLimiter.overview(), users: usageLimiter.reportAll() });
+  }
+  res.json({ ok: true, limits: usageLimiter.limits, usage: usageLimiter.report(requestedUid) });
+});
+
+app.post("/api/parse", requireAuth, requireValidPayload, (req, res) => {
+  const payload = req.body || {};
+  const event = {
+    received_at: new Date().toISOString(),
+    uid: req.user.uid,
+    payload,
+  };
+  appendEvent(event);
+  saveRecentContext(req.user.uid, payload);
+
+  res.json({ ok: true, message: "Payload received", received_at: event.received_at });
+});
+
+app.post("/api/ai/analyze", requireAuth, requireValidPayload, async (req, res) => {
+  const result = await analyzePayload(req.user.uid, req.body || {});
+  res.json({ ok: true, timestamp: Date.now(), ...result });
+});
+
+app.post("/api/ai/feedback", requireAuth, (req, res) => {
+  const body = req.body || {};
+  const { uid } = req.user;
+  const decision = storage.getDecision(String(body.decision_id || ""));
+
+  // Someone else's decision is reported as missing, not forbidden
+  if (!decision || decision.uid !== uid) {
+    return res.status(404).json({ ok: false, error: "unknown_decision" });
+  }
+
+  const { outcome, error } = normalizeFeedback(body, decision);
+  if (error) {
+    return res.status(400).json({ ok: false, error });
+  }
+
+  storage.saveOutcome(uid, outcome);
+  eventStream.publish("outcome", uid, outcome);
+  res.json({ ok: true, stats: summarizeOutcomes(storage.getOutcomes(uid)) });
+});
+
+// Multi-turn mascot dialogue. The first call carries the page payload (as
+// for /api/ai/analyze); later calls only need conversation_id and message.
+app.post("/api/ai/mascot/reply", requireAuth, async (req, res) => {
+  const body = req.body || {};
+  const { uid } = req.user;
+  const message = cleanMessage(body.message);
+  if (!message) {
+    return res.status(400).json({ ok: false, error: "message is required" });
+  }
+
+  let conversation = null;
+  if (body.conversation_id) {
+    conversation = mascotConversations.get(String(body.conversation_id), uid);
+    if (!conversation) return res.status(404).json({ ok: false, error: "unknown_conversation" });
+  } else {
+    const input = summarizeForModel(body);
+    conversation = mascotConversations.create(uid, { input, profile: computeTopicRelevance(input) });
+    if (Array.isArray(body.script)) {
+      const script = body.script.slice(0, 4).map((t) => ({
+        speaker: t?.speaker === "devil" ? "devil" : "angel",
+        text: String(t?.text || "").slice(0, 240),
+      }));
+      conversation.history.push(...script);
+    }
+  }
+
+  if (conversation.closed || conversation.userTurns >= MAX_USER_TURNS) {
+    return res.status(409).json({ ok: false, error: "conversation_closed" });
+  }
+
+  conversation.userTurns += 1;
+  const lastTurn = conversation.userTurns >= MAX_USER_TURNS;
+  const { input, profile } = conversation.context;
+  const prompt = buildMascotReplyPrompt({
+    input,
+    profile,
+    history: conversation.history,
+    message,
+    userTurns: conversation.userTurns,
+  });
+
+  let reply;
+  try {
+    const raw = await runLlmJsonPrompt(prompt, {
+      uid,
+      preferred: "groq",
+      task: "mascot_reply",
+      input: { ...input, user_message: message, last_turn: lastTurn },
+      profile,
     });
+    reply = sanitizeMascotReply(JSON.parse(raw), { lastTurn });
+  } catch (error) {
+    conversation.userTurns -= 1;
+    return res.status(502).json({ ok: false, error: "mascot_reply_failed", detail: error?.message || "unknown" });
   }
+
+  conversation.history.push({ speaker: "user", text: message }, ...reply.turns);
+  conversation.closed = reply.verdict !== "continue";
+
+  res.json({
+    ok: true,
+    conversation_id: conversation.id,
+    ...reply,
+    turns_left: conversation.closed ? 0 : MAX_USER_TURNS - conversation.userTurns,
+  });
 });
 
-app.post("/api/raw", express.text({ type: "*/*" }), (req, res) => {
+app.post("/api/raw", requireAuth, express.text({ type: "*/*" }), (req, res) => {
   const { data, parseError } = parseJsonSafely(req.body || "");
   const event = {
     received_at: new Date().toISOString(),
+    uid: req.user.uid,
     parse_error: parseError,
     payload: data,
   };
@@ -950,10 +1129,27 @@ app.post("/api/raw", express.text({ type: "*/*" }), (req, res) => {
   res.json({ ok: true });
 });
 
-app.listen(PORT, HOST, () => {
-  console.log(`Focus Flow AI backend running at http://${HOST}:${PORT}`);
-  console.log(`Health: http://${HOST}:${PORT}/health`);
-  console.log(`Parse endpoint: http://${HOST}:${PORT}/api/parse`);
-  console.log(`Analyze endpoint: http://${HOST}:${PORT}/api/ai/analyze`);
-  console.log(`Logs: ${JSONL_FILE}`);
-});
+// Replay the log before accepting requests so cooldowns are in place.
+// Scripts (the replay harness) require this file for analyzePayload instead.
+if (require.main === module) {
+  storage
+    .load()
+    .catch((error) => {
+      console.warn(`Focus Flow: could not rebuild state from ${JSONL_FILE}: ${error.message}`);
+    })
+    .then(() => {
+      app.listen(PORT, HOST, () => {
+        console.log(`Focus Flow AI backend running at http://${HOST}:${PORT}`);
+        console.log(`Health: http://${HOST}:${PORT}/health`);
+        console.log(`Parse endpoint: http://${HOST}:${PORT}/api/parse`);
+        console.log(`Analyze endpoint: http://${HOST}:${PORT}/api/ai/analyze`);
+        console.log(`Feedback endpoint: http://${HOST}:${PORT}/api/ai/feedback`);
+        console.log(`Mascot reply endpoint: http://${HOST}:${PORT}/api/ai/mascot/reply`);
+        console.log(`Event stream: http://${HOST}:${PORT}/events/stream`);
+        console.log(`Usage: http://${HOST}:${PORT}/api/usage`);
+        console.log(`Storage: ${storage.driver}${storage.driver === "jsonl" ? ` (${JSONL_FILE})` : ""}`);
+      });
+    });
+}
+
+module.exports = { analyzePayload, saveRecentContext };
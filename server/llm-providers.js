@@ -0,0 +1,155 @@
+// ===== Focus Flow - LLM Provider Registry =====
+// Providers share one call shape:
+//
+//   runJsonPrompt(prompt, request) -> Promise<string>   raw JSON text
+//
+// `request` is `{ task, input, profile }` where task is "analyze",
+// "flashcard", "mascot_script" or "mascot_reply". Network providers only
+// use the prompt; the template provider ignores it and builds output from
+// `request`.
+//
+// Provider types:
+//   gemini    Google Generative AI SDK
+//   openai    any OpenAI-compatible /chat/completions endpoint
+//             (Groq, Ollama, llama.cpp server, LM Studio, ...)
+//   template  deterministic offline generator, always available
+
+const fs = require("fs");
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { generateTemplateJson } = require("./template-generator");
+
+const PROVIDER_TYPES = ["gemini", "openai", "template"];
+
+function stripJsonFences(text) {
+  return String(text || "")
+    .trim()
+    .replace(/^```json\s*/i, "")
+    .replace(/^```/i, "")
+    .replace(/```$/, "")
+    .trim();
+}
+
+function createGeminiProvider(name, { apiKey, model }) {
+  return {
+    name,
+    type: "gemini",
+    model,
+    isAvailable: () => Boolean(apiKey),
+    async runJsonPrompt(prompt) {
+      const genAI = new GoogleGenerativeAI(apiKey);
+      const result = await genAI.getGenerativeModel({ model }).generateContent(prompt);
+      return stripJsonFences(result.response.text());
+    },
+  };
+}
+
+function createOpenAiProvider(name, { baseUrl, apiKey, model, temperature = 0.2, requiresKey = false }) {
+  const endpoint = `${String(baseUrl || "").replace(/\/+$/, "")}/chat/completions`;
+
+  return {
+    name,
+    type: "openai",
+    model,
+    isAvailable: () => Boolean(baseUrl && model && (apiKey || !requiresKey)),
+    async runJsonPrompt(prompt) {
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          model,
+          temperature,
+          messages: [
+            { role: "system", content: "Return only valid JSON. No markdown fences. No extra prose." },
+            { role: "user", content: prompt },
+          ],
+        }),
+      });
+
+      if (!response.ok) {
+        const errBody = await response.text();
+        throw new Error(`${name}_http_${response.status}:${errBody.slice(0, 300)}`);
+      }
+
+      const data = await response.json();
+      return stripJsonFences(data?.choices?.[0]?.message?.content);
+    },
+  };
+}
+
+function createTemplateProvider(name) {
+  return {
+    name,
+    type: "template",
+    model: "template",
+    isAvailable: () => true,
+    async runJsonPrompt(_prompt, request = {}) {
+      return JSON.stringify(generateTemplateJson(request));
+    },
+  };
+}
+
+function createProvider(name, config) {
+  if (config.type === "gemini") return createGeminiProvider(name, config);
+  if (config.type === "openai") return createOpenAiProvider(name, config);
+  if (config.type === "template") return createTemplateProvider(name);
+  throw new Error(`Unknown LLM provider type "${config.type}" for "${name}". Use one of: ${PROVIDER_TYPES.join(", ")}`);
+}
+
+/**
+ * Read an optional JSON config file:
+ *   { "order": ["local", "template"],
+ *     "providers": { "local": { "type": "openai", "baseUrl": "...", "model": "...", "apiKeyEnv": "..." } } }
+ * `apiKeyEnv` names an env var so keys stay out of the file.
+ */
+function loadProviderConfigFile(file) {
+  if (!file) return {};
+  const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  const providers = {};
+  Object.entries(parsed.providers || {}).forEach(([name, config]) => {
+    providers[name] = {
+      ...config,
+      apiKey: config.apiKey || (config.apiKeyEnv ? process.env[config.apiKeyEnv] || "" : ""),
+    };
+  });
+  return { order: parsed.order, providers };
+}
+
+/**
+ * Build the registry. `builtins` are provider configs from env; entries in
+ * the config file with the same name replace them.
+ */
+function createProviderRegistry({ order, builtins = {}, configFile = null }) {
+  const fileConfig = loadProviderConfigFile(configFile);
+  const configs = { ...builtins, ...(fileConfig.providers || {}) };
+  const names = (fileConfig.order || order || Object.keys(configs)).filter((name) => configs[name]);
+  const providers = names.map((name) => createProvider(name, configs[name]));
+
+  return {
+    providers,
+
+    hasAvailable() {
+      return providers.some((p) => p.isAvailable());
+    },
+
+    /**
+     * Available providers in order, with `preferred` moved to the front.
+     */
+    ordered(preferred = null) {
+      const available = providers.filter((p) => p.isAvailable());
+      const first = available.find((p) => p.name === preferred);
+      return first ? [first, ...available.filter((p) => p !== first)] : available;
+    },
+
+    describe() {
+      return providers.map((p) => ({ name: p.name, type: p.type, model: p.model, available: p.isAvailable() }));
+    },
+  };
+}
+
+module.exports = {
+  PROVIDER_TYPES,
+  createProviderRegistry,
+};
@@ -0,0 +1,132 @@
+// ===== Focus Flow - Mascot Dialogue =====
+// Multi-turn follow-up to the angel/devil script. The user types a reason
+// for staying on a site; the mascots answer, and the angel may grant a
+// short exception that the extension turns into a time-limited allow entry.
+//
+// Conversations are kept in memory by id. They last a few minutes, so they
+// are not persisted with the rest of storage.
+
+const crypto = require("crypto");
+
+const MAX_USER_TURNS = 3;
+const MAX_EXCEPTION_MINUTES = 15;
+const DEFAULT_EXCEPTION_MINUTES = 10;
+const MAX_MESSAGE_LENGTH = 280;
+const MAX_CONVERSATIONS = 500;
+const VERDICTS = new Set(["continue", "grant", "deny"]);
+
+function createConversationStore() {
+  const conversations = new Map();
+
+  return {
+    create(uid, context) {
+      const id = `conv_${Date.now().toString(36)}_${crypto.randomBytes(4).toString("hex")}`;
+      const conversation = { id, uid, context, history: [], userTurns: 0, closed: false };
+      conversations.set(id, conversation);
+      if (conversations.size > MAX_CONVERSATIONS) {
+        conversations.delete(conversations.keys().next().value);
+      }
+      return conversation;
+    },
+
+    get(id, uid) {
+      const conversation = conversations.get(id);
+      return conversation && conversation.uid === uid ? conversation : null;
+    },
+  };
+}
+
+function cleanMessage(text) {
+  return String(text || "").replace(/\s+/g, " ").trim().slice(0, MAX_MESSAGE_LENGTH);
+}
+
+/**
+ * Prompt for the next mascot turn. `history` holds earlier turns,
+ * including the user's, in order.
+ */
+function buildMascotReplyPrompt({ input, profile, history, message, userTurns }) {
+  return `You are the angel and devil mascots of a study-focus app. The user is on a site that looks off-topic for their study session and is explaining why they need it.
+Return strict JSON only:
+{
+  "turns": [{"speaker":"devil","text":"..."},{"speaker":"angel","text":"..."}],
+  "verdict": "continue" | "grant" | "deny",
+  "exception_minutes": 0,
+  "reason": "short reason for the verdict"
+}
+Rules:
+- 1 or 2 turns. The angel always speaks last and makes the call.
+- "grant" only when the reason is specific and plausibly needs this page for the study topic (an assignment, a cited source, a lecture, documentation). Then set exception_minutes between 5 and ${MAX_EXCEPTION_MINUTES}; the angel names the time limit.
+- "continue" when the reason is vague; the angel asks one concrete follow-up question.
+- "deny" when the reason is entertainment or unrelated; the angel suggests a concrete next step for the topic.
+- This is user turn ${userTurns} of ${MAX_USER_TURNS}. On the last turn, answer "grant" or "deny" only.
+- Keep each line 1-2 sentences and mention the topic or page.
+
+Context:
+${JSON.stringify(
+    {
+      study_topic: input.study_topic,
+      topic_family: profile.topic_family,
+      matched_terms: profile.matched_terms,
+      relevance_score: profile.relevance_score,
+      domain: input.domain,
+      page_title: input.page_title,
+      headings: (input.content?.headings || []).slice(0, 3),
+      summary: String(input.content?.summary || "").slice(0, 500),
+    },
+    null,
+    2
+  )}
+
+Conversation so far:
+${JSON.stringify(history, null, 2)}
+
+User: ${JSON.stringify(message)}
+`;
+}
+
+/**
+ * Normalize model output. The last user turn can't end in "continue".
+ */
+function sanitizeMascotReply(raw, { lastTurn }) {
+  const turns = (Array.isArray(raw?.turns) ? raw.turns : [])
+    .filter((t) => t && typeof t.text === "string" && t.text.trim())
+    .slice(0, 2)
+    .map((t) => ({ speaker: t.speaker === "devil" ? "devil" : "angel", text: t.text.trim().slice(0, 240) }));
+
+  let verdict = VERDICTS.has(raw?.verdict) ? raw.verdict : "continue";
+  if (lastTurn && verdict === "continue") verdict = "deny";
+
+  const minutes = Number(raw?.exception_minutes);
+  const exceptionMinutes =
+    verdict === "grant"
+      ? Math.max(1, Math.min(MAX_EXCEPTION_MINUTES, Math.round(minutes) || DEFAULT_EXCEPTION_MINUTES))
+      : 0;
+
+  // The angel always has the last word, even if the model forgot it
+  if (!turns.length || turns[turns.length - 1].speaker !== "angel") {
+    turns.push({
+      speaker: "angel",
+      text:
+        verdict === "grant"
+          ? `Okay, ${exceptionMinutes} minutes. Then straight back to studying.`
+          : verdict === "deny"
+            ? "That doesn't sound like study time. Let's get back to your topic."
+            : "What exactly do you need from this page for your topic?",
+    });
+  }
+
+  return {
+    turns,
+    verdict,
+    exception_minutes: exceptionMinutes,
+    reason: String(raw?.reason || "").slice(0, 160),
+  };
+}
+
+module.exports = {
+  MAX_USER_TURNS,
+  createConversationStore,
+  cleanMessage,
+  buildMascotReplyPrompt,
+  sanitizeMascotReply,
+};
@@ -0,0 +1,186 @@
+// ===== Focus Flow - Payload Schemas =====
+// Shape of the payloads background.js posts to /api/parse and
+// /api/ai/analyze:
+//
+//   batch      flushParseQueue: queued parse events plus tab tracking
+//   immediate  handleParseImmediate (one event), or
+//              requestImmediateAiIntervention (adds trigger_type and
+//              requested_intervention)
+//
+// Version 2 carries `schema_version: 2` and requires the envelope fields the
+// extension always sends. Version 1 is every payload from builds before
+// `schema_version` existed; only its events and field types are checked.
+// PAYLOAD_SCHEMA_MIN_VERSION=2 stops accepting it once the rollout is done.
+
+const CURRENT_SCHEMA_VERSION = 2;
+const PAYLOAD_TYPES = ["batch", "immediate"];
+const TRIGGER_TYPES = [
+  "idle_allowed_site",
+  "idle_allowed_site_retry",
+  "offtopic_site",
+  "offtopic_site_retry",
+  "manual",
+];
+const INTERVENTIONS = ["none", "flashcard", "mascot_chat"];
+const MAX_EVENTS = 500;
+const MAX_ERRORS = 10;
+
+// "type?" also accepts null
+const ENVELOPE_FIELDS = {
+  schema_version: "number",
+  type: "string",
+  timestamp: "number",
+  study_topic: "string",
+  session_duration: "number",
+  tab_switches: "number",
+  active_tab_id: "number?",
+  active_tab_time_seconds: "number",
+  open_tabs: "array",
+  per_tab_seconds: "object",
+  trigger_type: "string?",
+  requested_intervention: "string?",
+  events: "array",
+};
+
+const EVENT_FIELDS = {
+  type: "string",
+  timestamp: "number",
+  tab_id: "number?",
+  url: "string?",
+  domain: "string?",
+  page_title: "string?",
+  category: "string?",
+  is_allowed: "boolean",
+  is_relevant_to_topic: "boolean?",
+  inactivity_seconds: "number",
+  mouse_score: "number",
+  scroll_speed_px_per_sec: "number",
+  clicks_per_minute: "number",
+  content: "object?",
+  content_hash: "string?",
+  metadata: "object?",
+  youtube: "object?",
+  site_context: "object?",
+};
+
+const CONTENT_FIELDS = {
+  headings: "array",
+  summary: "string",
+  word_count: "number",
+  pdf: "object?",
+};
+
+// site-parsers.js: every context names its site and page type
+const SITE_CONTEXT_FIELDS = {
+  site: "string",
+  type: "string",
+};
+
+const SCHEMAS = {
+  1: { required: ["events"], requiredByType: {} },
+  2: {
+    required: [
+      "schema_version",
+      "type",
+      "timestamp",
+      "study_topic",
+      "session_duration",
+      "tab_switches",
+      "active_tab_id",
+      "events",
+    ],
+    requiredByType: { batch: ["per_tab_seconds"], immediate: [] },
+  },
+};
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === "string",
+  number: (v) => typeof v === "number" && Number.isFinite(v),
+  boolean: (v) => typeof v === "boolean",
+  object: (v) => Boolean(v) && typeof v === "object" && !Array.isArray(v),
+  array: (v) => Array.isArray(v),
+};
+
+function checkFields(value, fields, prefix, errors) {
+  Object.entries(fields).forEach(([name, spec]) => {
+    const nullable = spec.endsWith("?");
+    const type = nullable ? spec.slice(0, -1) : spec;
+    const v = value[name];
+    if (v === undefined || (nullable && v === null)) return;
+    if (!TYPE_CHECKS[type](v)) {
+      errors.push(`${prefix}${name} must be ${type === "array" || type === "object" ? "an" : "a"} ${type}${nullable ? " or null" : ""}`);
+    }
+  });
+}
+
+function checkRequired(value, names, prefix, errors) {
+  names.forEach((name) => {
+    if (value[name] === undefined) errors.push(`${prefix}${name} is required`);
+  });
+}
+
+function checkEnum(value, name, allowed, errors) {
+  if (value[name] != null && !allowed.includes(value[name])) {
+    errors.push(`${name} must be one of: ${allowed.join(", ")}`);
+  }
+}
+
+function validateEvent(event, i, errors) {
+  const prefix = `events[${i}].`;
+  if (!TYPE_CHECKS.object(event)) {
+    errors.push(`events[${i}] must be an object`);
+    return;
+  }
+  checkFields(event, EVENT_FIELDS, prefix, errors);
+  if (TYPE_CHECKS.object(event.content)) {
+    checkFields(event.content, CONTENT_FIELDS, `${prefix}content.`, errors);
+  }
+  if (TYPE_CHECKS.object(event.site_context)) {
+    checkRequired(event.site_context, Object.keys(SITE_CONTEXT_FIELDS), `${prefix}site_context.`, errors);
+    checkFields(event.site_context, SITE_CONTEXT_FIELDS, `${prefix}site_context.`, errors);
+  }
+}
+
+/**
+ * Version a payload claims: `schema_version`, or 1 when it has none.
+ */
+function payloadSchemaVersion(payload) {
+  return payload && payload.schema_version !== undefined ? payload.schema_version : 1;
+}
+
+/**
+ * Validate a parse/analyze payload. Returns `{ version }` when it is
+ * acceptable, or `{ version, errors }` listing the first problems found.
+ */
+function validatePayload(payload, { minVersion = 1 } = {}) {
+  if (!TYPE_CHECKS.object(payload)) {
+    return { version: null, errors: ["payload must be a JSON object"] };
+  }
+
+  const version = payloadSchemaVersion(payload);
+  const schema = SCHEMAS[version];
+  if (!schema || version < minVersion) {
+    const supported = Object.keys(SCHEMAS).map(Number).filter((v) => v >= minVersion);
+    return { version, errors: [`unsupported schema_version ${JSON.stringify(version)} (supported: ${supported.join(", ")})`] };
+  }
+
+  const errors = [];
+  checkRequired(payload, schema.required, "", errors);
+  checkFields(payload, ENVELOPE_FIELDS, "", errors);
+  checkEnum(payload, "type", PAYLOAD_TYPES, errors);
+  checkEnum(payload, "trigger_type", TRIGGER_TYPES, errors);
+  checkEnum(payload, "requested_intervention", INTERVENTIONS, errors);
+  checkRequired(payload, schema.requiredByType[payload.type] || [], "", errors);
+
+  if (Array.isArray(payload.events)) {
+    if (payload.events.length > MAX_EVENTS) errors.push(`events must have at most ${MAX_EVENTS} items`);
+    payload.events.slice(0, MAX_EVENTS).forEach((event, i) => validateEvent(event, i, errors));
+  }
+
+  return errors.length ? { version, errors: errors.slice(0, MAX_ERRORS) } : { version };
+}
+
+module.exports = {
+  CURRENT_SCHEMA_VERSION,
+  validatePayload,
+};
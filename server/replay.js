@@ -0,0 +1,182 @@
+// ===== Focus Flow - Decision Replay =====
+// Summaries and diffs for scripts/replay-decisions.js, which runs recorded
+// payloads back through analyzePayload. A run is
+//
+//   { label, provider, scorer, log, created_at, summary, results: [...] }
+//
+// with one result per replayed payload, in log order. Two runs over the same
+// log line up by `key`.
+
+const { validatePayload } = require("./payload-schema");
+
+const INTERVENTIONS = ["none", "flashcard", "mascot_chat"];
+const STATUSES = ["focused", "mild_distraction", "distracted", "severe_distraction"];
+
+/**
+ * Parse-batch log records that can be replayed: payloads the server would
+ * still accept. State records (`kind`) and raw bodies are skipped.
+ */
+function isReplayableRecord(record) {
+  return Boolean(record && !record.kind && record.payload && !validatePayload(record.payload).errors);
+}
+
+function replayResult(record, index, { decision, debug = {}, warning = null }) {
+  return {
+    key: `${record.received_at}|${record.uid || "anon"}|${index}`,
+    received_at: record.received_at,
+    uid: record.uid || null,
+    study_topic: record.payload.study_topic || null,
+    trigger_type: record.payload.trigger_type || null,
+    status: decision.status,
+    intervention: decision.intervention,
+    confidence: decision.confidence,
+    reason_codes: decision.reason_codes || [],
+    generation_failed: Boolean(decision.generation_failed),
+    fallback: Boolean(warning),
+    quality_checks: debug.quality_checks || 0,
+    quality_rejections: debug.quality_rejections || 0,
+    quality_reject_reason: debug.quality_reject_reason || null,
+    flashcard_question: decision.flashcard?.question || null,
+  };
+}
+
+function countBy(results, field, keys) {
+  const counts = Object.fromEntries(keys.map((k) => [k, 0]));
+  results.forEach((r) => {
+    counts[r[field]] = (counts[r[field]] || 0) + 1;
+  });
+  return counts;
+}
+
+function rate(part, whole) {
+  return whole ? Number((part / whole).toFixed(3)) : null;
+}
+
+function summarizeRun(results) {
+  const checks = results.reduce((sum, r) => sum + r.quality_checks, 0);
+  const rejections = results.reduce((sum, r) => sum + r.quality_rejections, 0);
+  return {
+    payloads: results.length,
+    interventions: countBy(results, "intervention", INTERVENTIONS),
+    statuses: countBy(results, "status", STATUSES),
+    fallbacks: results.filter((r) => r.fallback).length,
+    generation_failures: results.filter((r) => r.generation_failed).length,
+    quality_checks: checks,
+    quality_rejections: rejections,
+    rejection_rate: rate(rejections, checks),
+  };
+}
+
+/**
+ * Compare a candidate run with a baseline over the payloads both contain.
+ */
+function diffRuns(base, candidate) {
+  const byKey = new Map(candidate.results.map((r) => [r.key, r]));
+  const transitions = {};
+  const changed = [];
+  let matched = 0;
+
+  base.results.forEach((a) => {
+    const b = byKey.get(a.key);
+    if (!b) return;
+    matched += 1;
+    if (a.intervention !== b.intervention) {
+      const key = `${a.intervention} -> ${b.intervention}`;
+      transitions[key] = (transitions[key] || 0) + 1;
+    }
+    if (a.status !== b.status || a.intervention !== b.intervention) {
+      changed.push({
+        key: a.key,
+        study_topic: a.study_topic,
+        trigger_type: a.trigger_type,
+        status: [a.status, b.status],
+        intervention: [a.intervention, b.intervention],
+      });
+    }
+  });
+
+  return {
+    base: { label: base.label, provider: base.provider, summary: base.summary },
+    candidate: { label: candidate.label, provider: candidate.provider, summary: candidate.summary },
+    matched,
+    unmatched: base.results.length + candidate.results.length - 2 * matched,
+    status_changes: changed.filter((c) => c.status[0] !== c.status[1]).length,
+    intervention_changes: changed.filter((c) => c.intervention[0] !== c.intervention[1]).length,
+    intervention_transitions: transitions,
+    changed,
+  };
+}
+
+// ===== Text Report =====
+
+function formatTable(headers, rows) {
+  const cells = [headers, ...rows].map((row) => row.map((cell) => (cell == null ? "--" : String(cell))));
+  const widths = headers.map((_, i) => Math.max(...cells.map((row) => row[i].length)));
+  const line = (row) => row.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd();
+  return [line(cells[0]), widths.map((w) => "-".repeat(w)).join("  "), ...cells.slice(1).map(line)].join("\n");
+}
+
+function delta(a, b) {
+  if (a == null || b == null) return null;
+  const d = Number((b - a).toFixed(3));
+  return d > 0 ? `+${d}` : String(d);
+}
+
+function summaryRows(a, b) {
+  const row = (name, x, y) => [name, x, y, delta(x, y)];
+  return [
+    row("payloads", a.payloads, b.payloads),
+    ...INTERVENTIONS.map((k) => row(`intervention: ${k}`, a.interventions[k] || 0, b.interventions[k] || 0)),
+    ...STATUSES.map((k) => row(`status: ${k}`, a.statuses[k] || 0, b.statuses[k] || 0)),
+    row("fallbacks", a.fallbacks, b.fallbacks),
+    row("generation failures", a.generation_failures, b.generation_failures),
+    row("flashcard quality checks", a.quality_checks, b.quality_checks),
+    row("low-quality rejections", a.quality_rejections, b.quality_rejections),
+    row("rejection rate", a.rejection_rate, b.rejection_rate),
+  ];
+}
+
+function formatRunSummary(run) {
+  const rows = summaryRows(run.summary, run.summary).map(([name, value]) => [name, value]);
+  return formatTable(["metric", run.label], rows);
+}
+
+/**
+ * Plain-text report of a diff: summary table, intervention transitions and
+ * the first `maxChanged` payloads whose decision changed.
+ */
+function formatDiffReport(diff, { maxChanged = 20 } = {}) {
+  const a = diff.base;
+  const b = diff.candidate;
+  const parts = [
+    formatTable(["metric", a.label, b.label, "delta"], summaryRows(a.summary, b.summary)),
+    `\nMatched ${diff.matched} payloads (${diff.unmatched} unmatched): ` +
+      `${diff.intervention_changes} intervention changes, ${diff.status_changes} status changes.`,
+  ];
+
+  const transitions = Object.entries(diff.intervention_transitions).sort((x, y) => y[1] - x[1]);
+  if (transitions.length) {
+    parts.push(`\n${formatTable(["intervention change", "count"], transitions)}`);
+  }
+
+  if (diff.changed.length) {
+    const rows = diff.changed
+      .slice(0, maxChanged)
+      .map((c) => [c.key.split("|")[0], c.study_topic, c.trigger_type, c.status.join(" -> "), c.intervention.join(" -> ")]);
+    parts.push(`\n${formatTable(["received_at", "topic", "trigger", "status", "intervention"], rows)}`);
+    if (diff.changed.length > maxChanged) {
+      parts.push(`... ${diff.changed.length - maxChanged} more in the JSON report`);
+    }
+  }
+
+  return parts.join("\n");
+}
+
+module.exports = {
+  isReplayableRecord,
+  replayResult,
+  summarizeRun,
+  diffRuns,
+  formatRunSummary,
+  formatDiffReport,
+};
@@ -0,0 +1,210 @@
+// ===== Focus Flow - AI Server Storage =====
+// Holds the recent event feed, per-session context windows, intervention
+// cooldowns, and intervention decisions with their reported outcomes. Two drivers:
+//
+//   memory  state lives only in this process (lost on restart)
+//   jsonl   every write is appended to the JSONL log and the log is replayed
+//           at startup, so context and cooldowns survive restarts
+//
+// The log mixes received events (`{ received_at, payload }`, as before) with
+// state records tagged by `kind`:
+//
+//   { kind: "context", key, at, summary }       one entry in a context window
+//   { kind: "intervention", key, at }            an intervention was shown
+//   { kind: "decision", decision }               an intervention decision was issued
+//   { kind: "outcome", uid, outcome }            feedback for a decision
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+
+const STORAGE_DRIVERS = ["memory", "jsonl"];
+
+function emptyBucket() {
+  return { events: [], lastInterventionAt: 0 };
+}
+
+function createMemoryStore({
+  maxRecentEvents = 200,
+  maxContextEvents = 15,
+  maxDecisions = 1000,
+  maxOutcomesPerUser = 50,
+} = {}) {
+  const recentEvents = [];
+  const contexts = new Map();
+  // Map keeps insertion order, so the first key is the oldest decision
+  const decisions = new Map();
+  const outcomes = new Map();
+
+  function bucketFor(key) {
+    if (!contexts.has(key)) contexts.set(key, emptyBucket());
+    return contexts.get(key);
+  }
+
+  return {
+    driver: "memory",
+
+    async load() {},
+
+    appendEvent(event) {
+      recentEvents.unshift(event);
+      if (recentEvents.length > maxRecentEvents) {
+        recentEvents.pop();
+      }
+    },
+
+    getRecentEvents(limit = maxRecentEvents) {
+      return recentEvents.slice(0, limit);
+    },
+
+    countRecentEvents() {
+      return recentEvents.length;
+    },
+
+    getRecentContext(key) {
+      return contexts.get(key) || emptyBucket();
+    },
+
+    saveRecentContext(key, summary) {
+      const bucket = bucketFor(key);
+      bucket.events.push(summary);
+      if (bucket.events.length > maxContextEvents) {
+        bucket.events.splice(0, bucket.events.length - maxContextEvents);
+      }
+    },
+
+    markIntervention(key, at = Date.now()) {
+      const bucket = bucketFor(key);
+      bucket.lastInterventionAt = Math.max(bucket.lastInterventionAt || 0, at);
+    },
+
+    saveDecision(decision) {
+      decisions.set(decision.id, decision);
+      if (decisions.size > maxDecisions) {
+        decisions.delete(decisions.keys().next().value);
+      }
+    },
+
+    getDecision(id) {
+      return decisions.get(id) || null;
+    },
+
+    saveOutcome(uid, outcome) {
+      if (!outcomes.has(uid)) outcomes.set(uid, []);
+      const list = outcomes.get(uid);
+      list.push(outcome);
+      if (list.length > maxOutcomesPerUser) {
+        list.splice(0, list.length - maxOutcomesPerUser);
+      }
+    },
+
+    getOutcomes(uid) {
+      return outcomes.get(uid) || [];
+    },
+  };
+}
+
+function createJsonlStore({ file, ...limits }) {
+  const memory = createMemoryStore(limits);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  function writeLine(record) {
+    fs.appendFileSync(file, `${JSON.stringify(record)}\n`, "utf8");
+  }
+
+  function replayLine(line) {
+    if (!line.trim()) return;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      // A crash mid-write can leave a truncated last line
+      return;
+    }
+
+    if (record.kind === "context") {
+      memory.saveRecentContext(record.key, record.summary);
+    } else if (record.kind === "intervention") {
+      memory.markIntervention(record.key, record.at);
+    } else if (record.kind === "decision") {
+      memory.saveDecision(record.decision);
+    } else if (record.kind === "outcome") {
+      memory.saveOutcome(record.uid, record.outcome);
+    } else if (!record.kind) {
+      memory.appendEvent(record);
+    }
+  }
+
+  return {
+    ...memory,
+    driver: "jsonl",
+
+    /**
+     * Rebuild in-memory state by streaming the log from the start.
+     * Only the trailing windows are kept, so memory stays bounded.
+     */
+    async load() {
+      if (!fs.existsSync(file)) return;
+
+      const lines = readline.createInterface({
+        input: fs.createReadStream(file, { encoding: "utf8" }),
+        crlfDelay: Infinity,
+      });
+      for await (const line of lines) {
+        replayLine(line);
+      }
+
+      // Terminate a truncated last line so the next append starts cleanly
+      const { size } = fs.statSync(file);
+      if (size > 0) {
+        const last = Buffer.alloc(1);
+        const fd = fs.openSync(file, "r");
+        fs.readSync(fd, last, 0, 1, size - 1);
+        fs.closeSync(fd);
+        if (last.toString("utf8") !== "\n") fs.appendFileSync(file, "\n", "utf8");
+      }
+    },
+
+    appendEvent(event) {
+      writeLine(event);
+      memory.appendEvent(event);
+    },
+
+    saveRecentContext(key, summary) {
+      writeLine({ kind: "context", key, at: Date.now(), summary });
+      memory.saveRecentContext(key, summary);
+    },
+
+    markIntervention(key, at = Date.now()) {
+      writeLine({ kind: "intervention", key, at });
+      memory.markIntervention(key, at);
+    },
+
+    saveDecision(decision) {
+      writeLine({ kind: "decision", decision });
+      memory.saveDecision(decision);
+    },
+
+    saveOutcome(uid, outcome) {
+      writeLine({ kind: "outcome", uid, outcome });
+      memory.saveOutcome(uid, outcome);
+    },
+  };
+}
+
+/**
+ * Build a store for the given driver name ("memory" or "jsonl").
+ * Options: `file` (jsonl only), `maxRecentEvents`, `maxContextEvents`,
+ * `maxDecisions`, `maxOutcomesPerUser`.
+ */
+function createStorage(driver, options = {}) {
+  if (driver === "memory") return createMemoryStore(options);
+  if (driver === "jsonl") return createJsonlStore(options);
+  throw new Error(`Unknown storage driver "${driver}". Use one of: ${STORAGE_DRIVERS.join(", ")}`);
+}
+
+module.exports = {
+  STORAGE_DRIVERS,
+  createStorage,
+};
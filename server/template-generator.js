@@ -0,0 +1,290 @@
+// ===== Focus Flow - Offline Template Generator =====
+// Deterministic stand-in for an LLM. Produces decisions, flashcards, mascot
+// scripts and mascot replies that pass the same sanitizers and quality
+// checks as model output, so interventions keep working with no network or
+// API keys.
+// The same input always produces the same output.
+
+const FLASHCARD_BANK = {
+  coding: [
+    {
+      question: "What is the main purpose of a loop in a program?",
+      options: [
+        "To repeat a block of code while a condition holds",
+        "To store several values under one name",
+        "To stop the program when an error occurs",
+        "To convert code into machine instructions",
+      ],
+      answer: "To repeat a block of code while a condition holds",
+      hint: "Think about code that runs more than once.",
+      explanation: "A loop re-runs its body until its condition becomes false. It saves writing the same statements many times.",
+    },
+    {
+      question: "What does a function return when it reaches a return statement?",
+      options: [
+        "The value after the return keyword, back to the caller",
+        "A copy of every variable declared inside the function",
+        "Nothing, because return only ends the loop",
+        "The source code of the function itself",
+      ],
+      answer: "The value after the return keyword, back to the caller",
+      hint: "Consider what the calling code receives.",
+      explanation: "A return statement ends the function and hands its value to the caller. Code after it in the function does not run.",
+    },
+    {
+      question: "Which data structure removes items in last-in, first-out order?",
+      options: ["A stack", "A queue", "A linked list sorted by value", "A binary search tree"],
+      answer: "A stack",
+      hint: "Picture a pile of plates.",
+      explanation: "A stack adds and removes from the same end, so the newest item leaves first. A queue removes the oldest item first.",
+    },
+  ],
+  math: [
+    {
+      question: "What does the derivative of a function describe at a point?",
+      options: [
+        "The instantaneous rate of change of the function",
+        "The total area under the curve",
+        "The largest value the function can take",
+        "The point where the function crosses the y-axis",
+      ],
+      answer: "The instantaneous rate of change of the function",
+      hint: "Think about the slope of the tangent line.",
+      explanation: "The derivative is the slope of the tangent line at that point. It tells how fast the output changes as the input changes.",
+    },
+    {
+      question: "To solve the equation 3x + 6 = 15, what is the value of x?",
+      options: ["x = 3", "x = 5", "x = 7", "x = 9"],
+      answer: "x = 3",
+      hint: "Subtract 6 from both sides first.",
+      explanation: "Subtracting 6 gives 3x = 9, and dividing by 3 gives x = 3. Undo operations in reverse order to isolate x.",
+    },
+  ],
+  physics: [
+    {
+      question: "According to Newton's second law, what happens to acceleration if the net force doubles and mass stays the same?",
+      options: ["Acceleration doubles", "Acceleration halves", "Acceleration stays the same", "Acceleration becomes zero"],
+      answer: "Acceleration doubles",
+      hint: "Use F = m × a.",
+      explanation: "With F = m × a and constant mass, acceleration is proportional to force. Doubling the force doubles the acceleration.",
+    },
+    {
+      question: "Which quantity describes both the speed and direction of motion?",
+      options: ["Velocity", "Distance", "Mass", "Energy"],
+      answer: "Velocity",
+      hint: "One of these is a vector.",
+      explanation: "Velocity is a vector with magnitude and direction. Speed alone is only its magnitude.",
+    },
+  ],
+  chemistry: [
+    {
+      question: "What happens to an atom during oxidation?",
+      options: ["It loses electrons", "It gains electrons", "It gains protons", "It loses neutrons"],
+      answer: "It loses electrons",
+      hint: "Remember the phrase OIL RIG.",
+      explanation: "Oxidation is loss of electrons and reduction is gain. The two always happen together in a redox reaction.",
+    },
+    {
+      question: "What kind of bond forms when two atoms share a pair of electrons?",
+      options: ["A covalent bond", "An ionic bond", "A hydrogen bond", "A metallic bond"],
+      answer: "A covalent bond",
+      hint: "The electrons are shared, not transferred.",
+      explanation: "Covalent bonds form when atoms share electron pairs. Ionic bonds form when electrons are transferred between atoms.",
+    },
+  ],
+  biology: [
+    {
+      question: "What is the main role of an enzyme in a cell?",
+      options: [
+        "To speed up chemical reactions",
+        "To store genetic information",
+        "To provide the cell with a rigid wall",
+        "To carry oxygen in the blood",
+      ],
+      answer: "To speed up chemical reactions",
+      hint: "Enzymes are biological catalysts.",
+      explanation: "Enzymes lower the activation energy of reactions. This lets reactions in the cell happen fast enough to sustain life.",
+    },
+    {
+      question: "Which molecule carries the genetic instructions of an organism?",
+      options: ["DNA", "Glucose", "ATP", "Cholesterol"],
+      answer: "DNA",
+      hint: "It is found in the nucleus and forms a double helix.",
+      explanation: "DNA stores the instructions used to build proteins. Genes are segments of DNA.",
+    },
+  ],
+  history: [
+    {
+      question: "What is a treaty in the context of history?",
+      options: [
+        "A formal agreement between states",
+        "A timeline of events in one empire",
+        "A speech given at the start of a war",
+        "A census of a civilization's population",
+      ],
+      answer: "A formal agreement between states",
+      hint: "Think about how wars often end.",
+      explanation: "A treaty is a written agreement between states or rulers. Many wars end with a peace treaty setting new terms.",
+    },
+  ],
+  economics: [
+    {
+      question: "If demand rises while supply stays the same, what usually happens to the market price?",
+      options: ["It rises", "It falls", "It stays exactly the same", "It drops to zero"],
+      answer: "It rises",
+      hint: "More buyers compete for the same goods.",
+      explanation: "Higher demand with fixed supply shifts the equilibrium upward. Buyers bid prices up until quantity demanded matches supply.",
+    },
+  ],
+};
+
+function hashString(text) {
+  let hash = 0;
+  for (const ch of String(text || "")) {
+    hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  }
+  return hash;
+}
+
+function pick(list, seed) {
+  return list[hashString(seed) % list.length];
+}
+
+function topicLabel(input) {
+  return String(input?.study_topic || "").trim() || "your study topic";
+}
+
+// A topic term seen on the page, phrased for use after "on"/"about"
+function focusPhrase(input, profile) {
+  const topic = topicLabel(input);
+  const matched = (profile?.matched_terms || []).find(
+    (t) => t.length >= 4 && !topic.toLowerCase().includes(t)
+  );
+  return matched ? `${matched} in ${topic}` : `the last ${topic} concept you covered`;
+}
+
+function buildFlashcard(input, profile) {
+  const topic = topicLabel(input);
+  const bank = FLASHCARD_BANK[profile?.topic_family];
+  if (bank) return pick(bank, `${topic}|${input?.page_title || ""}`);
+
+  // General topics: a recall check built around the topic itself
+  const answer = `Explain the main idea of ${topic} in your own words, then check it against your notes`;
+  return {
+    question: `You just read a section on ${topic}. Which study step best confirms you understood it?`,
+    options: [
+      answer,
+      `Re-read the same ${topic} section again without pausing`,
+      `Highlight every sentence in the ${topic} material`,
+      `Move on to the next ${topic} chapter immediately`,
+    ],
+    answer,
+    hint: "Active recall beats passive re-reading.",
+    explanation: `Retrieving ${topic} from memory shows what you actually know. Comparing with notes catches gaps early.`,
+  };
+}
+
+function buildMascotScript(input, profile) {
+  const topic = topicLabel(input);
+  const domain = input?.domain || "this site";
+  const focus = focusPhrase(input, profile);
+
+  return [
+    { speaker: "devil", text: `Just one more scroll on ${domain} — ${topic} will still be there later.` },
+    { speaker: "angel", text: `Close ${domain} and spend five minutes writing down what you know about ${focus}.` },
+    { speaker: "devil", text: `You deserve a break from ${topic}; ${domain} is way more fun right now.` },
+    { speaker: "angel", text: `Earn that break: answer one practice question on ${focus}, then decide about ${domain}.` },
+  ];
+}
+
+// Reasons that usually mean the page is needed for coursework
+const STUDY_REASON_TERMS = [
+  "assignment", "homework", "research", "lecture", "tutorial", "course", "class",
+  "exam", "project", "reference", "source", "cite", "documentation", "docs",
+  "notes", "professor", "teacher", "lab", "paper", "essay", "syllabus",
+];
+
+function buildMascotReply(input, profile) {
+  const topic = topicLabel(input);
+  const domain = input?.domain || "this site";
+  const message = String(input?.user_message || "").toLowerCase();
+  const words = message.split(/[^a-z0-9]+/);
+  const givesStudyReason = STUDY_REASON_TERMS.some((term) => words.includes(term));
+  const mentionsTopic = topic
+    .toLowerCase()
+    .split(/\s+/)
+    .some((term) => term.length >= 4 && message.includes(term));
+
+  if (givesStudyReason && (mentionsTopic || (profile?.relevance_score || 0) >= 0.2 || input?.last_turn)) {
+    return {
+      turns: [
+        { speaker: "devil", text: `Ugh, a real ${topic} reason. Fine, keep ${domain}.` },
+        { speaker: "angel", text: `Okay — 10 minutes on ${domain} for that, then straight back to ${topic}.` },
+      ],
+      verdict: "grant",
+      exception_minutes: 10,
+      reason: "study_reason_given",
+    };
+  }
+
+  // A study reason that doesn't match the page yet gets a follow-up question
+  if (!input?.last_turn) {
+    return {
+      turns: [
+        { speaker: "angel", text: `What exactly do you need from ${domain} for ${topic}? Name the assignment or the part you're looking up.` },
+      ],
+      verdict: "continue",
+      exception_minutes: 0,
+      reason: "needs_specifics",
+    };
+  }
+
+  return {
+    turns: [
+      { speaker: "devil", text: `See? ${domain} wins again.` },
+      { speaker: "angel", text: `That doesn't sound like ${topic} work. Close ${domain} and review ${focusPhrase(input, profile)} for five minutes.` },
+    ],
+    verdict: "deny",
+    exception_minutes: 0,
+    reason: "no_study_reason",
+  };
+}
+
+function buildDecision(input) {
+  const trigger = input?.trigger_type || "";
+  const requested = input?.requested_intervention || null;
+  const offTopic = input?.is_allowed === false || trigger.startsWith("offtopic_site");
+  const idle = (input?.inactivity_seconds || 0) > 40 || trigger.startsWith("idle_allowed_site");
+  const irrelevant = input?.is_relevant_to_topic === false;
+
+  let intervention = "none";
+  if (requested === "mascot_chat" || requested === "flashcard") intervention = requested;
+  else if (offTopic) intervention = "mascot_chat";
+  else if (idle || irrelevant) intervention = "flashcard";
+
+  return {
+    status: intervention === "mascot_chat" ? "distracted" : intervention === "flashcard" ? "mild_distraction" : "focused",
+    confidence: intervention === "none" ? 0.6 : 0.75,
+    intervention,
+    cooldown_seconds: 90,
+    reason_codes: [
+      "template_provider",
+      requested ? `requested_${requested}` : offTopic ? "offtopic_site" : idle ? "idle" : irrelevant ? "low_relevance" : "on_task",
+    ],
+  };
+}
+
+/**
+ * Build the JSON object a model would have returned for `task`.
+ */
+function generateTemplateJson({ task, input, profile } = {}) {
+  if (task === "flashcard") return buildFlashcard(input, profile);
+  if (task === "mascot_script") return { mascot_script: buildMascotScript(input, profile) };
+  if (task === "analyze") return buildDecision(input);
+  if (task === "mascot_reply") return buildMascotReply(input, profile);
+  throw new Error(`template_unsupported_task:${task}`);
+}
+
+module.exports = {
+  generateTemplateJson,
+};
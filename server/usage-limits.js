@@ -0,0 +1,198 @@
+// ===== Focus Flow - LLM Usage Limits =====
+// Meters every network LLM call (the template provider is free) per user and
+// across the server:
+//
+//   per minute  userCallsPerMinute / globalCallsPerMinute, sliding window
+//   per day     userDailyCalls / userDailyTokens / globalDailyTokens, UTC day
+//
+// A limit of 0 is off. Tokens are estimated from prompt and response length
+// (about 4 characters per token); providers don't all report real usage.
+// Counters live in memory and start over when the server restarts.
+
+const MINUTE_MS = 60 * 1000;
+const CHARS_PER_TOKEN = 4;
+
+const DEFAULT_LIMITS = {
+  userCallsPerMinute: 20,
+  globalCallsPerMinute: 120,
+  userDailyCalls: 400,
+  userDailyTokens: 300000,
+  globalDailyTokens: 0,
+  costPer1kTokens: 0,
+};
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / CHARS_PER_TOKEN);
+}
+
+function dayKey(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function emptyUsage() {
+  return { calls: 0, failed_calls: 0, prompt_tokens: 0, response_tokens: 0, tokens: 0, degraded: {}, by_task: {}, by_provider: {} };
+}
+
+function addTo(map, key, tokens) {
+  const entry = map[key] || (map[key] = { calls: 0, tokens: 0 });
+  entry.calls += 1;
+  entry.tokens += tokens;
+}
+
+// Drop timestamps older than a minute; the lists are in call order
+function pruneWindow(times, now) {
+  while (times.length && now - times[0] >= MINUTE_MS) times.shift();
+  return times;
+}
+
+/**
+ * Read limits from env, e.g. LLM_USER_CALLS_PER_MINUTE=20. Unset or invalid
+ * values keep the default.
+ */
+function limitsFromEnv(env = process.env) {
+  const read = (name, fallback) => {
+    const value = Number(env[name]);
+    return env[name] !== undefined && env[name] !== "" && Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+  return {
+    userCallsPerMinute: read("LLM_USER_CALLS_PER_MINUTE", DEFAULT_LIMITS.userCallsPerMinute),
+    globalCallsPerMinute: read("LLM_GLOBAL_CALLS_PER_MINUTE", DEFAULT_LIMITS.globalCallsPerMinute),
+    userDailyCalls: read("LLM_USER_DAILY_CALLS", DEFAULT_LIMITS.userDailyCalls),
+    userDailyTokens: read("LLM_USER_DAILY_TOKENS", DEFAULT_LIMITS.userDailyTokens),
+    globalDailyTokens: read("LLM_GLOBAL_DAILY_TOKENS", DEFAULT_LIMITS.globalDailyTokens),
+    costPer1kTokens: read("LLM_COST_PER_1K_TOKENS", DEFAULT_LIMITS.costPer1kTokens),
+  };
+}
+
+function createUsageLimiter(limits = {}) {
+  const config = { ...DEFAULT_LIMITS, ...limits };
+  const userWindows = new Map();
+  const globalWindow = [];
+  const users = new Map();
+  let totals = emptyUsage();
+  let day = null;
+
+  function rollDay(now) {
+    const key = dayKey(now);
+    if (key === day) return;
+    day = key;
+    users.clear();
+    userWindows.clear();
+    totals = emptyUsage();
+  }
+
+  function usageOf(uid) {
+    if (!users.has(uid)) users.set(uid, emptyUsage());
+    return users.get(uid);
+  }
+
+  function withCost(usage) {
+    return {
+      ...usage,
+      estimated_cost: config.costPer1kTokens ? Number(((usage.tokens / 1000) * config.costPer1kTokens).toFixed(4)) : null,
+    };
+  }
+
+  function remaining(limit, used) {
+    return limit ? Math.max(0, limit - used) : null;
+  }
+
+  return {
+    limits: config,
+
+    /**
+     * Reason a metered call for `uid` may not go out now, or null.
+     */
+    check(uid, now = Date.now()) {
+      rollDay(now);
+      const mine = pruneWindow(userWindows.get(uid) || [], now);
+      pruneWindow(globalWindow, now);
+      const usage = users.get(uid) || emptyUsage();
+
+      if (config.userCallsPerMinute && mine.length >= config.userCallsPerMinute) return "user_rate_limited";
+      if (config.globalCallsPerMinute && globalWindow.length >= config.globalCallsPerMinute) return "global_rate_limited";
+      if (config.userDailyCalls && usage.calls >= config.userDailyCalls) return "user_daily_calls_exhausted";
+      if (config.userDailyTokens && usage.tokens >= config.userDailyTokens) return "user_daily_tokens_exhausted";
+      if (config.globalDailyTokens && totals.tokens >= config.globalDailyTokens) return "global_daily_tokens_exhausted";
+      return null;
+    },
+
+    /**
+     * Count one network call. Failed calls count too: the provider may
+     * still have billed the prompt.
+     */
+    record(uid, { task = "unknown", provider = "unknown", prompt = "", response = "", failed = false }, now = Date.now()) {
+      rollDay(now);
+      if (!userWindows.has(uid)) userWindows.set(uid, []);
+      userWindows.get(uid).push(now);
+      globalWindow.push(now);
+
+      const promptTokens = estimateTokens(prompt);
+      const responseTokens = estimateTokens(response);
+      [usageOf(uid), totals].forEach((usage) => {
+        usage.calls += 1;
+        if (failed) usage.failed_calls += 1;
+        usage.prompt_tokens += promptTokens;
+        usage.response_tokens += responseTokens;
+        usage.tokens += promptTokens + responseTokens;
+        addTo(usage.by_task, task, promptTokens + responseTokens);
+        addTo(usage.by_provider, provider, promptTokens + responseTokens);
+      });
+    },
+
+    /**
+     * Count a call that was answered with template content because of `reason`.
+     */
+    recordDegraded(uid, reason, now = Date.now()) {
+      rollDay(now);
+      [usageOf(uid), totals].forEach((usage) => {
+        usage.degraded[reason] = (usage.degraded[reason] || 0) + 1;
+      });
+    },
+
+    /**
+     * Today's usage for one user, with what is left of the daily budget.
+     */
+    report(uid, now = Date.now()) {
+      rollDay(now);
+      const usage = users.get(uid) || emptyUsage();
+      return {
+        uid,
+        date: day,
+        ...withCost(usage),
+        calls_last_minute: pruneWindow(userWindows.get(uid) || [], now).length,
+        remaining: {
+          daily_calls: remaining(config.userDailyCalls, usage.calls),
+          daily_tokens: remaining(config.userDailyTokens, usage.tokens),
+        },
+      };
+    },
+
+    /**
+     * Every user active today, most tokens first.
+     */
+    reportAll(now = Date.now()) {
+      rollDay(now);
+      return [...users.keys()].map((uid) => this.report(uid, now)).sort((a, b) => b.tokens - a.tokens);
+    },
+
+    /**
+     * Server-wide totals for /health.
+     */
+    overview(now = Date.now()) {
+      rollDay(now);
+      return {
+        date: day,
+        limits: config,
+        users: users.size,
+        calls_last_minute: pruneWindow(globalWindow, now).length,
+        ...withCost(totals),
+      };
+    },
+  };
+}
+
+module.exports = {
+  limitsFromEnv,
+  createUsageLimiter,
+};
@@ -6,9 +6,59 @@ import {
   getCurrentSessionId,
   loadActiveSession,
   clearStaleSession,
+  createActiveSession,
   updateActiveSession,
+  endActiveSession,
+  saveSessionToCloud,
   isSessionStale,
+  loadScheduleFromCloud,
+  saveFlashcardToCloud,
+  saveFlashcardsToCloud,
+  loadFlashcardDeckFromCloud,
 } from "./sync.js";
+import {
+  getActiveElapsed,
+  getPausedMs,
+  isOnBreak,
+  getPhaseRemainingMs,
+  advanceIntervalPhase,
+  getPlanProgress,
+  evaluateSessionGoal,
+} from "./session-time.js";
+import { isUrlAllowedForSession, SITE_MODE, TEMPORARY_UNLOCK_MINUTES } from "./site-rules.js";
+import {
+  FLASHCARD_DECK_KEY,
+  createDeckCard,
+  findMatchingCard,
+  gradeAnswer,
+  reviewCard,
+  getDueCards,
+  getNextImportedCard,
+  upsertCard,
+  mergeDecks,
+} from "./flashcard-deck.js";
+import {
+  SITE_BUDGETS_KEY,
+  SITE_BUDGET_USAGE_KEY,
+  findBudgetDomain,
+  getBudgetStatus,
+  addBudgetUsage,
+} from "./site-budgets.js";
+import {
+  SCHEDULE_KEY,
+  SCHEDULE_SKIPS_KEY,
+  SCHEDULE_NOTICE_LEAD_MS,
+  getNextOccurrence,
+} from "./schedule.js";
+import {
+  OUTBOX_KEY,
+  normalizeOutbox,
+  enqueueOutboxItem,
+  removeOutboxItem,
+  markOutboxFailure,
+  markOutboxOnline,
+  nextRetryDelay,
+} from "./outbox.js";
 
 // ===== Badge + Parse Pipeline + Session Sync Alarms =====
 
@@ -17,11 +67,27 @@ const PARSE_FLUSH_ALARM_NAME = "focusflow-parse-flush";
 const SESSION_SYNC_ALARM_NAME = "focusflow-session-sync";
 const SESSION_REMOTE_CHECK_ALARM_NAME = "focusflow-session-remote-check";
 const SESSION_DISCOVERY_ALARM_NAME = "focusflow-session-discovery";
+const INTERVAL_PHASE_ALARM_NAME = "focusflow-interval-phase";
+// Per-entry alarms are named `${SCHEDULE_ALARM_PREFIX}<notice|start>:<entryId>`
+const SCHEDULE_ALARM_PREFIX = "focusflow-schedule:";
+const SCHEDULE_END_ALARM_NAME = "focusflow-schedule-end";
+const SCHEDULE_NOTIFICATION_PREFIX = "focusflow-schedule-notice:";
+const GOAL_NOTIFICATION_ID = "focusflow-goal-reached";
+const TEMP_ALLOW_ALARM_PREFIX = "focusflow-temp-allow:";
+const OUTBOX_RETRY_ALARM_NAME = "focusflow-outbox-retry";
+
+// Version of the parse/analyze payloads below; see server/payload-schema.js
+const PAYLOAD_SCHEMA_VERSION = 2;
 
 const PARSE_API_ENDPOINT_KEY = "parseApiEndpoint";
 const DEFAULT_PARSE_API_ENDPOINT = "http://localhost:3000/api/parse";
 const AI_API_ENDPOINT_KEY = "aiApiEndpoint";
 const DEFAULT_AI_API_ENDPOINT = "http://localhost:3000/api/ai/analyze";
+// Optional locally issued key, used when no Firebase user is signed in
+const AI_API_KEY_KEY = "aiApiKey";
+// Decision waiting for the user to get back to an allowed site after "devil"
+const PENDING_RETURN_KEY = "pendingInterventionReturn";
+const RETURN_WINDOW_MS = 30 * 60 * 1000;
 const parseBatchQueue = [];
 let isFlushingParseQueue = false;
 const aiInterventionState = {
@@ -66,17 +132,65 @@ function formatBadgeTime(ms) {
 async function updateBadge() {
   const { session } = await chrome.storage.local.get(["session"]);
 
-  if (session && session.active && session.startTime) {
-    const elapsed = Date.now() - session.startTime;
-    const text = formatBadgeTime(elapsed);
+  if (session && session.active && session.paused) {
+    chrome.action.setBadgeText({ text: "II" });
+    chrome.action.setBadgeBackgroundColor({ color: "#ABABAB" });
+  } else if (session && session.active && session.interval) {
+    // Interval mode: phase initial + minutes left in the phase, e.g. "W12" / "B4"
+    const onBreak = isOnBreak(session);
+    const minutesLeft = Math.ceil(getPhaseRemainingMs(session) / 60000);
+
+    chrome.action.setBadgeText({ text: `${onBreak ? "B" : "W"}${minutesLeft}` });
+    chrome.action.setBadgeBackgroundColor({ color: onBreak ? "#6BCF7F" : "#F47D5B" });
+  } else if (session && session.active && session.startTime) {
+    // With a planned duration: percent done until reached, then elapsed time in green
+    const progress = getPlanProgress(session);
+    const text =
+      progress && !progress.reached
+        ? `${Math.floor(progress.ratio * 100)}%`
+        : formatBadgeTime(getActiveElapsed(session));
 
     chrome.action.setBadgeText({ text });
-    chrome.action.setBadgeBackgroundColor({ color: "#F47D5B" });
+    chrome.action.setBadgeBackgroundColor({ color: progress && progress.reached ? "#6BCF7F" : "#F47D5B" });
   } else {
     chrome.action.setBadgeText({ text: "" });
   }
 }
 
+/**
+ * Notify once when the planned duration is reached, with the focus score
+ * against the session's score goal. Runs on the badge alarm.
+ */
+async function checkPlannedGoal() {
+  const { session } = await chrome.storage.local.get(["session"]);
+  // Scheduled sessions end at their planned time and send their own notification
+  if (!session || !session.active || session.paused || session.goalReachedAt || session.scheduleId) return;
+
+  const progress = getPlanProgress(session);
+  if (!progress || !progress.reached) return;
+
+  await chrome.storage.local.set({ session: { ...session, goalReachedAt: Date.now() } });
+
+  const stats = session.distractionStats || {};
+  const focusScore = computeFocusScoreBg(progress.elapsedMs, stats.totalTime || 0);
+  const scoreNote = session.goalScore
+    ? focusScore >= session.goalScore
+      ? ` Focus score ${focusScore}% — goal of ${session.goalScore}% met.`
+      : ` Focus score ${focusScore}% — below your ${session.goalScore}% goal.`
+    : ` Focus score: ${focusScore}%.`;
+
+  try {
+    chrome.notifications.create(GOAL_NOTIFICATION_ID, {
+      type: "basic",
+      iconUrl: "icons/icon128.png",
+      title: "Planned Time Reached",
+      message: `${session.plannedMinutes} minutes on "${session.topic}".${scoreNote}`,
+    });
+  } catch (e) {
+    console.warn("Focus Flow: notification failed", e);
+  }
+}
+
 async function startBadgeAlarm() {
   await chrome.alarms.create(BADGE_ALARM_NAME, { periodInMinutes: 0.5 });
 }
@@ -93,6 +207,71 @@ async function stopParseFlushAlarm() {
   await chrome.alarms.clear(PARSE_FLUSH_ALARM_NAME);
 }
 
+/**
+ * Stop the badge, parse and sync alarms while a session is paused.
+ * The remote-check alarm keeps running so a remote end is still detected.
+ */
+function applyPausedState() {
+  stopBadgeAlarm();
+  stopParseFlushAlarm();
+  stopSessionSyncAlarm();
+  stopIntervalPhaseAlarm();
+  parseBatchQueue.splice(0, parseBatchQueue.length);
+  updateBadge();
+}
+
+// ===== Interval (Pomodoro) Phase Alarm =====
+
+/**
+ * Schedule a one-shot alarm for the end of the current work/break phase.
+ * Re-creating the alarm with the same name replaces any earlier one.
+ */
+async function scheduleIntervalPhaseAlarm(session) {
+  if (!session || !session.active || session.paused || !session.interval?.phaseEndsAt) {
+    await stopIntervalPhaseAlarm();
+    return;
+  }
+  await chrome.alarms.create(INTERVAL_PHASE_ALARM_NAME, { when: session.interval.phaseEndsAt });
+}
+
+async function stopIntervalPhaseAlarm() {
+  await chrome.alarms.clear(INTERVAL_PHASE_ALARM_NAME);
+}
+
+/**
+ * Switch the session to its next phase and tell the user.
+ * The storage change listener reschedules the alarm for the new phase.
+ */
+async function handleIntervalPhaseEnd() {
+  const { session } = await chrome.storage.local.get(["session"]);
+  if (!session || !session.active || session.paused || !session.interval) return;
+
+  // Phase was extended (e.g. by a pause) after this alarm was set
+  if (session.interval.phaseEndsAt > Date.now() + 1000) {
+    scheduleIntervalPhaseAlarm(session);
+    return;
+  }
+
+  const next = advanceIntervalPhase(session);
+  await chrome.storage.local.set({ session: next });
+
+  const onBreak = isOnBreak(next);
+  const cycles = next.interval.cycles.length;
+
+  try {
+    chrome.notifications.create("focusflow-interval-phase", {
+      type: "basic",
+      iconUrl: "icons/icon128.png",
+      title: onBreak ? "Break Time" : "Back to Work",
+      message: onBreak
+        ? `Nice work! Take a ${next.interval.breakMinutes} minute break.`
+        : `Cycle ${cycles} complete. Next ${next.interval.workMinutes} minutes on "${next.topic}".`,
+    });
+  } catch (e) {
+    console.warn("Focus Flow: notification failed", e);
+  }
+}
+
 // ===== Session Sync Alarm (every 2 minutes) =====
 
 async function startSessionSyncAlarm() {
@@ -144,16 +323,21 @@ async function syncSessionToFirestore() {
 
   if (!session || !session.active || !session.firestoreSessionId) return;
 
-  const elapsed = Date.now() - (session.startTime || Date.now());
+  const elapsed = getActiveElapsed(session);
   const stats = session.distractionStats || {};
 
   try {
     await updateActiveSession(session.firestoreSessionId, {
       duration: elapsed,
+      paused: Boolean(session.paused),
+      pausedAt: session.pausedAt || null,
+      pausedIntervals: session.pausedIntervals || [],
+      interval: session.interval || null,
       distractions: stats.count || 0,
       distractionTime: stats.totalTime || 0,
       distractingSites: stats.sites || {},
       choices: stats.choices || { angel: 0, devil: 0 },
+      exceptions: session.exceptions || [],
       focusScore: computeFocusScoreBg(elapsed, stats.totalTime || 0),
     });
   } catch (e) {
@@ -203,7 +387,7 @@ async function handleRemoteSessionEnd(localSession) {
     console.warn("Focus Flow: could not load final session stats from cloud", e);
   }
 
-  const elapsed = Date.now() - (localSession.startTime || Date.now());
+  const elapsed = getActiveElapsed(localSession);
   const stats = localSession.distractionStats || {};
 
   // Build session record using cloud data if available, falling back to local
@@ -212,12 +396,23 @@ async function handleRemoteSessionEnd(localSession) {
     startTime: localSession.startTime,
     endTime: finalStats?.endTime || Date.now(),
     duration: finalStats?.duration || elapsed,
+    pausedTime: finalStats?.pausedTime ?? getPausedMs(localSession),
+    interval: localSession.interval
+      ? { workMinutes: localSession.interval.workMinutes, breakMinutes: localSession.interval.breakMinutes }
+      : null,
+    cycles: finalStats?.cycles || localSession.interval?.cycles || [],
+    plannedMinutes: localSession.plannedMinutes || null,
+    goalScore: localSession.goalScore || null,
+    templateId: localSession.templateId || null,
+    templateName: localSession.templateName || null,
     focusScore: finalStats?.focusScore ?? computeFocusScoreBg(elapsed, stats.totalTime || 0),
     distractions: finalStats?.distractions ?? (stats.count || 0),
     distractionTime: finalStats?.distractionTime ?? (stats.totalTime || 0),
     distractingSites: finalStats?.distractingSites || stats.sites || {},
     choices: finalStats?.choices || stats.choices || { angel: 0, devil: 0 },
+    exceptions: finalStats?.exceptions || localSession.exceptions || [],
   };
+  sessionRecord.goalMet = evaluateSessionGoal(sessionRecord)?.met ?? null;
 
   // Save to local history
   await saveSessionHistoryLocalBg(sessionRecord);
@@ -230,6 +425,7 @@ async function handleRemoteSessionEnd(localSession) {
   stopParseFlushAlarm();
   stopSessionSyncAlarm();
   stopSessionRemoteCheckAlarm();
+  stopIntervalPhaseAlarm();
   startSessionDiscoveryAlarm();
   chrome.action.setBadgeText({ text: "" });
 
@@ -269,6 +465,243 @@ async function saveSessionHistoryLocalBg(record) {
   await chrome.storage.local.set({ sessionHistory });
 }
 
+// ===== Weekly Schedule =====
+
+/**
+ * Re-create the notice and start alarms for every schedule entry.
+ * Called on startup, whenever the schedule changes, and after each start.
+ */
+async function registerScheduleAlarms() {
+  const alarms = await chrome.alarms.getAll();
+  await Promise.all(
+    alarms
+      .filter((alarm) => alarm.name.startsWith(SCHEDULE_ALARM_PREFIX))
+      .map((alarm) => chrome.alarms.clear(alarm.name))
+  );
+
+  const { [SCHEDULE_KEY]: schedule = [] } = await chrome.storage.local.get([SCHEDULE_KEY]);
+  const now = Date.now();
+
+  schedule.forEach((entry) => {
+    const startAt = getNextOccurrence(entry, now);
+    chrome.alarms.create(`${SCHEDULE_ALARM_PREFIX}start:${entry.id}`, { when: startAt });
+
+    const noticeAt = startAt - SCHEDULE_NOTICE_LEAD_MS;
+    if (noticeAt > now) {
+      chrome.alarms.create(`${SCHEDULE_ALARM_PREFIX}notice:${entry.id}`, { when: noticeAt });
+    }
+  });
+}
+
+async function syncScheduleFromCloud() {
+  try {
+    const schedule = await loadScheduleFromCloud();
+    if (schedule) {
+      await chrome.storage.local.set({ [SCHEDULE_KEY]: schedule });
+    }
+  } catch (e) {
+    console.warn("Focus Flow: failed to load schedule from cloud", e);
+  }
+}
+
+async function handleScheduleAlarm(alarm) {
+  const [kind, entryId] = alarm.name.slice(SCHEDULE_ALARM_PREFIX.length).split(":");
+  const data = await chrome.storage.local.get([SCHEDULE_KEY, SCHEDULE_SKIPS_KEY]);
+  const entry = (data[SCHEDULE_KEY] || []).find((e) => e.id === entryId);
+  if (!entry) return;
+
+  if (kind === "notice") {
+    const startAt = getNextOccurrence(entry, Date.now());
+    try {
+      chrome.notifications.create(`${SCHEDULE_NOTIFICATION_PREFIX}${entry.id}:${startAt}`, {
+        type: "basic",
+        iconUrl: "icons/icon128.png",
+        title: "Study Session Starting Soon",
+        message: `"${entry.topic}" starts at ${entry.time} for ${entry.durationMinutes} minutes.`,
+        buttons: [{ title: "Skip this one" }],
+        requireInteraction: true,
+      });
+    } catch (e) {
+      console.warn("Focus Flow: schedule notification failed", e);
+    }
+    return;
+  }
+
+  if (kind === "start") {
+    const skips = { ...(data[SCHEDULE_SKIPS_KEY] || {}) };
+    const skipped = skips[entry.id] === alarm.scheduledTime;
+    delete skips[entry.id];
+    await chrome.storage.local.set({ [SCHEDULE_SKIPS_KEY]: skips });
+    await registerScheduleAlarms();
+
+    if (!skipped) {
+      await startScheduledSession(entry);
+    }
+  }
+}
+
+/**
+ * Start a session from a schedule entry, the same way the popup's
+ * handleStartSession does (including the Firestore active session).
+ */
+async function startScheduledSession(entry) {
+  const { session: existing } = await chrome.storage.local.get(["session"]);
+  // Never interrupt a session that is already running
+  if (existing && existing.active) return;
+
+  try {
+    const existingSessionId = await getCurrentSessionId();
+    if (existingSessionId) {
+      const cloudSession = await loadActiveSession(existingSessionId);
+      if (cloudSession && !isSessionStale(cloudSession.startTime)) {
+        // Running on another device — discovery will offer it instead
+        return;
+      } else if (cloudSession) {
+        await clearStaleSession(existingSessionId);
+      }
+    }
+  } catch (e) {
+    console.warn("Focus Flow: could not check cloud session, proceeding locally", e);
+  }
+
+  const startTime = Date.now();
+  const session = {
+    active: true,
+    topic: entry.topic,
+    siteMode: SITE_MODE.ALLOWLIST,
+    allowedSites: [...(entry.allowedSites || [])],
+    blockedSites: [],
+    startTime,
+    interval: null,
+    plannedMinutes: entry.durationMinutes,
+    scheduleId: entry.id,
+    // End time without pauses; getScheduledEndAt adds the time spent paused
+    scheduledEndTime: startTime + entry.durationMinutes * 60000,
+  };
+
+  try {
+    const firestoreSessionId = await createActiveSession(session);
+    if (firestoreSessionId) {
+      session.firestoreSessionId = firestoreSessionId;
+    }
+  } catch (e) {
+    console.warn("Focus Flow: failed to create cloud session", e);
+  }
+
+  // Alarms (including the end alarm) start via the storage change listener
+  await chrome.storage.local.set({ session });
+
+  try {
+    chrome.notifications.create("focusflow-schedule-started", {
+      type: "basic",
+      iconUrl: "icons/icon128.png",
+      title: "Study Session Started",
+      message: `Your scheduled "${entry.topic}" session is running for ${entry.durationMinutes} minutes.`,
+    });
+  } catch (e) {
+    console.warn("Focus Flow: notification failed", e);
+  }
+}
+
+function getScheduledEndAt(session, now = Date.now()) {
+  return session.scheduledEndTime + getPausedMs(session, now);
+}
+
+/**
+ * Keep the end alarm at the scheduled session's end, pushed back by the time
+ * it spent paused. Cleared while paused and once the session ends, so a
+ * leftover alarm can't end a session started later.
+ */
+async function scheduleSessionEndAlarm(session) {
+  if (!session || !session.active || session.paused || !session.scheduleId || !session.scheduledEndTime) {
+    await chrome.alarms.clear(SCHEDULE_END_ALARM_NAME);
+    return;
+  }
+  await chrome.alarms.create(SCHEDULE_END_ALARM_NAME, { when: getScheduledEndAt(session) });
+}
+
+/**
+ * End a scheduled session when its planned time is up.
+ * Mirrors the popup's endSession so history and Firestore get the same record.
+ */
+async function endScheduledSession() {
+  const { session } = await chrome.storage.local.get(["session"]);
+  if (!session || !session.active || session.paused || !session.scheduleId || !session.scheduledEndTime) return;
+
+  // Pushed back by a pause after this alarm was set
+  if (getScheduledEndAt(session) > Date.now() + 1000) {
+    scheduleSessionEndAlarm(session);
+    return;
+  }
+
+  const endTime = Date.now();
+  const elapsed = getActiveElapsed(session, endTime);
+  const stats = session.distractionStats || {};
+
+  const sessionRecord = {
+    topic: session.topic,
+    duration: elapsed,
+    pausedTime: getPausedMs(session, endTime),
+    interval: session.interval
+      ? { workMinutes: session.interval.workMinutes, breakMinutes: session.interval.breakMinutes }
+      : null,
+    cycles: session.interval?.cycles || [],
+    scheduleId: session.scheduleId,
+    plannedMinutes: session.plannedMinutes || null,
+    goalScore: session.goalScore || null,
+    templateId: session.templateId || null,
+    templateName: session.templateName || null,
+    startTime: session.startTime,
+    endTime,
+    focusScore: computeFocusScoreBg(elapsed, stats.totalTime || 0),
+    distractions: stats.count || 0,
+    distractionTime: stats.totalTime || 0,
+    distractingSites: { ...(stats.sites || {}) },
+    choices: { ...(stats.choices || { angel: 0, devil: 0 }) },
+    exceptions: [...(session.exceptions || [])],
+  };
+  sessionRecord.goalMet = evaluateSessionGoal(sessionRecord)?.met ?? null;
+
+  await saveSessionHistoryLocalBg(sessionRecord);
+
+  if (session.firestoreSessionId) {
+    endActiveSession(session.firestoreSessionId, sessionRecord).catch((e) => {
+      console.warn("Focus Flow: failed to end cloud session", e);
+    });
+  } else {
+    saveSessionToCloud(sessionRecord).catch(() => {});
+  }
+
+  // Alarms stop via the storage change listener
+  await chrome.storage.local.remove("session");
+
+  try {
+    chrome.notifications.create("focusflow-schedule-ended", {
+      type: "basic",
+      iconUrl: "icons/icon128.png",
+      title: "Scheduled Session Complete",
+      message: `"${session.topic}" is done. Focus score: ${sessionRecord.focusScore}%.`,
+    });
+  } catch (e) {
+    console.warn("Focus Flow: notification failed", e);
+  }
+
+  chrome.runtime.sendMessage({
+    action: "scheduledSessionEnded",
+    sessionRecord,
+  }).catch(() => {});
+}
+
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  if (!notificationId.startsWith(SCHEDULE_NOTIFICATION_PREFIX) || buttonIndex !== 0) return;
+
+  const [entryId, startAt] = notificationId.slice(SCHEDULE_NOTIFICATION_PREFIX.length).split(":");
+  const { [SCHEDULE_SKIPS_KEY]: skips = {} } = await chrome.storage.local.get([SCHEDULE_SKIPS_KEY]);
+  skips[entryId] = Number(startAt);
+  await chrome.storage.local.set({ [SCHEDULE_SKIPS_KEY]: skips });
+  chrome.notifications.clear(notificationId);
+});
+
 // ===== Session Discovery (detect sessions started on other devices) =====
 
 /**
@@ -351,9 +784,65 @@ function checkpointActiveTabDuration() {
 
   tabTracking.perTabMs[tabTracking.activeTabId] =
     (tabTracking.perTabMs[tabTracking.activeTabId] || 0) + elapsed;
+  trackBudgetTime(tabTracking.activeTabId, elapsed);
   tabTracking.activeSince = Date.now();
 }
 
+// ===== Per-Site Daily Budgets =====
+// Active-tab time from checkpointActiveTabDuration is attributed to the tab's
+// domain and persisted as today's usage for domains that have a budget.
+
+const pendingBudgetMs = {};
+let budgetUsageWrite = Promise.resolve();
+
+function trackBudgetTime(tabId, elapsed) {
+  const domain = tabTracking.tabMeta[tabId]?.domain;
+  if (!domain) return;
+  pendingBudgetMs[domain] = (pendingBudgetMs[domain] || 0) + elapsed;
+  persistBudgetUsage();
+}
+
+// Writes are chained so concurrent checkpoints don't overwrite each other
+function persistBudgetUsage() {
+  budgetUsageWrite = budgetUsageWrite.then(flushBudgetUsage).catch((e) => {
+    console.warn("Focus Flow: failed to save site budget usage", e);
+  });
+  return budgetUsageWrite;
+}
+
+async function flushBudgetUsage() {
+  const entries = Object.entries(pendingBudgetMs);
+  if (!entries.length) return;
+  entries.forEach(([domain]) => delete pendingBudgetMs[domain]);
+
+  const data = await chrome.storage.local.get(["session", SITE_BUDGETS_KEY, SITE_BUDGET_USAGE_KEY]);
+  const session = data.session;
+  const budgets = data[SITE_BUDGETS_KEY] || {};
+
+  // Budget time only counts while the session is enforcing sites
+  if (!session || !session.active || session.paused || isOnBreak(session)) return;
+
+  let usage = data[SITE_BUDGET_USAGE_KEY] || null;
+  let changed = false;
+  entries.forEach(([host, ms]) => {
+    const domain = findBudgetDomain(host, budgets);
+    if (!domain) return;
+    usage = addBudgetUsage(usage, domain, ms);
+    changed = true;
+  });
+
+  if (changed) {
+    await chrome.storage.local.set({ [SITE_BUDGET_USAGE_KEY]: usage });
+  }
+}
+
+async function getSiteBudgetStatus(hostname) {
+  checkpointActiveTabDuration();
+  await persistBudgetUsage();
+  const data = await chrome.storage.local.get([SITE_BUDGETS_KEY, SITE_BUDGET_USAGE_KEY]);
+  return getBudgetStatus(hostname, data[SITE_BUDGETS_KEY] || {}, data[SITE_BUDGET_USAGE_KEY] || null);
+}
+
 function buildOpenTabsSnapshot() {
   function compactUrl(url) {
     try {
@@ -387,37 +876,372 @@ async function getAiEndpoint() {
   return res[AI_API_ENDPOINT_KEY] || DEFAULT_AI_API_ENDPOINT;
 }
 
+/**
+ * Request headers for the AI server: the signed-in user's Firebase ID token,
+ * or the local API key when nobody is signed in.
+ */
+async function getServerHeaders() {
+  const headers = { "Content-Type": "application/json" };
+
+  try {
+    if (auth.currentUser) {
+      headers.Authorization = `Bearer ${await auth.currentUser.getIdToken()}`;
+      return headers;
+    }
+  } catch (e) {
+    console.warn("Focus Flow: could not get ID token for AI server", e);
+  }
+
+  const res = await chrome.storage.local.get([AI_API_KEY_KEY]);
+  if (res[AI_API_KEY_KEY]) headers["X-Api-Key"] = res[AI_API_KEY_KEY];
+  return headers;
+}
+
 async function postParsedData(payload) {
-  const endpoint = await getParseEndpoint();
+  await postToServer("parse", payload);
+}
+
+// Analyze reachability is tracked apart from the outbox: an error on the
+// analyze route alone (e.g. a failing LLM) must not hold back parse uploads,
+// and only network failures back off, with the outbox's delays.
+let analyzeFailures = 0;
+let analyzeRetryAt = 0;
+
+async function requestAiDecision(payload) {
+  if (Date.now() < analyzeRetryAt) return null;
+  const endpoint = await getAiEndpoint();
 
+  let response;
   try {
-    await fetch(endpoint, {
+    response = await fetch(endpoint, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: await getServerHeaders(),
       body: JSON.stringify(payload),
     });
   } catch (error) {
-    console.warn("Focus Flow: parse post failed", error);
+    console.warn("Focus Flow: ai analyze failed", error);
+    analyzeFailures += 1;
+    analyzeRetryAt = Date.now() + nextRetryDelay(analyzeFailures);
+    return null;
+  }
+
+  // The server answered, so it is reachable even if this request failed
+  analyzeFailures = 0;
+  analyzeRetryAt = 0;
+  if (!response.ok) return null;
+
+  try {
+    const data = await response.json();
+    const outbox = await loadOutbox();
+    if (outbox.offline) flushOutbox();
+    return data?.decision || null;
+  } catch (error) {
+    console.warn("Focus Flow: ai analyze returned invalid JSON", error);
+    return null;
   }
 }
 
-async function requestAiDecision(payload) {
-  const endpoint = await getAiEndpoint();
+// The feedback route sits next to analyze, wherever the AI endpoint points
+async function getFeedbackEndpoint() {
+  return new URL("feedback", await getAiEndpoint()).toString();
+}
+
+async function postInterventionFeedback(body) {
+  await postToServer("feedback", body);
+}
+
+// ===== Server Outbox =====
+// Parse batches and feedback go straight to the server while it is reachable.
+// After a failure they queue in storage (see outbox.js) and are replayed in
+// order once /health answers, with exponential backoff between attempts.
+
+let outboxWrite = Promise.resolve();
+let isFlushingOutbox = false;
+
+async function loadOutbox() {
+  const res = await chrome.storage.local.get([OUTBOX_KEY]);
+  return normalizeOutbox(res[OUTBOX_KEY]);
+}
 
+// Updates are chained so enqueues during a flush don't overwrite each other
+function updateOutbox(fn) {
+  const run = outboxWrite.then(async () => {
+    const next = fn(await loadOutbox());
+    await chrome.storage.local.set({ [OUTBOX_KEY]: next });
+    return next;
+  });
+  outboxWrite = run.catch((e) => {
+    console.warn("Focus Flow: failed to save server outbox", e);
+  });
+  return run;
+}
+
+async function getOutboxEndpoint(kind) {
+  return kind === "feedback" ? getFeedbackEndpoint() : getParseEndpoint();
+}
+
+// Server errors, auth problems, timeouts and rate limits can clear up; other
+// client errors would fail the same way every time
+function isRetryableStatus(status) {
+  return status >= 500 || [401, 403, 408, 429].includes(status);
+}
+
+/**
+ * Send one outbox request. Resolves to `{ result }`, where result is "sent",
+ * "rejected" (dropped for good) or "retry" (with an `error` to record).
+ */
+async function sendOutboxItem(kind, body) {
   try {
-    const response = await fetch(endpoint, {
+    const response = await fetch(await getOutboxEndpoint(kind), {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(payload),
+      headers: await getServerHeaders(),
+      body: JSON.stringify(body),
+    });
+    if (response.ok) return { result: "sent" };
+    if (isRetryableStatus(response.status)) return { result: "retry", error: `HTTP ${response.status}` };
+
+    console.warn(`Focus Flow: server rejected ${kind} payload`, await response.text());
+    return { result: "rejected" };
+  } catch (error) {
+    console.warn(`Focus Flow: ${kind} post failed`, error);
+    return { result: "retry", error: error.message };
+  }
+}
+
+async function checkServerHealth() {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 5000);
+  try {
+    const url = new URL("/health", await getParseEndpoint()).toString();
+    const response = await fetch(url, { signal: controller.signal });
+    return response.ok;
+  } catch {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function postToServer(kind, body) {
+  const outbox = await loadOutbox();
+
+  // Anything already waiting goes first, so queue behind it
+  if (!outbox.items.length && !outbox.offline) {
+    const { result, error } = await sendOutboxItem(kind, body);
+    if (result !== "retry") return;
+    await updateOutbox((current) => markOutboxFailure(enqueueOutboxItem(current, kind, body), error));
+    scheduleOutboxRetry();
+    return;
+  }
+
+  await updateOutbox((current) => enqueueOutboxItem(current, kind, body));
+  flushOutbox();
+}
+
+/**
+ * Replay queued requests oldest first. Stops at the first failure and backs
+ * off; rejected requests are dropped so one bad payload can't block the rest.
+ */
+async function flushOutbox() {
+  if (isFlushingOutbox) return;
+  isFlushingOutbox = true;
+
+  try {
+    const outbox = await loadOutbox();
+    if (!outbox.items.length && !outbox.offline) return;
+    if (Date.now() < outbox.nextAttemptAt) {
+      scheduleOutboxRetry();
+      return;
+    }
+
+    if (!(await checkServerHealth())) {
+      await updateOutbox((current) => markOutboxFailure(current, "health check failed"));
+      scheduleOutboxRetry();
+      return;
+    }
+
+    while (true) {
+      const [item] = (await loadOutbox()).items;
+      if (!item) {
+        // Something may have been queued since the last read
+        const next = await updateOutbox((current) => (current.items.length ? current : markOutboxOnline(current)));
+        if (!next.items.length) break;
+        continue;
+      }
+
+      const { result, error } = await sendOutboxItem(item.kind, item.body);
+      if (result === "retry") {
+        await updateOutbox((current) => markOutboxFailure(current, error));
+        scheduleOutboxRetry();
+        return;
+      }
+      await updateOutbox((current) => removeOutboxItem(current, item.id));
+    }
+
+    await chrome.alarms.clear(OUTBOX_RETRY_ALARM_NAME);
+  } catch (e) {
+    console.warn("Focus Flow: outbox flush failed", e);
+  } finally {
+    isFlushingOutbox = false;
+  }
+}
+
+async function scheduleOutboxRetry() {
+  const { nextAttemptAt } = await loadOutbox();
+  if (!nextAttemptAt) return;
+  await chrome.alarms.create(OUTBOX_RETRY_ALARM_NAME, { when: Math.max(nextAttemptAt, Date.now() + 1000) });
+}
+
+async function handleInterventionFeedback(msg, sender) {
+  await postInterventionFeedback({
+    decision_id: msg.decisionId,
+    outcome: msg.outcome,
+    response_seconds: Math.round((Number(msg.responseMs) || 0) / 1000),
+  });
+
+  // Time the way back to study after the user chose to stay distracted
+  if (msg.outcome === "devil") {
+    let site = null;
+    try {
+      site = new URL(sender?.tab?.url || "").hostname;
+    } catch {
+      // keep null
+    }
+    await chrome.storage.local.set({
+      [PENDING_RETURN_KEY]: { decisionId: msg.decisionId, site, since: Date.now() },
     });
+  }
+}
+
+/**
+ * Called when an allowed page comes into view. Reports how long the user
+ * took to get back after staying on a distracting site.
+ */
+async function checkInterventionReturn(hostname) {
+  const res = await chrome.storage.local.get([PENDING_RETURN_KEY]);
+  const pending = res[PENDING_RETURN_KEY];
+  // "Continue anyway" allows the distracting site itself; that is not a return
+  if (!pending || pending.site === hostname) return;
+
+  await chrome.storage.local.remove(PENDING_RETURN_KEY);
+  const elapsed = Date.now() - pending.since;
+  if (elapsed > RETURN_WINDOW_MS) return;
+
+  await postInterventionFeedback({
+    decision_id: pending.decisionId,
+    outcome: "returned",
+    return_seconds: Math.round(elapsed / 1000),
+  });
+}
+
+// ===== Mascot Dialogue =====
 
+/**
+ * Forward the user's typed reason to the server's mascot dialogue. The first
+ * message of a conversation carries the page context and the script the
+ * user just watched. A granted exception becomes a temporary allow entry.
+ */
+async function sendMascotReply(msg, sender) {
+  const { session } = await chrome.storage.local.get(["session"]);
+  if (!session || !session.active) return null;
+
+  const body = msg.conversationId
+    ? { conversation_id: msg.conversationId, message: msg.message }
+    : {
+        message: msg.message,
+        script: msg.script || [],
+        study_topic: session.topic || "",
+        session_duration: Math.floor(getActiveElapsed(session) / 1000),
+        events: [{ ...(msg.event || {}), tab_id: sender?.tab?.id || null }],
+      };
+
+  let data;
+  try {
+    const endpoint = new URL("mascot/reply", await getAiEndpoint()).toString();
+    const response = await fetch(endpoint, {
+      method: "POST",
+      headers: await getServerHeaders(),
+      body: JSON.stringify(body),
+    });
     if (!response.ok) return null;
-    const data = await response.json();
-    return data?.decision || null;
+    data = await response.json();
   } catch (error) {
-    console.warn("Focus Flow: ai analyze failed", error);
+    console.warn("Focus Flow: mascot reply failed", error);
     return null;
   }
+
+  if (data.verdict === "grant" && msg.site) {
+    await grantTemporaryAllow(msg.site, data.exception_minutes, {
+      reason: msg.message,
+      source: "mascot",
+    });
+  }
+  return data;
+}
+
+/**
+ * Allow a site for a limited time. An alarm drops the entry when it
+ * expires so content scripts re-check the page. Resolves to false when no
+ * session is running, so nothing was granted.
+ */
+async function grantTemporaryAllow(site, minutes, { reason = "", source = "user" } = {}) {
+  const { session } = await chrome.storage.local.get(["session"]);
+  if (!session || !session.active) return false;
+
+  const now = Date.now();
+  const until = now + Math.max(1, minutes) * 60000;
+  session.temporaryAllows = [
+    ...(session.temporaryAllows || []).filter((entry) => entry.site !== site && entry.until > now),
+    { site, until, reason, source, grantedAt: now },
+  ];
+  // Kept for the history record after the allow itself expires
+  session.exceptions = [
+    ...(session.exceptions || []),
+    { site, minutes: Math.max(1, minutes), reason, source, grantedAt: now },
+  ];
+  await chrome.storage.local.set({ session });
+  chrome.alarms.create(`${TEMP_ALLOW_ALARM_PREFIX}${site}`, { when: until });
+  return true;
+}
+
+/**
+ * Shame-screen unlock: one of the fixed lengths, with a typed reason.
+ */
+async function handleTemporaryUnlock(msg) {
+  const minutes = Number(msg.minutes);
+  const reason = String(msg.reason || "").trim().slice(0, 200);
+  if (!msg.site || !TEMPORARY_UNLOCK_MINUTES.includes(minutes) || !reason) return false;
+
+  return grantTemporaryAllow(msg.site, minutes, { reason, source: "unlock" });
+}
+
+async function expireTemporaryAllows() {
+  const { session } = await chrome.storage.local.get(["session"]);
+  if (!session || !session.temporaryAllows) return;
+
+  const now = Date.now();
+  const active = session.temporaryAllows.filter((entry) => entry.until > now);
+  const expired = session.temporaryAllows.filter((entry) => entry.until <= now);
+  if (!expired.length) return;
+  session.temporaryAllows = active;
+  await chrome.storage.local.set({ session });
+
+  if (!session.active || session.paused || isOnBreak(session)) return;
+
+  // Tabs still on an expired site get the distraction flow again
+  const sites = new Set(expired.map((entry) => entry.site));
+  const tabs = await chrome.tabs.query({});
+  tabs.forEach((tab) => {
+    let hostname;
+    try {
+      hostname = new URL(tab.url).hostname;
+    } catch {
+      return;
+    }
+    if (!sites.has(hostname) || isUrlAllowedForSession(tab.url, session)) return;
+
+    chrome.tabs.sendMessage(tab.id, { action: "block", site: hostname }).catch(() => {});
+  });
 }
 
 function shouldTriggerIntervention(decision, payload = null) {
@@ -462,10 +1286,111 @@ async function dispatchAiIntervention(decision, payload, targetTabId = null) {
   }
 }
 
+// ===== Flashcard Deck =====
+
+/**
+ * Grade an answered flashcard and reschedule it. Generated cards join the
+ * deck on their first answer. Returns the updated card.
+ */
+async function recordFlashcardReview({ cardId, flashcard, topic, selected, responseMs }) {
+  const { [FLASHCARD_DECK_KEY]: deck = { cards: [] } } = await chrome.storage.local.get([FLASHCARD_DECK_KEY]);
+  const now = Date.now();
+
+  let card = cardId ? deck.cards.find((c) => c.id === cardId) : null;
+  if (!card && flashcard?.question) {
+    card = findMatchingCard(deck, flashcard, topic) || createDeckCard(flashcard, topic, now);
+  }
+  if (!card) return null;
+
+  const grade = gradeAnswer({ selected, answer: card.answer, responseMs });
+  const updated = reviewCard(card, grade, now);
+  await chrome.storage.local.set({ [FLASHCARD_DECK_KEY]: upsertCard(deck, updated) });
+
+  saveFlashcardToCloud(updated).catch((e) => {
+    console.warn("Focus Flow: failed to sync flashcard", e);
+  });
+  return updated;
+}
+
+/**
+ * Add parsed cards from a user's deck file, attached to a topic or a
+ * template. Cards already in the deck keep their schedule.
+ */
+async function importFlashcards({ cards = [], topic = "", templateId = null, deckName = null }) {
+  const { [FLASHCARD_DECK_KEY]: stored = { cards: [] } } = await chrome.storage.local.get([FLASHCARD_DECK_KEY]);
+  const now = Date.now();
+  let deck = stored;
+  const added = [];
+
+  cards.forEach((flashcard) => {
+    if (findMatchingCard(deck, flashcard, topic)) return;
+    const card = createDeckCard(flashcard, topic, now, { source: "import", deckName, templateId });
+    deck = upsertCard(deck, card);
+    added.push(card);
+  });
+
+  await chrome.storage.local.set({ [FLASHCARD_DECK_KEY]: deck });
+  saveFlashcardsToCloud(added).catch((e) => {
+    console.warn("Focus Flow: failed to sync imported flashcards", e);
+  });
+  return { added: added.length, duplicates: cards.length - added.length };
+}
+
+/**
+ * Merge the cloud deck into the local one and push back cards that were
+ * reviewed while offline.
+ */
+async function syncFlashcardDeckFromCloud() {
+  try {
+    const remote = await loadFlashcardDeckFromCloud();
+    if (!remote) return;
+
+    const { [FLASHCARD_DECK_KEY]: local = { cards: [] } } = await chrome.storage.local.get([FLASHCARD_DECK_KEY]);
+    const merged = mergeDecks(local, remote);
+    await chrome.storage.local.set({ [FLASHCARD_DECK_KEY]: merged });
+
+    const remoteById = new Map(remote.cards.map((c) => [c.id, c]));
+    const stale = merged.cards.filter((c) => (remoteById.get(c.id)?.updatedAt || 0) < c.updatedAt);
+    await saveFlashcardsToCloud(stale);
+  } catch (e) {
+    console.warn("Focus Flow: failed to sync flashcard deck", e);
+  }
+}
+
+/**
+ * Deck card for the session as an intervention, so idle triggers review
+ * due cards, then the session's imported deck, before asking the server
+ * for a new one.
+ */
+async function getDueDeckIntervention(session) {
+  const { [FLASHCARD_DECK_KEY]: deck } = await chrome.storage.local.get([FLASHCARD_DECK_KEY]);
+  const scope = { topic: session.topic || "", templateId: session.templateId || null };
+  const [due] = getDueCards(deck, scope);
+  const card = due || getNextImportedCard(deck, scope);
+  if (!card) return null;
+
+  return {
+    status: "mild_distraction",
+    confidence: 1,
+    intervention: "flashcard",
+    cooldown_seconds: 15,
+    reason_codes: [due ? "deck_review_due" : "imported_deck"],
+    deck_card_id: card.id,
+    flashcard: {
+      question: card.question,
+      options: card.options,
+      answer: card.answer,
+      hint: card.hint,
+      explanation: card.explanation,
+    },
+    mascot_script: null,
+  };
+}
+
 async function requestImmediateAiIntervention(triggerPayload, sender) {
   checkpointActiveTabDuration();
   const { session } = await chrome.storage.local.get(["session"]);
-  if (!session || !session.active) return;
+  if (!session || !session.active || session.paused || isOnBreak(session)) return;
 
   const tabId = sender?.tab?.id;
   if (tabId && sender.tab?.url) {
@@ -473,14 +1398,13 @@ async function requestImmediateAiIntervention(triggerPayload, sender) {
   }
 
   const payload = {
+    schema_version: PAYLOAD_SCHEMA_VERSION,
     type: "immediate",
     trigger_type: triggerPayload.triggerType || "manual",
     requested_intervention: triggerPayload.preferredIntervention || "none",
     timestamp: Date.now(),
     study_topic: session.topic || "",
-    session_duration: session.startTime
-      ? Math.floor((Date.now() - session.startTime) / 1000)
-      : 0,
+    session_duration: Math.floor(getActiveElapsed(session) / 1000),
     tab_switches: tabTracking.tabSwitchCount,
     active_tab_id: tabTracking.activeTabId,
     active_tab_time_seconds: tabTracking.activeTabId
@@ -496,7 +1420,12 @@ async function requestImmediateAiIntervention(triggerPayload, sender) {
   };
 
   await postParsedData(payload);
-  const decision = await requestAiDecision(payload);
+
+  const isIdleFlashcard =
+    ["idle_allowed_site", "idle_allowed_site_retry"].includes(payload.trigger_type) &&
+    payload.requested_intervention === "flashcard";
+  let decision = isIdleFlashcard ? await getDueDeckIntervention(session) : null;
+  if (!decision) decision = await requestAiDecision(payload);
   await dispatchAiIntervention(decision, payload, tabId || null);
 }
 
@@ -508,7 +1437,7 @@ async function flushParseQueue() {
     checkpointActiveTabDuration();
     const { session } = await chrome.storage.local.get(["session"]);
 
-    if (!session || !session.active) {
+    if (!session || !session.active || session.paused) {
       parseBatchQueue.splice(0, parseBatchQueue.length);
       return;
     }
@@ -517,12 +1446,11 @@ async function flushParseQueue() {
     if (!items.length) return;
 
     const payload = {
+      schema_version: PAYLOAD_SCHEMA_VERSION,
       type: "batch",
       timestamp: Date.now(),
       study_topic: session.topic || "",
-      session_duration: session.startTime
-        ? Math.floor((Date.now() - session.startTime) / 1000)
-        : 0,
+      session_duration: Math.floor(getActiveElapsed(session) / 1000),
       tab_switches: tabTracking.tabSwitchCount,
       active_tab_id: tabTracking.activeTabId,
       active_tab_time_seconds: tabTracking.activeTabId
@@ -539,6 +1467,8 @@ async function flushParseQueue() {
     };
 
     await postParsedData(payload);
+    // Keep collecting during breaks, but don't ask for interventions
+    if (isOnBreak(session)) return;
     const decision = await requestAiDecision(payload);
     await dispatchAiIntervention(decision, payload);
   } finally {
@@ -567,15 +1497,14 @@ async function handleParseImmediate(payload, sender) {
   }
 
   const { session } = await chrome.storage.local.get(["session"]);
-  if (!session || !session.active) return;
+  if (!session || !session.active || session.paused) return;
 
   const immediatePayload = {
+    schema_version: PAYLOAD_SCHEMA_VERSION,
     type: "immediate",
     timestamp: Date.now(),
     study_topic: session.topic || "",
-    session_duration: session.startTime
-      ? Math.floor((Date.now() - session.startTime) / 1000)
-      : 0,
+    session_duration: Math.floor(getActiveElapsed(session) / 1000),
     tab_switches: tabTracking.tabSwitchCount,
     active_tab_id: tabTracking.activeTabId,
     active_tab_time_seconds: tabTracking.activeTabId
@@ -596,6 +1525,9 @@ async function handleParseImmediate(payload, sender) {
 chrome.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === BADGE_ALARM_NAME) {
     updateBadge();
+    checkPlannedGoal();
+    // Keeps site budget usage current when the user stays on one tab
+    checkpointActiveTabDuration();
     return;
   }
 
@@ -618,6 +1550,31 @@ chrome.alarms.onAlarm.addListener((alarm) => {
     checkForNewCloudSession();
     return;
   }
+
+  if (alarm.name === INTERVAL_PHASE_ALARM_NAME) {
+    handleIntervalPhaseEnd();
+    return;
+  }
+
+  if (alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) {
+    handleScheduleAlarm(alarm);
+    return;
+  }
+
+  if (alarm.name === SCHEDULE_END_ALARM_NAME) {
+    endScheduledSession();
+    return;
+  }
+
+  if (alarm.name.startsWith(TEMP_ALLOW_ALARM_PREFIX)) {
+    expireTemporaryAllows();
+    return;
+  }
+
+  if (alarm.name === OUTBOX_RETRY_ALARM_NAME) {
+    flushOutbox();
+    return;
+  }
 });
 
 chrome.tabs.onActivated.addListener((activeInfo) => {
@@ -638,7 +1595,8 @@ chrome.tabs.onActivated.addListener((activeInfo) => {
     }
 
     chrome.storage.local.get(["session"], (res) => {
-      if (!res.session || !res.session.active) return;
+      if (!res.session || !res.session.active || res.session.paused) return;
+      if (isOnBreak(res.session)) return;
 
       let hostname;
       try {
@@ -647,12 +1605,11 @@ chrome.tabs.onActivated.addListener((activeInfo) => {
         return;
       }
 
-      const allowed = res.session.allowedSites || [];
-      const isAllowed = allowed.some((site) => {
-        return hostname === site || hostname.endsWith("." + site);
-      });
+      const isAllowed = isUrlAllowedForSession(tab.url, res.session);
 
-      if (!isAllowed) {
+      if (isAllowed) {
+        checkInterventionReturn(hostname);
+      } else {
         chrome.tabs
           .sendMessage(activeInfo.tabId, {
             action: "block",
@@ -677,13 +1634,21 @@ chrome.tabs.onRemoved.addListener((tabId) => {
 // On startup, check if a session is active and start/stop alarms accordingly
 chrome.storage.local.get(["session"], (res) => {
   bootstrapTabState();
+  registerScheduleAlarms();
+  // Replay anything queued before the worker was last stopped
+  flushOutbox();
 
-  if (res.session && res.session.active) {
+  if (res.session && res.session.active && res.session.paused) {
+    applyPausedState();
+    startSessionRemoteCheckAlarm();
+    stopSessionDiscoveryAlarm();
+  } else if (res.session && res.session.active) {
     updateBadge();
     startBadgeAlarm();
     startParseFlushAlarm();
     startSessionSyncAlarm();
     startSessionRemoteCheckAlarm();
+    scheduleIntervalPhaseAlarm(res.session);
     stopSessionDiscoveryAlarm();
   } else {
     startSessionDiscoveryAlarm();
@@ -700,6 +1665,9 @@ onAuthStateChanged(auth, async (user) => {
 
   isAuthReady = true;
 
+  syncScheduleFromCloud();
+  syncFlashcardDeckFromCloud();
+
   const { session: localSession } = await chrome.storage.local.get(["session"]);
 
   // If there's already an active local session, skip cloud resume
@@ -730,7 +1698,17 @@ onAuthStateChanged(auth, async (user) => {
       active: true,
       topic: cloudSession.topic,
       allowedSites: cloudSession.allowedSites || [],
+      siteMode: cloudSession.siteMode || "allowlist",
+      blockedSites: cloudSession.blockedSites || [],
       startTime: cloudSession.startTime,
+      paused: Boolean(cloudSession.paused),
+      pausedAt: cloudSession.pausedAt || null,
+      pausedIntervals: cloudSession.pausedIntervals || [],
+      interval: cloudSession.interval || null,
+      plannedMinutes: cloudSession.plannedMinutes || null,
+      goalScore: cloudSession.goalScore || null,
+      templateId: cloudSession.templateId || null,
+      templateName: cloudSession.templateName || null,
       firestoreSessionId: currentSessionId,
       distractionStats: {
         count: cloudSession.distractions || 0,
@@ -765,7 +1743,9 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   }
 
   chrome.storage.local.get(["session"], (res) => {
-    if (!res.session || !res.session.active) return;
+    if (!res.session || !res.session.active || res.session.paused) return;
+    // Breaks are free browsing time
+    if (isOnBreak(res.session)) return;
 
     let hostname;
     try {
@@ -774,13 +1754,11 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
       return;
     }
 
-    const allowed = res.session.allowedSites || [];
+    const isAllowed = isUrlAllowedForSession(tab.url, res.session);
 
-    const isAllowed = allowed.some((site) => {
-      return hostname === site || hostname.endsWith("." + site);
-    });
-
-    if (!isAllowed) {
+    if (isAllowed) {
+      checkInterventionReturn(hostname);
+    } else {
       chrome.tabs
         .sendMessage(tabId, {
           action: "block",
@@ -802,7 +1780,14 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
 
 // ===== Message Handler =====
 
-chrome.runtime.onMessage.addListener((msg, sender) => {
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  if (msg.action === "getSiteBudget" && msg.site) {
+    getSiteBudgetStatus(msg.site)
+      .then(sendResponse)
+      .catch(() => sendResponse(null));
+    return true;
+  }
+
   if (msg.action === "parseImmediate" && msg.payload) {
     handleParseImmediate(msg.payload, sender);
     return;
@@ -813,6 +1798,48 @@ chrome.runtime.onMessage.addListener((msg, sender) => {
     return;
   }
 
+  if (msg.action === "recordFlashcardReview") {
+    recordFlashcardReview(msg)
+      .then(sendResponse)
+      .catch((e) => {
+        console.warn("Focus Flow: failed to record flashcard review", e);
+        sendResponse(null);
+      });
+    return true;
+  }
+
+  if (msg.action === "mascotReply" && msg.message) {
+    sendMascotReply(msg, sender)
+      .then(sendResponse)
+      .catch(() => sendResponse(null));
+    return true;
+  }
+
+  if (msg.action === "temporaryUnlock") {
+    handleTemporaryUnlock(msg)
+      .then(sendResponse)
+      .catch((e) => {
+        console.warn("Focus Flow: temporary unlock failed", e);
+        sendResponse(false);
+      });
+    return true;
+  }
+
+  if (msg.action === "importFlashcards" && Array.isArray(msg.cards)) {
+    importFlashcards(msg)
+      .then(sendResponse)
+      .catch((e) => {
+        console.warn("Focus Flow: flashcard import failed", e);
+        sendResponse(null);
+      });
+    return true;
+  }
+
+  if (msg.action === "interventionFeedback" && msg.decisionId) {
+    handleInterventionFeedback(msg, sender);
+    return;
+  }
+
   if (msg.action === "parseBatch" && msg.payload) {
     queueParsePayload(msg.payload, sender);
     return;
@@ -832,21 +1859,6 @@ chrome.runtime.onMessage.addListener((msg, sender) => {
     chrome.tabs.remove(sender.tab.id).catch(() => {});
   }
 
-  if (msg.action === "addAllowed") {
-    chrome.storage.local.get(["session"], (res) => {
-      const session = res.session;
-      if (!session) return;
-
-      session.allowedSites = session.allowedSites || [];
-
-      if (!session.allowedSites.includes(msg.site)) {
-        session.allowedSites.push(msg.site);
-      }
-
-      chrome.storage.local.set({ session });
-    });
-  }
-
   if (msg.action === "sessionStarted") {
     updateBadge();
     startBadgeAlarm();
@@ -856,13 +1868,26 @@ chrome.runtime.onMessage.addListener((msg, sender) => {
     stopSessionDiscoveryAlarm();
   }
 
+  if (msg.action === "sessionPaused") {
+    applyPausedState();
+  }
+
+  if (msg.action === "sessionResumed") {
+    updateBadge();
+    startBadgeAlarm();
+    startParseFlushAlarm();
+    startSessionSyncAlarm();
+  }
+
   if (msg.action === "sessionEnded") {
     chrome.action.setBadgeText({ text: "" });
+    chrome.storage.local.remove(PENDING_RETURN_KEY);
     stopBadgeAlarm();
     flushParseQueue();
     stopParseFlushAlarm();
     stopSessionSyncAlarm();
     stopSessionRemoteCheckAlarm();
+    stopIntervalPhaseAlarm();
     startSessionDiscoveryAlarm();
   }
 });
@@ -870,16 +1895,34 @@ chrome.runtime.onMessage.addListener((msg, sender) => {
 // ===== Storage Change Listener =====
 
 chrome.storage.onChanged.addListener((changes) => {
+  if (changes[SCHEDULE_KEY]) registerScheduleAlarms();
   if (!changes.session) return;
 
   const next = changes.session.newValue;
+  const prev = changes.session.oldValue;
+  const pauseChanged = Boolean(prev && prev.active && Boolean(prev.paused) !== Boolean(next?.paused));
+  const phaseChanged = Boolean(prev?.interval && next?.interval && prev.interval.phase !== next.interval.phase);
+
+  if (next && next.active && next.paused) {
+    applyPausedState();
+    scheduleSessionEndAlarm(next);
+    startSessionRemoteCheckAlarm();
+    stopSessionDiscoveryAlarm();
+    // Push the paused state to Firestore right away instead of waiting for the sync alarm
+    if (pauseChanged) syncSessionToFirestore();
+    return;
+  }
+
   if (next && next.active) {
     updateBadge();
     startBadgeAlarm();
     startParseFlushAlarm();
     startSessionSyncAlarm();
     startSessionRemoteCheckAlarm();
+    scheduleIntervalPhaseAlarm(next);
+    scheduleSessionEndAlarm(next);
     stopSessionDiscoveryAlarm();
+    if (pauseChanged || phaseChanged) syncSessionToFirestore();
     return;
   }
 
@@ -889,5 +1932,7 @@ chrome.storage.onChanged.addListener((changes) => {
   stopParseFlushAlarm();
   stopSessionSyncAlarm();
   stopSessionRemoteCheckAlarm();
+  stopIntervalPhaseAlarm();
+  scheduleSessionEndAlarm(next);
   startSessionDiscoveryAlarm();
 });
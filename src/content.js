@@ -1,5 +1,8 @@
 import { initParsingCollector } from "./parsing/collector.js";
 import { parseGeneralPageContent } from "./parsing/text-parser.js";
+import { categorizeDomain, simpleHash } from "./parsing/helpers.js";
+import { isOnBreak } from "./session-time.js";
+import { isUrlAllowedForSession, getSiteMode, TEMPORARY_UNLOCK_MINUTES } from "./site-rules.js";
 import gsap from "gsap";
 
 // ===== Focus Flow - Content Script =====
@@ -25,8 +28,10 @@ const ANGEL_IMG_URL = chrome.runtime.getURL("icons/angel.png");
 // ===== State =====
 
 let isSessionActive = false;
+let isSessionPaused = false;
+let isOnBreakPhase = false;
 let sessionTopic = "";
-let currentAllowedSites = [];
+let currentSiteRules = readSiteRules(null);
 let isCurrentSiteAllowed = false;
 
 // Inactivity state
@@ -55,6 +60,8 @@ let distractionRecorded = false;
 
 let pageIsVisible = document.visibilityState === "visible";
 let aiInterventionVisible = false;
+// Server decision behind the intervention on screen, for outcome feedback
+let activeAiDecision = null;
 const offTopicFlow = {
   active: false,
   site: null,
@@ -66,6 +73,14 @@ const offTopicFlow = {
   pendingIntervention: null,
 };
 
+// Daily budget window: time left on a budgeted off-topic site before interventions
+const budgetWindow = {
+  site: null,
+  domain: null,
+  remainingMs: 0,
+  ticker: null,
+};
+
 // ===== CSS Animation Injection =====
 
 let animationsInjected = false;
@@ -173,20 +188,35 @@ function getCurrentHostname() {
   }
 }
 
-function matchesAllowedSite(hostname, allowedSites = []) {
-  return allowedSites.some((site) => hostname === site || hostname.endsWith(`.${site}`));
+// Only the fields site matching needs, so a stale session copy isn't kept around
+function readSiteRules(session) {
+  return {
+    siteMode: getSiteMode(session),
+    allowedSites: (session && session.allowedSites) || [],
+    blockedSites: (session && session.blockedSites) || [],
+    temporaryAllows: (session && session.temporaryAllows) || [],
+  };
+}
+
+function matchesAllowedSite(url, siteRules) {
+  return isUrlAllowedForSession(url, siteRules);
 }
 
 function syncAllowedSiteState() {
-  const hostname = getCurrentHostname();
-  isCurrentSiteAllowed = matchesAllowedSite(hostname, currentAllowedSites);
+  isCurrentSiteAllowed = matchesAllowedSite(window.location.href, currentSiteRules);
 }
 
 function refreshInactivityDetection() {
   if (isCurrentSiteAllowed) {
     clearOffTopicFlow();
+    clearBudgetWindow();
   }
-  if (!isSessionActive || !isCurrentSiteAllowed || distractionStage !== DISTRACTION_STAGE.NONE) {
+  if (
+    !isSessionActive ||
+    isInterventionSuspended() ||
+    !isCurrentSiteAllowed ||
+    distractionStage !== DISTRACTION_STAGE.NONE
+  ) {
     cleanupInactivityDetection();
     return;
   }
@@ -240,19 +270,26 @@ function requestAiInterventionNow(triggerType, preferredIntervention, event = {}
 
 function buildAiEventSnapshot(extra = {}) {
   const parsed = parseGeneralPageContent();
+  const headings = parsed.content?.top_headings || [];
+  const summary = parsed.content?.visible_text_summary || "";
   return {
     timestamp: Date.now(),
     url: parsed.page.url,
     domain: parsed.page.domain,
     page_title: parsed.page.page_title,
+    category: categorizeDomain(parsed.page.domain),
     is_allowed: isCurrentSiteAllowed,
     inactivity_seconds: Math.floor((Date.now() - lastActivity) / 1000),
     content: {
-      headings: parsed.content?.top_headings || [],
-      summary: parsed.content?.visible_text_summary || "",
+      headings,
+      summary,
       word_count: parsed.content?.word_count || 0,
+      pdf: parsed.content?.pdf || null,
     },
+    // Lets the server reuse content generated for this same page
+    content_hash: simpleHash(`${parsed.page.url}|${headings.join("|")}|${summary}`),
     metadata: parsed.metadata || {},
+    site_context: parsed.site_context || null,
     ...extra,
   };
 }
@@ -313,8 +350,86 @@ function showOffTopicWarningOverlay(site) {
   document.documentElement.appendChild(overlay);
 }
 
+// ===== Per-Site Daily Budget =====
+
+function requestSiteBudget(site) {
+  return new Promise((resolve) => {
+    try {
+      chrome.runtime.sendMessage({ action: "getSiteBudget", site }, (status) => {
+        if (chrome.runtime.lastError) {
+          resolve(null);
+          return;
+        }
+        resolve(status || null);
+      });
+    } catch {
+      resolve(null);
+    }
+  });
+}
+
+// Entry point for off-topic sites: spend any daily budget left before the
+// off-topic flow starts. Background owns the usage, so it is re-asked each time.
+async function handleOffTopicSite(site) {
+  if (!isSessionActive || isInterventionSuspended() || isCurrentSiteAllowed) return;
+  if (budgetWindow.site === site && budgetWindow.ticker) return;
+
+  const status = await requestSiteBudget(site);
+  if (!isSessionActive || isInterventionSuspended() || isCurrentSiteAllowed) return;
+
+  if (status && status.remainingMs > 0) {
+    startBudgetWindow(site, status);
+    return;
+  }
+
+  clearBudgetWindow();
+  startOffTopicFlow(site);
+}
+
+function startBudgetWindow(site, status) {
+  clearOffTopicFlow();
+  cleanupDistraction();
+  cleanupInactivityDetection(false);
+  clearBudgetWindow();
+
+  budgetWindow.site = site;
+  budgetWindow.domain = status.domain;
+  budgetWindow.remainingMs = status.remainingMs;
+
+  showTimerNotification(formatBudgetRemaining(budgetWindow.remainingMs), `${status.domain} budget left`);
+
+  budgetWindow.ticker = setInterval(() => {
+    if (!pageIsVisible) return;
+    budgetWindow.remainingMs = Math.max(0, budgetWindow.remainingMs - 1000);
+    updateTimerNotification(formatBudgetRemaining(budgetWindow.remainingMs));
+
+    if (budgetWindow.remainingMs <= 0) {
+      const budgetSite = budgetWindow.site;
+      clearBudgetWindow();
+      handleOffTopicSite(budgetSite);
+    }
+  }, 1000);
+}
+
+function clearBudgetWindow() {
+  if (!budgetWindow.site) return;
+  if (budgetWindow.ticker) clearInterval(budgetWindow.ticker);
+  budgetWindow.site = null;
+  budgetWindow.domain = null;
+  budgetWindow.remainingMs = 0;
+  budgetWindow.ticker = null;
+  removeTimerNotification();
+}
+
+function formatBudgetRemaining(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, "0")}`;
+}
+
 function startOffTopicFlow(site) {
-  if (!isSessionActive || isCurrentSiteAllowed) return;
+  if (!isSessionActive || isInterventionSuspended() || isCurrentSiteAllowed) return;
   if (offTopicFlow.active && offTopicFlow.site === site) return;
 
   clearOffTopicFlow();
@@ -471,6 +586,24 @@ function sendInterventionTelemetry(type, meta = {}) {
   });
 }
 
+function beginAiDecisionFeedback(intervention) {
+  activeAiDecision = intervention.decision_id
+    ? { id: intervention.decision_id, shownAt: Date.now() }
+    : null;
+}
+
+// Tells the server how the user responded, so it can tune later interventions
+function reportAiDecisionOutcome(outcome) {
+  if (!activeAiDecision) return;
+  chrome.runtime.sendMessage({
+    action: "interventionFeedback",
+    decisionId: activeAiDecision.id,
+    outcome,
+    responseMs: Date.now() - activeAiDecision.shownAt,
+  });
+  activeAiDecision = null;
+}
+
 function showAiFlashcard(intervention) {
   if (aiInterventionVisible) return;
   aiInterventionVisible = true;
@@ -482,10 +615,17 @@ function showAiFlashcard(intervention) {
   const overlay = createOverlay(0.62);
   const card = createCard("480px");
 
+  const isDeckReview = Boolean(intervention.deck_card_id);
+  const shownAt = Date.now();
+
   card.appendChild(createIcon("&#129504;", "#FFF0EB"));
-  card.appendChild(createHeading("Quick Focus Flashcard"));
+  card.appendChild(createHeading(isDeckReview ? "Flashcard Review" : "Quick Focus Flashcard"));
   card.appendChild(
-    createParagraph("Answer this quickly to lock back into your study flow.")
+    createParagraph(
+      isDeckReview
+        ? "A card from your deck. Recall it before it fades."
+        : "Answer this quickly to lock back into your study flow."
+    )
   );
 
   const question = document.createElement("p");
@@ -509,6 +649,7 @@ function showAiFlashcard(intervention) {
   });
 
   let selected = "";
+  let selectedAt = 0;
   options.forEach((option) => {
     const btn = createButton(option, false);
     btn.style.textAlign = "center";
@@ -516,6 +657,7 @@ function showAiFlashcard(intervention) {
     btn.style.maxWidth = "420px";
     btn.onclick = () => {
       selected = option;
+      selectedAt = Date.now();
       optionsWrap.querySelectorAll("button").forEach((node) => {
         node.style.borderColor = FF_BORDER;
         node.style.color = FF_TEXT_LIGHT;
@@ -600,6 +742,20 @@ function showAiFlashcard(intervention) {
       selected_option: selected || null,
       answered: Boolean(selected),
     });
+    chrome.runtime.sendMessage({
+      action: "recordFlashcardReview",
+      cardId: intervention.deck_card_id || null,
+      flashcard,
+      topic: sessionTopic,
+      selected: selected || null,
+      responseMs: (selectedAt || Date.now()) - shownAt,
+    });
+    if (!selected) {
+      reportAiDecisionOutcome("dismissed");
+    } else {
+      const isCorrect = String(selected).trim() === String(flashcard.answer || "").trim();
+      reportAiDecisionOutcome(isCorrect ? "correct" : "incorrect");
+    }
     overlay.remove();
     aiInterventionVisible = false;
   };
@@ -611,6 +767,7 @@ function showAiFlashcard(intervention) {
   overlay.appendChild(card);
   document.documentElement.appendChild(overlay);
 
+  beginAiDecisionFeedback(intervention);
   sendInterventionTelemetry("flashcard_shown", {
     reason_codes: intervention.reason_codes || [],
     confidence: intervention.confidence || null,
@@ -706,7 +863,7 @@ function showAiMascotConversation(intervention) {
 
     if (idx >= turns.length) {
       setTimeout(() => {
-        enableMascotChoice(overlay, devilImg, angelImg);
+        enableMascotChoice(overlay, devilImg, angelImg, turns);
       }, 900);
       return;
     }
@@ -731,6 +888,7 @@ function showAiMascotConversation(intervention) {
 
   setTimeout(step, 500);
 
+  beginAiDecisionFeedback(intervention);
   sendInterventionTelemetry("mascot_shown", {
     reason_codes: intervention.reason_codes || [],
     confidence: intervention.confidence || null,
@@ -738,8 +896,10 @@ function showAiMascotConversation(intervention) {
 }
 
 function handleAiIntervention(intervention) {
-  if (!intervention || !isSessionActive) return;
+  if (!intervention || !isSessionActive || isInterventionSuspended()) return;
   if (distractionStage !== DISTRACTION_STAGE.NONE) return;
+  // Budgeted time on this site is still running
+  if (budgetWindow.site) return;
 
   if (intervention.generation_failed) {
     showAiUnavailableNotice(intervention.requestedIntervention === "flashcard" ? "flashcard" : "mascot");
@@ -828,8 +988,10 @@ function recordDistractionEnd(choice) {
 chrome.storage.local.get(["session"], (res) => {
   if (res.session && res.session.active) {
     isSessionActive = true;
+    isSessionPaused = Boolean(res.session.paused);
+    isOnBreakPhase = isOnBreak(res.session);
     sessionTopic = res.session.topic || "";
-    currentAllowedSites = res.session.allowedSites || [];
+    currentSiteRules = readSiteRules(res.session);
     syncAllowedSiteState();
     refreshInactivityDetection();
   }
@@ -839,23 +1001,61 @@ chrome.storage.onChanged.addListener((changes) => {
   if (changes.session) {
     const s = changes.session.newValue;
     if (s && s.active) {
+      const wasSuspended = isInterventionSuspended();
       isSessionActive = true;
+      isSessionPaused = Boolean(s.paused);
+      isOnBreakPhase = isOnBreak(s);
       sessionTopic = s.topic || "";
-      currentAllowedSites = s.allowedSites || [];
+      currentSiteRules = readSiteRules(s);
       syncAllowedSiteState();
-      refreshInactivityDetection();
+
+      if (isInterventionSuspended() && !wasSuspended) {
+        suspendInterventions();
+      } else if (!isInterventionSuspended() && wasSuspended) {
+        resumeInterventions();
+      } else {
+        refreshInactivityDetection();
+      }
     } else {
       isSessionActive = false;
+      isSessionPaused = false;
+      isOnBreakPhase = false;
       sessionTopic = "";
-      currentAllowedSites = [];
+      currentSiteRules = readSiteRules(null);
       isCurrentSiteAllowed = false;
       clearOffTopicFlow();
+      clearBudgetWindow();
       cleanupInactivityDetection();
       cleanupDistraction();
     }
   }
 });
 
+// Interventions are off while the session is paused or on an interval break.
+function isInterventionSuspended() {
+  return isSessionPaused || isOnBreakPhase;
+}
+
+// Pauses and breaks suspend every timer and close any open distraction so
+// that time is not counted as time lost.
+function suspendInterventions() {
+  if (distractionStartedAt) {
+    recordDistractionEnd(null);
+  }
+  clearOffTopicFlow();
+  clearBudgetWindow();
+  cleanupInactivityDetection();
+  cleanupDistraction();
+}
+
+function resumeInterventions() {
+  if (isCurrentSiteAllowed) {
+    refreshInactivityDetection();
+    return;
+  }
+  handleOffTopicSite(getCurrentHostname());
+}
+
 // ================================================================
 // SECTION 2: INACTIVITY DETECTION (for allowed sites)
 // ================================================================
@@ -893,7 +1093,7 @@ function pauseInactivityTimer() {
 }
 
 function resumeInactivityTimer() {
-  if (!isSessionActive || !pageIsVisible || !isCurrentSiteAllowed) return;
+  if (!isSessionActive || isInterventionSuspended() || !pageIsVisible || !isCurrentSiteAllowed) return;
   if (distractionStage !== DISTRACTION_STAGE.NONE) return;
 
   if (inactivityTimer) clearTimeout(inactivityTimer);
@@ -914,7 +1114,7 @@ function handleActivity() {
 }
 
 function showInactivityOverlay() {
-  if (!isSessionActive) return;
+  if (!isSessionActive || isInterventionSuspended()) return;
   if (!pageIsVisible) return;
   if (!isCurrentSiteAllowed) return;
   if (distractionStage !== DISTRACTION_STAGE.NONE) return;
@@ -1005,7 +1205,7 @@ function pauseDistractionCountdown() {
 }
 
 function resumeDistractionCountdown() {
-  if (!isSessionActive || !pageIsVisible) return;
+  if (!isSessionActive || isInterventionSuspended() || !pageIsVisible) return;
   if (
     !currentDistractedSite ||
     ![
@@ -1042,7 +1242,8 @@ function onDistractionTimerEnd() {
 
 // ===== Corner Timer Notification =====
 
-function showTimerNotification() {
+// Defaults to the distraction countdown; budget windows pass their own text
+function showTimerNotification(value = `${distractionSecondsLeft}s`, label = "Distracted") {
   removeTimerNotification();
   injectAnimationStyles();
 
@@ -1070,17 +1271,22 @@ function showTimerNotification() {
   notif.innerHTML = `
     <span style="font-size:20px;">&#9203;</span>
     <div>
-      <div id="ff-timer-seconds" style="font-size:18px;font-weight:700;line-height:1;">${distractionSecondsLeft}s</div>
-      <div style="font-size:10px;opacity:0.85;text-transform:uppercase;letter-spacing:0.5px;margin-top:2px;">Distracted</div>
+      <div id="ff-timer-seconds" style="font-size:18px;font-weight:700;line-height:1;"></div>
+      <div id="ff-timer-label" style="font-size:10px;opacity:0.85;text-transform:uppercase;letter-spacing:0.5px;margin-top:2px;"></div>
     </div>
   `;
+  notif.querySelector("#ff-timer-seconds").textContent = value;
+  notif.querySelector("#ff-timer-label").textContent = label;
 
   document.documentElement.appendChild(notif);
 }
 
-function updateTimerNotification() {
+function updateTimerNotification(value = null) {
   const el = document.getElementById("ff-timer-seconds");
-  if (el) {
+  if (el && value !== null) {
+    // Budget windows tick for minutes, so no pulse
+    el.textContent = value;
+  } else if (el) {
     el.textContent = `${Math.max(0, distractionSecondsLeft)}s`;
     // Pulse effect on last 3 seconds
     if (distractionSecondsLeft <= 3) {
@@ -1350,7 +1556,7 @@ function animateConversation(overlay, devilMascot, angelMascot) {
     if (i >= script.length) {
       // Conversation finished — enable mascot choice
       setTimeout(() => {
-        enableMascotChoice(overlay, devilMascot, angelMascot);
+        enableMascotChoice(overlay, devilMascot, angelMascot, script);
       }, 400);
       return;
     }
@@ -1677,7 +1883,7 @@ function createChoiceArrows(overlay) {
 
 // ===== Mascot Choice Mode =====
 
-function enableMascotChoice(overlay, devilMascot, angelMascot) {
+function enableMascotChoice(overlay, devilMascot, angelMascot, script = []) {
   // Show "choose your side" prompt at the top center
   const prompt = document.createElement("div");
   prompt.className = "ff-choice-prompt";
@@ -1822,6 +2028,165 @@ function enableMascotChoice(overlay, devilMascot, angelMascot) {
 
   overlay.appendChild(leftZone);
   overlay.appendChild(rightZone);
+
+  createMascotReplyPanel(overlay, script);
+}
+
+// ===== Mascot Reply =====
+// Instead of picking a side, the user can tell the mascots why they need
+// the page. The server answers in character and may grant a short exception.
+
+function createMascotReplyPanel(overlay, script) {
+  const panel = document.createElement("form");
+  panel.className = "ff-mascot-reply";
+  Object.assign(panel.style, {
+    position: "absolute",
+    top: "110px",
+    left: "50%",
+    width: "440px",
+    display: "flex",
+    alignItems: "center",
+    gap: "6px",
+    padding: "8px",
+    background: FF_BG,
+    borderRadius: "14px",
+    boxShadow: "0 4px 16px rgba(0, 0, 0, 0.2)",
+    fontFamily: FF_FONT,
+    zIndex: "5",
+    opacity: "0",
+  });
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.maxLength = 280;
+  input.placeholder = "Or tell them why you need this page...";
+  Object.assign(input.style, {
+    flex: "1",
+    padding: "10px 12px",
+    fontSize: "14px",
+    fontFamily: FF_FONT,
+    color: FF_TEXT,
+    background: "white",
+    border: `1.5px solid ${FF_BORDER}`,
+    borderRadius: "10px",
+    outline: "none",
+  });
+
+  const sendBtn = createButton("Reply");
+  sendBtn.type = "submit";
+  sendBtn.style.margin = "0";
+
+  const status = document.createElement("div");
+  Object.assign(status.style, {
+    position: "absolute",
+    top: "100%",
+    left: "0",
+    right: "0",
+    marginTop: "8px",
+    fontSize: "13px",
+    color: "#FFFFFF",
+    textAlign: "center",
+    textShadow: "0 1px 4px rgba(0, 0, 0, 0.5)",
+  });
+
+  panel.appendChild(input);
+  panel.appendChild(sendBtn);
+  panel.appendChild(status);
+  // Keep clicks and typing away from the choice zones and page shortcuts
+  panel.addEventListener("click", (e) => e.stopPropagation());
+  panel.addEventListener("keydown", (e) => e.stopPropagation());
+  overlay.appendChild(panel);
+
+  gsap.set(panel, { xPercent: -50 });
+  gsap.to(panel, { opacity: 1, duration: 0.5, delay: 0.3, ease: "power2.out" });
+
+  const site = currentDistractedSite || window.location.hostname;
+  let conversationId = null;
+
+  function setBusy(busy) {
+    input.disabled = busy;
+    sendBtn.disabled = busy;
+    sendBtn.style.opacity = busy ? "0.6" : "1";
+  }
+
+  panel.onsubmit = async (e) => {
+    e.preventDefault();
+    const message = input.value.trim();
+    if (!message) return;
+
+    setBusy(true);
+    status.textContent = "The mascots are thinking...";
+
+    let reply = null;
+    try {
+      reply = await chrome.runtime.sendMessage({
+        action: "mascotReply",
+        conversationId,
+        message,
+        script,
+        site,
+        event: buildAiEventSnapshot({ trigger_type: "mascot_reply" }),
+      });
+    } catch (error) {
+      console.warn("Focus Flow: mascot reply failed", error);
+    }
+
+    if (!reply || !Array.isArray(reply.turns)) {
+      status.textContent = "The mascots couldn't hear you. Pick a side instead.";
+      setBusy(false);
+      return;
+    }
+
+    conversationId = reply.conversation_id;
+    input.value = "";
+    status.textContent = "";
+    await playMascotReplyTurns(overlay, reply.turns);
+
+    if (reply.verdict === "grant") {
+      recordDistractionEnd("exception");
+      clearOffTopicFlow();
+      reportAiDecisionOutcome("exception");
+      cleanupDistraction();
+      // The temporary allow is already in session storage; storage.onChanged
+      // treats the site as allowed until the exception runs out.
+      return;
+    }
+
+    if (reply.verdict === "deny" || reply.turns_left <= 0) {
+      gsap.to(panel, { opacity: 0, duration: 0.3, onComplete: () => panel.remove() });
+      return;
+    }
+
+    setBusy(false);
+    input.focus();
+  };
+}
+
+function playMascotReplyTurns(overlay, turns) {
+  overlay.querySelectorAll(".ff-speech-bubble").forEach((el) => el.remove());
+
+  return new Promise((resolve) => {
+    let i = 0;
+    let bubble = null;
+
+    function next() {
+      if (i >= turns.length) {
+        resolve();
+        return;
+      }
+      if (bubble) bubble.remove();
+
+      bubble = createBubble(turns[i].speaker, turns[i].text);
+      overlay.appendChild(bubble);
+      gsap.to(bubble, { opacity: 1, scale: 1, y: 0, duration: 0.45, ease: "back.out(2)" });
+
+      i++;
+      // The last line stays up while the user decides
+      setTimeout(next, i < turns.length ? 2500 : 1200);
+    }
+
+    next();
+  });
 }
 
 // ===== Mascot Choice Handlers =====
@@ -1830,6 +2195,7 @@ function handleMascotChoice(choice) {
   // Record the user's choice and distraction duration
   recordDistractionEnd(choice);
   clearOffTopicFlow();
+  reportAiDecisionOutcome(choice);
 
   if (choice === "angel") {
     // Close the current tab
@@ -1877,32 +2243,105 @@ function showShameScreen() {
   line2.textContent = "But we both know you'll regret this later.";
   card.appendChild(line2);
 
-  // Continue button - hidden for 2 seconds
-  const btn = createButton("Continue anyway");
-  btn.style.opacity = "0";
-  btn.style.transition = "opacity 0.4s ease";
-  btn.style.pointerEvents = "none";
+  // Unlock controls - hidden for 2 seconds. The site is only unlocked for a
+  // chosen time, and only with a reason that ends up in the session history.
+  const unlock = document.createElement("div");
+  Object.assign(unlock.style, {
+    opacity: "0",
+    transition: "opacity 0.4s ease",
+    pointerEvents: "none",
+  });
 
-  btn.onclick = () => {
-    // Add site to allowed list and clean up
-    if (currentDistractedSite) {
-      chrome.runtime.sendMessage({
-        action: "addAllowed",
+  const reasonInput = document.createElement("input");
+  reasonInput.type = "text";
+  reasonInput.maxLength = 200;
+  reasonInput.placeholder = "Why do you need this site?";
+  Object.assign(reasonInput.style, {
+    width: "100%",
+    boxSizing: "border-box",
+    padding: "10px 12px",
+    marginBottom: "10px",
+    fontSize: "14px",
+    fontFamily: FF_FONT,
+    color: FF_TEXT,
+    background: "white",
+    border: `1.5px solid ${FF_BORDER}`,
+    borderRadius: "10px",
+    outline: "none",
+  });
+  reasonInput.addEventListener("keydown", (e) => e.stopPropagation());
+  unlock.appendChild(reasonInput);
+
+  const durations = document.createElement("div");
+  Object.assign(durations.style, { display: "flex", justifyContent: "center", marginBottom: "6px" });
+
+  let minutes = TEMPORARY_UNLOCK_MINUTES[0];
+  const durationBtns = TEMPORARY_UNLOCK_MINUTES.map((value) => {
+    const chip = createButton(`${value} min`, false);
+    chip.style.padding = "8px 14px";
+    chip.onclick = () => {
+      minutes = value;
+      updateUnlockControls();
+    };
+    // Keep the selected chip highlighted after hover
+    chip.onmouseout = () => updateUnlockControls();
+    durations.appendChild(chip);
+    return { chip, value };
+  });
+  unlock.appendChild(durations);
+
+  const btn = createButton("Unlock");
+  unlock.appendChild(btn);
+
+  function updateUnlockControls() {
+    durationBtns.forEach(({ chip, value }) => {
+      chip.style.borderColor = value === minutes ? FF_PRIMARY : FF_BORDER;
+      chip.style.color = value === minutes ? FF_PRIMARY : FF_TEXT_LIGHT;
+    });
+    const hasReason = Boolean(reasonInput.value.trim());
+    btn.disabled = !hasReason;
+    btn.style.opacity = hasReason ? "1" : "0.5";
+    btn.style.cursor = hasReason ? "pointer" : "not-allowed";
+    btn.textContent = `Unlock for ${minutes} min`;
+  }
+  reasonInput.oninput = updateUnlockControls;
+  updateUnlockControls();
+
+  btn.onclick = async () => {
+    const reason = reasonInput.value.trim();
+    if (!reason || !currentDistractedSite) return;
+    btn.disabled = true;
+
+    let granted = false;
+    try {
+      granted = await chrome.runtime.sendMessage({
+        action: "temporaryUnlock",
         site: currentDistractedSite,
+        minutes,
+        reason,
       });
+    } catch (error) {
+      console.warn("Focus Flow: temporary unlock failed", error);
+    }
+
+    if (!granted) {
+      btn.disabled = false;
+      return;
     }
     cleanupDistraction();
     // storage.onChanged will re-evaluate allowed-site status and start idle timer.
+    // When the unlock expires, background.js sends "block" again if the tab is open.
   };
 
-  card.appendChild(btn);
+  card.appendChild(unlock);
   overlay.appendChild(card);
   document.documentElement.appendChild(overlay);
 
-  // Show button after 2 seconds
+  // Show unlock controls after 2 seconds
   setTimeout(() => {
-    btn.style.opacity = "1";
-    btn.style.pointerEvents = "auto";
+    unlock.style.opacity = "1";
+    unlock.style.pointerEvents = "auto";
+    reasonInput.focus();
   }, 2000);
 }
 
@@ -1912,8 +2351,10 @@ function showShameScreen() {
 
 chrome.runtime.onMessage.addListener((msg) => {
   if (msg.action === "block") {
-    // AI-first off-topic flow with grace + warning
-    startOffTopicFlow(msg.site);
+    // Path rules can change on in-page navigation, so re-check the URL first
+    syncAllowedSiteState();
+    // Daily budget first, then the AI-first off-topic flow with grace + warning
+    handleOffTopicSite(msg.site);
     return;
   }
 
@@ -1925,7 +2366,7 @@ chrome.runtime.onMessage.addListener((msg) => {
 document.addEventListener("visibilitychange", () => {
   pageIsVisible = document.visibilityState === "visible";
 
-  if (!isSessionActive) return;
+  if (!isSessionActive || isInterventionSuspended()) return;
 
   if (pageIsVisible) {
     if (distractionStage === DISTRACTION_STAGE.PROMPT_1 && currentDistractedSite) {
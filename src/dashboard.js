@@ -1,6 +1,8 @@
 import { Chart, registerables } from "chart.js";
 import { loadAllSessionHistory } from "./sync.js";
 import { waitForAuth } from "./auth.js";
+import { FLASHCARD_DECK_KEY, MATURE_INTERVAL_DAYS, summarizeDeck } from "./flashcard-deck.js";
+import { parseDeckFile } from "./deck-import.js";
 
 Chart.register(...registerables);
 
@@ -11,6 +13,9 @@ const state = {
   liveSessions: [],
   analyticsCache: new Map(),
   searchQuery: "",
+  groupByTemplate: false,
+  deck: { cards: [] },
+  deckQuery: "",
 };
 
 const chartRefs = {
@@ -219,6 +224,24 @@ function sumDistractions(sessions) {
   return sessions.reduce((sum, s) => sum + (s.distractions || 0), 0);
 }
 
+function sumCycles(sessions) {
+  return sessions.reduce((sum, s) => sum + (s.cycles?.length || 0), 0);
+}
+
+/**
+ * Share of sessions with a planned duration or score goal that met it.
+ * Older records without `goalMet` count as not tracked.
+ */
+function computeGoalCompletion(sessions) {
+  const tracked = sessions.filter((s) => s.goalMet === true || s.goalMet === false);
+  const met = tracked.filter((s) => s.goalMet).length;
+  return {
+    tracked: tracked.length,
+    met,
+    rate: tracked.length ? Math.round((met / tracked.length) * 100) : null,
+  };
+}
+
 function computeStreaks(sessions) {
   if (!sessions.length) return { currentStreak: 0, longestStreak: 0 };
   const dateSet = new Set(sessions.map((s) => getDateKey(s.startTime || s.endTime || Date.now())));
@@ -467,12 +490,15 @@ function computeAnalytics(allSessions, range) {
       sessions: inRange.length,
       avgScore: avgScore(inRange),
       distractions: sumDistractions(inRange),
+      cycles: sumCycles(inRange),
+      goals: computeGoalCompletion(inRange),
     },
     previous: {
       focusTime: sumDuration(previousRange),
       sessions: previousRange.length,
       avgScore: avgScore(previousRange),
       distractions: sumDistractions(previousRange),
+      cycles: sumCycles(previousRange),
     },
     allTime: {
       focusTime: sumDuration(sortedAll),
@@ -859,6 +885,13 @@ function renderTodayStats(analytics) {
   setDelta("delta-distractions", analytics.period.distractions - analytics.previous.distractions, "", true);
   const consistencyEl = byId("consistency-value");
   if (consistencyEl) consistencyEl.textContent = `${analytics.consistency14}/14 days`;
+  const cyclesEl = byId("cycles-value");
+  if (cyclesEl) cyclesEl.textContent = analytics.period.cycles;
+  const goalsEl = byId("goal-rate-value");
+  if (goalsEl) {
+    const goals = analytics.period.goals;
+    goalsEl.textContent = goals.rate !== null ? `${goals.rate}% (${goals.met}/${goals.tracked})` : "--";
+  }
 }
 
 function renderAllTimeStats(analytics) {
@@ -996,6 +1029,11 @@ function renderInsights(insights) {
   if (alertEl) alertEl.textContent = insights.opportunity;
 }
 
+// "youtube.com 15m: lecture recording; ..." for the history tooltip and CSV
+function formatExceptions(exceptions = []) {
+  return exceptions.map((e) => `${e.site} ${e.minutes}m: ${e.reason || ""}`).join("; ");
+}
+
 function buildHistoryTable(sessions) {
   if (!sessions.length) {
     return `<div class="empty-state"><p>No sessions match your current filters.</p></div>`;
@@ -1011,6 +1049,8 @@ function buildHistoryTable(sessions) {
           <th>Duration</th>
           <th>Focus Score</th>
           <th>Distractions</th>
+          <th>Exceptions</th>
+          <th>Cycles</th>
         </tr>
       </thead>
       <tbody>
@@ -1026,6 +1066,8 @@ function buildHistoryTable(sessions) {
               <td>${formatTime(s.duration || 0)}</td>
               <td><span class="score-badge ${scoreClass}">${s.focusScore != null ? `${s.focusScore}%` : "--"}</span></td>
               <td>${s.distractions || 0}</td>
+              <td title="${escapeHtml(formatExceptions(s.exceptions))}">${s.exceptions?.length || 0}</td>
+              <td>${s.interval ? s.cycles?.length || 0 : "--"}</td>
             </tr>
           `;
           })
@@ -1035,6 +1077,181 @@ function buildHistoryTable(sessions) {
   `;
 }
 
+/**
+ * History split into one table per session template, largest group first.
+ * Sessions started without a template share a "No template" group.
+ */
+function buildTemplateGroups(sessions) {
+  if (!sessions.length) return buildHistoryTable(sessions);
+
+  const groups = new Map();
+  sessions.forEach((s) => {
+    const key = s.templateId || "";
+    if (!groups.has(key)) {
+      groups.set(key, { name: s.templateName || "No template", sessions: [] });
+    }
+    groups.get(key).sessions.push(s);
+  });
+
+  return [...groups.values()]
+    .sort((a, b) => b.sessions.length - a.sessions.length)
+    .map((group) => {
+      const totalMs = group.sessions.reduce((sum, s) => sum + (s.duration || 0), 0);
+      const scored = group.sessions.filter((s) => s.focusScore != null);
+      const avgScore = scored.length
+        ? Math.round(scored.reduce((sum, s) => sum + s.focusScore, 0) / scored.length)
+        : null;
+      const count = group.sessions.length;
+      return `
+        <div class="template-group">
+          <div class="template-group-header">
+            <span class="template-group-name">${escapeHtml(group.name)}</span>
+            <span class="template-group-meta">${count} session${count === 1 ? "" : "s"} · ${formatTime(totalMs)} · ${avgScore != null ? `${avgScore}% avg` : "--"}</span>
+          </div>
+          ${buildHistoryTable(group.sessions)}
+        </div>
+      `;
+    })
+    .join("");
+}
+
+// ===== Flashcard Deck =====
+
+function formatDueLabel(dueAt, now = Date.now()) {
+  const diff = dueAt - now;
+  if (diff <= 0) return "Due now";
+  const hours = diff / 3600000;
+  if (hours < 1) return `in ${Math.max(1, Math.round(diff / 60000))}m`;
+  if (hours < 24) return `in ${Math.round(hours)}h`;
+  return new Date(dueAt).toLocaleDateString("en-US", { month: "short", day: "numeric" });
+}
+
+/**
+ * Deck counts and the card table, soonest due first.
+ */
+function renderDeck() {
+  const summary = summarizeDeck(state.deck);
+  byId("deck-total").textContent = summary.total;
+  byId("deck-due").textContent = summary.due;
+  byId("deck-learning").textContent = summary.learning;
+  byId("deck-mature").textContent = summary.mature;
+
+  const container = byId("deck-table-container");
+  if (!container || !summary.total) return;
+
+  const query = state.deckQuery.toLowerCase();
+  const cards = state.deck.cards
+    .filter((c) => !query || `${c.question} ${c.topic}`.toLowerCase().includes(query))
+    .sort((a, b) => a.dueAt - b.dueAt);
+
+  if (!cards.length) {
+    container.innerHTML = `<div class="empty-state"><p>No cards match your search.</p></div>`;
+    return;
+  }
+
+  container.innerHTML = `
+    <table class="history-table">
+      <thead>
+        <tr>
+          <th>Question</th>
+          <th>Topic</th>
+          <th>Source</th>
+          <th>Next Review</th>
+          <th>Interval</th>
+          <th>Ease</th>
+          <th>Reviews</th>
+          <th>Lapses</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${cards
+          .map((c) => {
+            const stageClass = c.intervalDays >= MATURE_INTERVAL_DAYS ? "high" : c.repetitions > 0 ? "med" : "low";
+            return `
+            <tr>
+              <td class="question-cell" title="${escapeHtml(c.question)}">${escapeHtml(c.question)}</td>
+              <td class="topic-cell" title="${escapeHtml(c.topic || "")}">${escapeHtml(c.topic || "Untitled")}</td>
+              <td>${c.source === "import" ? escapeHtml(c.deckName || "Imported") : "Generated"}</td>
+              <td>${formatDueLabel(c.dueAt)}</td>
+              <td><span class="score-badge ${stageClass}">${c.intervalDays ? `${c.intervalDays}d` : "learning"}</span></td>
+              <td>${Number(c.ease || 0).toFixed(2)}</td>
+              <td>${c.reviewCount || 0}</td>
+              <td>${c.lapses || 0}</td>
+            </tr>
+          `;
+          })
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Deck import controls. Cards attach to a template (and its topic) or to
+ * a typed topic; background.js merges them into the deck.
+ */
+async function setupDeckImport() {
+  const targetEl = byId("deck-import-target");
+  const topicEl = byId("deck-import-topic");
+  const fileEl = byId("deck-import-file");
+  const statusEl = byId("deck-import-status");
+  if (!targetEl || !fileEl) return;
+
+  const { sessionTemplates: templates = [] } = await chrome.storage.local.get(["sessionTemplates"]);
+  targetEl.innerHTML += templates
+    .map((t) => `<option value="${escapeHtml(t.id)}">Template: ${escapeHtml(t.name)}</option>`)
+    .join("");
+  targetEl.addEventListener("change", () => {
+    topicEl.style.display = targetEl.value ? "none" : "";
+  });
+
+  byId("deck-import-btn").addEventListener("click", () => {
+    if (!targetEl.value && !topicEl.value.trim()) {
+      statusEl.textContent = "Pick a template or enter a topic first.";
+      topicEl.focus();
+      return;
+    }
+    fileEl.click();
+  });
+
+  fileEl.addEventListener("change", async () => {
+    const file = fileEl.files[0];
+    fileEl.value = "";
+    if (!file) return;
+
+    const template = templates.find((t) => t.id === targetEl.value) || null;
+    let parsed;
+    try {
+      parsed = parseDeckFile(file.name, await file.text());
+    } catch (e) {
+      statusEl.textContent = `Could not read ${file.name}: ${e.message}`;
+      return;
+    }
+    if (!parsed.cards.length) {
+      statusEl.textContent = `No usable cards in ${file.name}. Each card needs a question and an answer, and the deck at least two cards.`;
+      return;
+    }
+
+    const result = await chrome.runtime.sendMessage({
+      action: "importFlashcards",
+      cards: parsed.cards,
+      topic: template ? template.topic : topicEl.value.trim(),
+      templateId: template ? template.id : null,
+      deckName: file.name.replace(/\.[^.]+$/, ""),
+    });
+    if (!result) {
+      statusEl.textContent = "Import failed. Try again.";
+      return;
+    }
+
+    const notes = [
+      result.duplicates ? `${result.duplicates} already in deck` : "",
+      parsed.skipped ? `${parsed.skipped} skipped` : "",
+    ].filter(Boolean);
+    statusEl.textContent = `Imported ${result.added} card${result.added === 1 ? "" : "s"}${notes.length ? ` (${notes.join(", ")})` : ""}.`;
+  });
+}
+
 function debounce(fn, delay = 200) {
   let timer = null;
   return (...args) => {
@@ -1064,23 +1281,35 @@ function renderSessionHistory(sessions) {
     contentEl.innerHTML = "";
   } else {
     if (emptyEl) emptyEl.style.display = "none";
-    contentEl.innerHTML = buildHistoryTable(filtered);
+    contentEl.innerHTML = state.groupByTemplate ? buildTemplateGroups(filtered) : buildHistoryTable(filtered);
+  }
+
+  const groupBtn = byId("group-template-btn");
+  if (groupBtn) {
+    groupBtn.classList.toggle("active", state.groupByTemplate);
+    groupBtn.onclick = () => {
+      state.groupByTemplate = !state.groupByTemplate;
+      renderSessionHistory(sessions);
+    };
   }
 
   const exportBtn = document.getElementById("export-csv-btn");
   if (exportBtn) {
     exportBtn.onclick = () => {
-      const headers = ["Date", "Time", "Topic", "Duration (min)", "Focus Score (%)", "Distractions", "Distraction Time (min)"];
+      const headers = ["Date", "Time", "Topic", "Template", "Duration (min)", "Focus Score (%)", "Distractions", "Distraction Time (min)", "Exceptions", "Cycles"];
       const rows = filtered.map((s) => {
         const d = new Date(s.startTime || s.endTime || Date.now());
         return [
           d.toLocaleDateString("en-US"),
           d.toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" }),
           `"${(s.topic || "Untitled").replace(/"/g, '""')}"`,
+          `"${(s.templateName || "").replace(/"/g, '""')}"`,
           Math.round((s.duration || 0) / 60000),
           s.focusScore != null ? s.focusScore : "",
           s.distractions || 0,
           Math.round((s.distractionTime || 0) / 60000),
+          `"${formatExceptions(s.exceptions).replace(/"/g, '""')}"`,
+          s.cycles?.length || 0,
         ].join(",");
       });
 
@@ -1280,6 +1509,22 @@ function setupControls(user, session) {
     }, 200);
     searchInput.addEventListener("input", () => onInput(searchInput.value.trim()));
   }
+
+  const deckSearch = document.getElementById("deck-search");
+  if (deckSearch) {
+    const onDeckInput = debounce((value) => {
+      state.deckQuery = value;
+      renderDeck();
+    }, 200);
+    deckSearch.addEventListener("input", () => onDeckInput(deckSearch.value.trim()));
+  }
+
+  // Reviews from the popup or content scripts land here while the page is open
+  chrome.storage.onChanged.addListener((changes) => {
+    if (!changes[FLASHCARD_DECK_KEY]) return;
+    state.deck = changes[FLASHCARD_DECK_KEY].newValue || { cards: [] };
+    renderDeck();
+  });
 }
 
 /**
@@ -1313,11 +1558,13 @@ function showOfflineBanner() {
 }
 
 async function init() {
-  const { user, session, sessionHistory = [] } = await chrome.storage.local.get([
+  const { user, session, sessionHistory = [], [FLASHCARD_DECK_KEY]: deck } = await chrome.storage.local.get([
     "user",
     "session",
     "sessionHistory",
+    FLASHCARD_DECK_KEY,
   ]);
+  state.deck = deck || { cards: [] };
 
   // Wait for Firebase Auth to initialize before querying Firestore
   await waitForAuth();
@@ -1344,6 +1591,8 @@ async function init() {
 
   setupControls(user, session);
   renderAll(user, session);
+  renderDeck();
+  setupDeckImport();
 }
 
 init();
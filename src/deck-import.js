@@ -0,0 +1,222 @@
+// ===== Focus Flow - Flashcard Deck Import =====
+// Parses user-supplied decks into flashcards for the spaced-repetition deck.
+//
+//   CSV   header row with question/front and answer/back columns (optional:
+//         options, hint, explanation), or headerless "front,back" rows
+//   TSV   Anki "Notes in Plain Text" export: front<TAB>back[<TAB>tags];
+//         "#key:value" header lines are honored and HTML is stripped
+//   JSON  [{ question|front, answer|back, options?, hint?, explanation? }]
+//         or { name?, cards: [...] }
+//
+// Cards without multiple-choice options get distractors drawn from the
+// answers of other cards in the same file.
+
+const MAX_IMPORT_CARDS = 500;
+const MAX_FIELD_LENGTH = 500;
+const OPTIONS_PER_CARD = 4;
+
+const HTML_ENTITIES = { "&nbsp;": " ", "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": '"', "&#39;": "'" };
+
+// Anki fields are HTML; keep the text and turn line breaks into spaces
+function cleanField(value) {
+  return String(value ?? "")
+    .replace(/<br\s*\/?>/gi, " ")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;|&amp;|&lt;|&gt;|&quot;|&#39;/g, (m) => HTML_ENTITIES[m])
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_FIELD_LENGTH);
+}
+
+/**
+ * Split delimited text into rows, honoring double-quoted fields with
+ * embedded delimiters, newlines and "" escapes.
+ */
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim()));
+}
+
+const COLUMN_ALIASES = {
+  question: ["question", "front", "term", "prompt"],
+  answer: ["answer", "back", "definition", "response"],
+  options: ["options", "choices"],
+  hint: ["hint"],
+  explanation: ["explanation", "notes", "extra"],
+};
+
+function findColumns(header) {
+  const names = header.map((h) => h.trim().toLowerCase());
+  const columns = {};
+  Object.entries(COLUMN_ALIASES).forEach(([key, aliases]) => {
+    const index = names.findIndex((n) => aliases.includes(n));
+    if (index >= 0) columns[key] = index;
+  });
+  return columns.question !== undefined && columns.answer !== undefined ? columns : null;
+}
+
+// "a | b | c" or "a; b; c" in one cell
+function splitOptions(value) {
+  if (Array.isArray(value)) return value.map(cleanField).filter(Boolean);
+  const text = String(value || "");
+  const separator = text.includes("|") ? "|" : ";";
+  return text.split(separator).map(cleanField).filter(Boolean);
+}
+
+function rowsToCards(rows, defaults = { question: 0, answer: 1 }) {
+  const columns = findColumns(rows[0] || []);
+  const body = columns ? rows.slice(1) : rows;
+  const cols = columns || defaults;
+
+  return body.map((row) => ({
+    question: cleanField(row[cols.question]),
+    answer: cleanField(row[cols.answer]),
+    options: cols.options !== undefined ? splitOptions(row[cols.options]) : [],
+    hint: cols.hint !== undefined ? cleanField(row[cols.hint]) : "",
+    explanation: cols.explanation !== undefined ? cleanField(row[cols.explanation]) : "",
+  }));
+}
+
+function parseCsv(text) {
+  return rowsToCards(parseDelimited(text, ","));
+}
+
+function parseTsv(text) {
+  // Anki writes "#separator:tab", "#html:true", "#deck column:3", ... before
+  // the notes. Column directives (1-based) mark metadata columns to skip.
+  const lines = text.split(/\r?\n/);
+  const metaColumns = new Set();
+  let start = 0;
+  while (start < lines.length && lines[start].startsWith("#")) {
+    const match = lines[start].match(/^#(guid|notetype|deck|tags) column:(\d+)/);
+    if (match) metaColumns.add(Number(match[2]) - 1);
+    start += 1;
+  }
+
+  const rows = parseDelimited(lines.slice(start).join("\n"), "\t");
+  const width = Math.max(0, ...rows.map((r) => r.length));
+  const fields = [...Array(width).keys()].filter((i) => !metaColumns.has(i));
+  return rowsToCards(rows, { question: fields[0] ?? 0, answer: fields[1] ?? 1 });
+}
+
+function parseJson(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.cards;
+  if (!Array.isArray(list)) throw new Error("JSON decks need a list of cards or a \"cards\" array.");
+
+  return list.map((item) => ({
+    question: cleanField(item?.question ?? item?.front),
+    answer: cleanField(item?.answer ?? item?.back),
+    options: splitOptions(item?.options || []),
+    hint: cleanField(item?.hint),
+    explanation: cleanField(item?.explanation),
+  }));
+}
+
+/**
+ * Format from the file name, falling back to sniffing the content.
+ */
+export function detectImportFormat(fileName, text) {
+  const ext = String(fileName || "").toLowerCase().split(".").pop();
+  if (ext === "json") return "json";
+  if (ext === "tsv") return "tsv";
+  if (ext === "csv") return "csv";
+
+  const trimmed = String(text || "").trimStart();
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) return "json";
+  if (trimmed.startsWith("#separator:tab")) return "tsv";
+  return trimmed.split(/\r?\n/).find((line) => !line.startsWith("#"))?.includes("\t") ? "tsv" : "csv";
+}
+
+function hashString(text) {
+  let hash = 0;
+  for (const ch of String(text)) {
+    hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  }
+  return hash;
+}
+
+// Deterministic order so re-importing the same file gives the same cards
+function seededShuffle(list, seed) {
+  const out = [...list];
+  let state = hashString(seed) || 1;
+  for (let i = out.length - 1; i > 0; i -= 1) {
+    state = (state * 1103515245 + 12345) >>> 0;
+    const j = state % (i + 1);
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/**
+ * Give every card multiple-choice options. Cards that bring their own keep
+ * them (with the answer added if missing); front/back cards get the answers
+ * of other cards as distractors. Cards left with fewer than two options are
+ * dropped, since there is nothing to choose between.
+ */
+export function fillDistractors(cards) {
+  const answers = [...new Set(cards.map((c) => c.answer))];
+
+  return cards
+    .map((card) => {
+      let options = card.options.filter((o) => o !== card.answer);
+      if (!options.length) {
+        options = seededShuffle(answers.filter((a) => a !== card.answer), card.question).slice(
+          0,
+          OPTIONS_PER_CARD - 1
+        );
+      }
+      return {
+        ...card,
+        options: seededShuffle([card.answer, ...options.slice(0, OPTIONS_PER_CARD - 1)], `${card.question}|order`),
+      };
+    })
+    .filter((card) => card.options.length >= 2);
+}
+
+/**
+ * Parse a deck file into flashcards ready for `createDeckCard`.
+ * Returns `{ format, cards, skipped }`; throws on unreadable input.
+ */
+export function parseDeckFile(fileName, text) {
+  const format = detectImportFormat(fileName, text);
+  const raw = format === "json" ? parseJson(text) : format === "tsv" ? parseTsv(text) : parseCsv(text);
+
+  const complete = raw.filter((card) => card.question && card.answer).slice(0, MAX_IMPORT_CARDS);
+  const cards = fillDistractors(complete);
+  return { format, cards, skipped: raw.length - cards.length };
+}
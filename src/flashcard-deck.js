@@ -0,0 +1,208 @@
+// ===== Focus Flow - Flashcard Deck (Spaced Repetition) =====
+// Every AI flashcard the user answers is kept in a per-user deck and
+// rescheduled with SM-2, alongside cards imported from the user's own decks
+// (deck-import.js), which are attached to a topic or a session template.
+// The deck lives in chrome.storage.local under `flashcardDeck`
+// ({ cards: [...] }) and is mirrored to Firestore by sync.js.
+// background.js is the only writer: content scripts and the popup send it
+// `recordFlashcardReview` messages.
+
+export const FLASHCARD_DECK_KEY = "flashcardDeck";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Failed cards come back within the same study session
+const RELEARN_DELAY_MS = 10 * 60 * 1000;
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+const MAX_DECK_CARDS = 2000;
+// Interval after which a card counts as learned on the dashboard
+export const MATURE_INTERVAL_DAYS = 21;
+
+export function createCardId() {
+  return `card_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function normalizeText(text) {
+  return String(text || "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+/**
+ * New deck card from a generated or imported flashcard. It is due
+ * immediately; the first answer schedules it.
+ */
+export function createDeckCard(
+  flashcard,
+  topic,
+  now = Date.now(),
+  { source = "generated", deckName = null, templateId = null } = {}
+) {
+  return {
+    id: createCardId(),
+    topic: String(topic || "").trim(),
+    source,
+    deckName,
+    templateId,
+    question: String(flashcard.question || "").trim(),
+    options: Array.isArray(flashcard.options) ? flashcard.options.map(String) : [],
+    answer: String(flashcard.answer || "").trim(),
+    hint: flashcard.hint || "",
+    explanation: flashcard.explanation || "",
+    ease: DEFAULT_EASE,
+    intervalDays: 0,
+    repetitions: 0,
+    lapses: 0,
+    dueAt: now,
+    lastGrade: null,
+    lastReviewedAt: null,
+    reviewCount: 0,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * SM-2 quality (0–5) from how the user answered a multiple-choice card.
+ * Skipping is a blackout; a correct answer earns more the faster it came.
+ */
+export function gradeAnswer({ selected, answer, responseMs = 0 }) {
+  if (!selected) return 0;
+  if (normalizeText(selected) !== normalizeText(answer)) return 2;
+  if (responseMs > 0 && responseMs <= 8000) return 5;
+  if (responseMs > 20000) return 3;
+  return 4;
+}
+
+/**
+ * Return the card rescheduled after a review with SM-2 quality `grade`.
+ */
+export function scheduleReview(card, grade, now = Date.now()) {
+  const q = Math.max(0, Math.min(5, Math.round(grade)));
+  const ease = Math.max(MIN_EASE, (card.ease || DEFAULT_EASE) + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+
+  let { repetitions = 0, intervalDays = 0, lapses = 0 } = card;
+  let dueAt;
+
+  if (q < 3) {
+    repetitions = 0;
+    intervalDays = 0;
+    lapses += card.reviewCount ? 1 : 0;
+    dueAt = now + RELEARN_DELAY_MS;
+  } else {
+    repetitions += 1;
+    intervalDays = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(intervalDays * ease);
+    dueAt = now + intervalDays * DAY_MS;
+  }
+
+  return {
+    ...card,
+    ease: Number(ease.toFixed(2)),
+    repetitions,
+    intervalDays,
+    lapses,
+    dueAt,
+    lastGrade: q,
+    lastReviewedAt: now,
+    reviewCount: (card.reviewCount || 0) + 1,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Return the card after an answer. A scheduled card answered before it is
+ * due (studied ahead) only records the grade: rescheduling it would grow
+ * its interval on every early review.
+ */
+export function reviewCard(card, grade, now = Date.now()) {
+  if (!card.reviewCount || card.dueAt <= now) return scheduleReview(card, grade, now);
+  return {
+    ...card,
+    lastGrade: Math.max(0, Math.min(5, Math.round(grade))),
+    lastReviewedAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Whether a card belongs to a session: same template, or same topic.
+ */
+export function cardMatchesSession(card, { topic = null, templateId = null } = {}) {
+  if (templateId && card.templateId === templateId) return true;
+  return Boolean(topic) && normalizeText(card.topic) === normalizeText(topic);
+}
+
+/**
+ * Cards due now, most overdue first. Pass `topic` and/or `templateId` to
+ * limit to one session's cards.
+ */
+export function getDueCards(deck, { topic = null, templateId = null, now = Date.now() } = {}) {
+  const scoped = Boolean(topic || templateId);
+  return (deck?.cards || [])
+    .filter((card) => card.dueAt <= now && (!scoped || cardMatchesSession(card, { topic, templateId })))
+    .sort((a, b) => a.dueAt - b.dueAt);
+}
+
+/**
+ * Imported card for the session to study ahead of schedule, soonest due
+ * first. Lets an imported deck stand in for LLM generation when nothing
+ * is due yet; `reviewCard` keeps its schedule when it is answered.
+ */
+export function getNextImportedCard(deck, session) {
+  return (
+    (deck?.cards || [])
+      .filter((card) => card.source === "import" && cardMatchesSession(card, session))
+      .sort((a, b) => a.dueAt - b.dueAt)[0] || null
+  );
+}
+
+/**
+ * Card with the same question on the same topic, so a regenerated card
+ * continues its existing schedule instead of starting over.
+ */
+export function findMatchingCard(deck, flashcard, topic) {
+  const question = normalizeText(flashcard.question);
+  const wanted = normalizeText(topic);
+  return (
+    (deck?.cards || []).find(
+      (card) => normalizeText(card.question) === question && normalizeText(card.topic) === wanted
+    ) || null
+  );
+}
+
+/**
+ * Return a new deck with `card` inserted or replaced by id. Past the size
+ * cap, the least recently touched cards are dropped.
+ */
+export function upsertCard(deck, card) {
+  const cards = (deck?.cards || []).filter((c) => c.id !== card.id);
+  cards.push(card);
+  if (cards.length > MAX_DECK_CARDS) {
+    cards.sort((a, b) => b.updatedAt - a.updatedAt);
+    cards.length = MAX_DECK_CARDS;
+  }
+  return { cards };
+}
+
+/**
+ * Merge two decks card by card; the most recently updated copy wins.
+ */
+export function mergeDecks(local, remote) {
+  const byId = new Map();
+  [...(local?.cards || []), ...(remote?.cards || [])].forEach((card) => {
+    const current = byId.get(card.id);
+    if (!current || (card.updatedAt || 0) > (current.updatedAt || 0)) byId.set(card.id, card);
+  });
+  return { cards: [...byId.values()] };
+}
+
+/**
+ * Counts for the popup and dashboard.
+ */
+export function summarizeDeck(deck, now = Date.now()) {
+  const cards = deck?.cards || [];
+  return {
+    total: cards.length,
+    due: cards.filter((c) => c.dueAt <= now).length,
+    learning: cards.filter((c) => c.intervalDays < MATURE_INTERVAL_DAYS).length,
+    mature: cards.filter((c) => c.intervalDays >= MATURE_INTERVAL_DAYS).length,
+  };
+}
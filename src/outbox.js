@@ -0,0 +1,94 @@
+// ===== Focus Flow - Server Outbox =====
+// Parse batches and intervention feedback that could not reach the server wait
+// in chrome.storage.local under `serverOutbox`:
+//
+//   { items: [{ id, kind, body, events, bytes, queuedAt }], offline,
+//     failures, nextAttemptAt, lastError }
+//
+// background.js sends items oldest first once the server's /health answers,
+// backing off exponentially between failed attempts. The popup reads the
+// same object for its offline indicator.
+
+export const OUTBOX_KEY = "serverOutbox";
+export const MAX_OUTBOX_ITEMS = 200;
+// chrome.storage.local allows 10 MB; leave most of it to sessions and the deck
+export const MAX_OUTBOX_BYTES = 2 * 1024 * 1024;
+export const OUTBOX_RETRY_BASE_MS = 5000;
+export const OUTBOX_RETRY_MAX_MS = 5 * 60 * 1000;
+
+export function emptyOutbox() {
+  return { items: [], offline: false, failures: 0, nextAttemptAt: 0, lastError: null };
+}
+
+export function normalizeOutbox(outbox) {
+  return { ...emptyOutbox(), ...(outbox || {}), items: Array.isArray(outbox?.items) ? outbox.items : [] };
+}
+
+/**
+ * Delay before the next attempt after `failures` consecutive failures:
+ * 5s, 10s, 20s, ... capped at 5 minutes.
+ */
+export function nextRetryDelay(failures) {
+  const exponent = Math.max(0, failures - 1);
+  return Math.min(OUTBOX_RETRY_MAX_MS, OUTBOX_RETRY_BASE_MS * 2 ** exponent);
+}
+
+/**
+ * Append a request, dropping the oldest items once the count or byte budget
+ * is exceeded. Returns a new outbox.
+ */
+export function enqueueOutboxItem(outbox, kind, body, now = Date.now()) {
+  const next = normalizeOutbox(outbox);
+  const item = {
+    id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+    kind,
+    body,
+    events: Array.isArray(body?.events) ? body.events.length : 1,
+    bytes: JSON.stringify(body).length,
+    queuedAt: now,
+  };
+
+  const items = [...next.items, item];
+  let bytes = items.reduce((sum, i) => sum + i.bytes, 0);
+  while (items.length > 1 && (items.length > MAX_OUTBOX_ITEMS || bytes > MAX_OUTBOX_BYTES)) {
+    bytes -= items.shift().bytes;
+  }
+
+  return { ...next, items };
+}
+
+export function removeOutboxItem(outbox, id) {
+  const next = normalizeOutbox(outbox);
+  return { ...next, items: next.items.filter((item) => item.id !== id) };
+}
+
+export function markOutboxFailure(outbox, error, now = Date.now()) {
+  const next = normalizeOutbox(outbox);
+  const failures = next.failures + 1;
+  return {
+    ...next,
+    offline: true,
+    failures,
+    nextAttemptAt: now + nextRetryDelay(failures),
+    lastError: String(error || "unreachable"),
+  };
+}
+
+export function markOutboxOnline(outbox) {
+  return { ...normalizeOutbox(outbox), offline: false, failures: 0, nextAttemptAt: 0, lastError: null };
+}
+
+/**
+ * What the popup shows: whether the server is unreachable and how many
+ * events are waiting for it.
+ */
+export function summarizeOutbox(outbox) {
+  const next = normalizeOutbox(outbox);
+  return {
+    offline: next.offline,
+    items: next.items.length,
+    events: next.items.reduce((sum, item) => sum + (item.events || 0), 0),
+    nextAttemptAt: next.nextAttemptAt,
+    lastError: next.lastError,
+  };
+}
@@ -12,6 +12,7 @@ import {
 import { createIncrementalTracker } from "./incremental-tracker.js";
 import { parseGeneralPageContent, parsePageLite } from "./text-parser.js";
 import { parseYouTubeContext, setupYouTubeHoverTracker } from "./youtube-parser.js";
+import { isPdfDocument, loadPdfContent } from "./pdf-parser.js";
 
 function withSessionContext(cb) {
   chrome.storage.local.get(["session"], (res) => cb(res.session || null));
@@ -137,7 +138,6 @@ export function initParsingCollector() {
     const lite = parsePageLite();
     const domain = parseDomain(window.location.href);
     const category = categorizeDomain(domain);
-    const allowedSites = session?.allowedSites || [];
 
     const metrics = computeBehaviorMetrics();
 
@@ -149,7 +149,7 @@ export function initParsingCollector() {
       domain: lite.page.domain,
       page_title: lite.page.page_title,
       category,
-      is_allowed: isAllowedSite(domain, allowedSites),
+      is_allowed: isAllowedSite(window.location.href, session),
       metadata: lite.metadata,
       ...metrics,
     };
@@ -159,7 +159,6 @@ export function initParsingCollector() {
     const general = parseGeneralPageContent();
     const domain = parseDomain(window.location.href);
     const category = categorizeDomain(domain);
-    const allowedSites = session?.allowedSites || [];
     const studyTopic = session?.topic || "";
     const relevance = estimateRelevance(
       studyTopic,
@@ -181,7 +180,7 @@ export function initParsingCollector() {
       domain: general.page.domain,
       page_title: general.page.page_title,
       category,
-      is_allowed: isAllowedSite(domain, allowedSites),
+      is_allowed: isAllowedSite(window.location.href, session),
       is_relevant_to_topic: relevance,
       metadata: general.metadata,
       content: {
@@ -189,10 +188,12 @@ export function initParsingCollector() {
         summary: general.content.visible_text_summary,
         word_count: general.content.word_count,
         search_results: general.content.search_results || [],
+        pdf: general.content.pdf || null,
       },
       media: general.media,
       dom_features: general.dom_features,
       youtube,
+      site_context: general.site_context || null,
       incremental,
     };
 
@@ -206,7 +207,7 @@ export function initParsingCollector() {
     if (!isCurrentTabActive()) return;
 
     withSessionContext((session) => {
-      if (!session?.active) return;
+      if (!session?.active || session.paused) return;
       sendMessage({
         action: "parseImmediate",
         payload: buildLitePayload(session, "immediate"),
@@ -218,7 +219,7 @@ export function initParsingCollector() {
     if (!isCurrentTabActive()) return;
 
     withSessionContext((session) => {
-      if (!session?.active) return;
+      if (!session?.active || session.paused) return;
       const full = buildFullPayload(session);
 
       const hasIncremental =
@@ -248,11 +249,15 @@ export function initParsingCollector() {
     behavior.lastScrollY = window.scrollY;
     lastSentHash = "";
     sendImmediate();
+    // `#page=N` changed: read that page and send it
+    if (isPdfDocument()) loadPdfContent(next).then(sendBatch);
   }
 
   function start() {
     tracker.start();
     sendImmediate();
+    // The viewer has no DOM text; send the PDF's text as soon as it is read
+    if (isPdfDocument()) loadPdfContent().then(sendBatch);
 
     document.addEventListener("mousemove", onMouseMove, true);
     document.addEventListener("click", () => markActivity("click"), true);
@@ -268,7 +273,7 @@ export function initParsingCollector() {
         if (!isCurrentTabActive()) return;
 
         withSessionContext((session) => {
-          if (!session?.active) return;
+          if (!session?.active || session.paused) return;
           sendMessage({
             action: "parseBatch",
             payload: {
@@ -7,7 +7,10 @@ export const PARSING_CONFIG = {
   MAX_HEADINGS: 10,
   MAX_IMAGES: 5,
   MAX_PDFS: 5,
+  MAX_PDF_BYTES: 25 * 1024 * 1024,
+  MAX_PDF_PAGES: 2000,
   MAX_KEYWORDS: 8,
+  SITE_EXCERPT_CHARS: 600,
   GOOGLE_MAX_RESULTS: 5,
 };
 
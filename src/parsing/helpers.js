@@ -4,6 +4,7 @@ import {
   ENTERTAINMENT_DOMAINS,
   SOCIAL_DOMAINS,
 } from "./config.js";
+import { isUrlAllowedForSession } from "../site-rules.js";
 
 export function parseDomain(url) {
   try {
@@ -50,10 +51,10 @@ export function categorizeDomain(domain) {
   return CATEGORY.UNKNOWN;
 }
 
-export function isAllowedSite(domain, allowedSites = []) {
-  return allowedSites.some(
-    (site) => domain === site || domain.endsWith(`.${site}`)
-  );
+// Follows the session's site mode and rules (see site-rules.js), so pass the
+// full URL — path and deny rules can't be checked from the domain alone.
+export function isAllowedSite(url, session) {
+  return isUrlAllowedForSession(url, session);
 }
 
 export function estimateRelevance(studyTopic, title, text) {
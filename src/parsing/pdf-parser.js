@@ -0,0 +1,588 @@
+import { PARSING_CONFIG } from "./config.js";
+import { cleanText, trimText } from "./helpers.js";
+
+// Chrome renders PDFs in its own viewer, so the page DOM holds no text. The
+// content script fetches the file itself (same origin, so course-site cookies
+// apply) and reads it here: document title, outline, page count and the text
+// of the page named in `#page=N`. Only what lecture slides and papers need is
+// supported: Flate-compressed or plain streams, object streams, and fonts
+// with ToUnicode maps or single-byte encodings.
+
+// ===== Low-level parsing =====
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set(["(", ")", "<", ">", "[", "]", "{", "}", "/", "%"]);
+
+function isWhitespace(ch) {
+  return WHITESPACE.has(ch.charCodeAt(0));
+}
+
+function isRegular(ch) {
+  return ch !== "" && !isWhitespace(ch) && !DELIMITERS.has(ch);
+}
+
+// One char per byte, so string offsets are byte offsets
+function bytesToBinary(bytes) {
+  let out = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return out;
+}
+
+/**
+ * Reads PDF objects from `text` starting at `pos`. Values come back as:
+ * numbers, booleans, null, names as "/Name" strings, strings as `{ bytes }`,
+ * references as `{ ref }`, arrays, dicts as plain objects keyed without the
+ * slash, and bare keywords (content stream operators) as `{ op }`.
+ */
+function createReader(text, pos = 0) {
+  const reader = { text, pos };
+
+  function skipSpace() {
+    while (reader.pos < text.length) {
+      const ch = text[reader.pos];
+      if (isWhitespace(ch)) {
+        reader.pos += 1;
+      } else if (ch === "%") {
+        while (reader.pos < text.length && text[reader.pos] !== "\n" && text[reader.pos] !== "\r") reader.pos += 1;
+      } else {
+        break;
+      }
+    }
+  }
+
+  function readRegular() {
+    const start = reader.pos;
+    while (reader.pos < text.length && isRegular(text[reader.pos])) reader.pos += 1;
+    return text.slice(start, reader.pos);
+  }
+
+  function readLiteralString() {
+    let depth = 1;
+    let out = "";
+    reader.pos += 1;
+    while (reader.pos < text.length) {
+      const ch = text[reader.pos++];
+      if (ch === "\\") {
+        const next = text[reader.pos++];
+        const escapes = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+        if (escapes[next]) out += escapes[next];
+        else if (next >= "0" && next <= "7") {
+          let octal = next;
+          while (octal.length < 3 && text[reader.pos] >= "0" && text[reader.pos] <= "7") octal += text[reader.pos++];
+          out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (next === "\r") {
+          if (text[reader.pos] === "\n") reader.pos += 1;
+        } else if (next !== "\n") out += next;
+      } else if (ch === "(") {
+        depth += 1;
+        out += ch;
+      } else if (ch === ")") {
+        depth -= 1;
+        if (!depth) break;
+        out += ch;
+      } else {
+        out += ch;
+      }
+    }
+    return { bytes: out };
+  }
+
+  function readHexString() {
+    const end = text.indexOf(">", reader.pos);
+    const hex = text.slice(reader.pos + 1, end < 0 ? text.length : end).replace(/[^0-9a-fA-F]/g, "");
+    reader.pos = end < 0 ? text.length : end + 1;
+    let out = "";
+    for (let i = 0; i < hex.length; i += 2) out += String.fromCharCode(parseInt(hex.slice(i, i + 2).padEnd(2, "0"), 16));
+    return { bytes: out };
+  }
+
+  function readName() {
+    reader.pos += 1;
+    return `/${readRegular().replace(/#([0-9a-fA-F]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16)))}`;
+  }
+
+  // A number, or `num gen R` when a reference follows
+  function readNumberOrRef(token) {
+    const number = Number(token);
+    const save = reader.pos;
+    skipSpace();
+    const gen = readRegular();
+    skipSpace();
+    if (/^\d+$/.test(token) && /^\d+$/.test(gen) && text[reader.pos] === "R" && !isRegular(text[reader.pos + 1] || "")) {
+      reader.pos += 1;
+      return { ref: number };
+    }
+    reader.pos = save;
+    return number;
+  }
+
+  reader.read = function read() {
+    skipSpace();
+    if (reader.pos >= text.length) return undefined;
+    const ch = text[reader.pos];
+
+    if (ch === "<" && text[reader.pos + 1] === "<") {
+      reader.pos += 2;
+      const dict = {};
+      for (;;) {
+        skipSpace();
+        if (reader.pos >= text.length) break;
+        if (text[reader.pos] === ">" && text[reader.pos + 1] === ">") {
+          reader.pos += 2;
+          break;
+        }
+        const key = reader.read();
+        if (typeof key !== "string") continue;
+        dict[key.slice(1)] = reader.read();
+      }
+      return dict;
+    }
+    if (ch === "[") {
+      reader.pos += 1;
+      const list = [];
+      for (;;) {
+        skipSpace();
+        if (reader.pos >= text.length) break;
+        if (text[reader.pos] === "]") {
+          reader.pos += 1;
+          break;
+        }
+        list.push(reader.read());
+      }
+      return list;
+    }
+    if (ch === "(") return readLiteralString();
+    if (ch === "<") return readHexString();
+    if (ch === "/") return readName();
+    if (ch === ")" || ch === ">" || ch === "]" || ch === "{" || ch === "}") {
+      reader.pos += 1;
+      return { op: ch };
+    }
+
+    const token = readRegular();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) return readNumberOrRef(token);
+    if (token === "true" || token === "false") return token === "true";
+    if (token === "null") return null;
+    if (!token) {
+      reader.pos += 1;
+      return { op: ch };
+    }
+    return { op: token };
+  };
+
+  return reader;
+}
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// PDF text strings are UTF-16BE with a BOM, or (close enough) Latin-1
+function decodeTextString(value) {
+  const bytes = value?.bytes || "";
+  if (bytes.startsWith("\xfe\xff")) {
+    let out = "";
+    for (let i = 2; i + 1 < bytes.length; i += 2) out += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+    return cleanText(out);
+  }
+  return cleanText(bytes);
+}
+
+// ===== Document structure =====
+
+function createPdfDocument(bytes) {
+  const text = bytesToBinary(bytes);
+  const offsets = new Map();
+  const compressed = new Map();
+  const cache = new Map();
+
+  // Later definitions win, which is how incremental updates work
+  const objectPattern = /(\d+)\s+(\d+)\s+obj\b/g;
+  let match;
+  while ((match = objectPattern.exec(text))) {
+    offsets.set(Number(match[1]), match.index + match[0].length);
+  }
+
+  function lastRef(key) {
+    const refs = [...text.matchAll(new RegExp(`/${key}\\s+(\\d+)\\s+\\d+\\s+R`, "g"))];
+    return refs.length ? { ref: Number(refs[refs.length - 1][1]) } : null;
+  }
+
+  async function readStreamData(dict, start) {
+    let pos = text.indexOf("stream", start);
+    if (pos < 0) return null;
+    pos += "stream".length;
+    if (text[pos] === "\r") pos += 1;
+    if (text[pos] === "\n") pos += 1;
+
+    // Trust /Length only when endstream follows it; some writers get it wrong
+    const length = await resolve(dict.Length);
+    let end = text.indexOf("endstream", pos);
+    if (typeof length === "number" && /^\s*endstream/.test(text.slice(pos + length, pos + length + 12))) {
+      end = pos + length;
+    }
+    const raw = bytes.subarray(pos, end < 0 ? bytes.length : end);
+
+    const filter = await resolve(dict.Filter);
+    const filters = Array.isArray(filter) ? filter : filter ? [filter] : [];
+    if (!filters.length) return raw;
+    if (filters.length === 1 && filters[0] === "/FlateDecode") {
+      try {
+        return await inflate(raw);
+      } catch {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  async function loadObjectStream(num) {
+    const { value, stream } = await readObject(num);
+    if (!stream) return;
+    const data = bytesToBinary(stream);
+    const reader = createReader(data);
+    const entries = [];
+    for (let i = 0; i < (value.N || 0); i += 1) entries.push([reader.read(), reader.read()]);
+    entries.forEach(([objNum, offset]) => {
+      if (!offsets.has(objNum) && !compressed.has(objNum)) {
+        compressed.set(objNum, { data, start: (value.First || 0) + offset });
+      }
+    });
+  }
+
+  /**
+   * `{ value, stream }` for an object number; `stream` is the decoded bytes
+   * of a stream object (null when its filter isn't supported).
+   */
+  async function readObject(num) {
+    if (cache.has(num)) return cache.get(num);
+    let result = { value: null, stream: null };
+
+    if (offsets.has(num)) {
+      const reader = createReader(text, offsets.get(num));
+      const value = reader.read();
+      result = { value, stream: null };
+      const after = createReader(text, reader.pos);
+      const next = after.read();
+      if (next?.op === "stream" && value && typeof value === "object") {
+        result.stream = await readStreamData(value, reader.pos);
+      }
+    } else if (compressed.has(num)) {
+      const { data, start } = compressed.get(num);
+      result = { value: createReader(data, start).read(), stream: null };
+    }
+
+    cache.set(num, result);
+    return result;
+  }
+
+  async function resolve(value) {
+    let current = value;
+    for (let depth = 0; current && typeof current === "object" && "ref" in current && depth < 8; depth += 1) {
+      current = (await readObject(current.ref)).value;
+    }
+    return current;
+  }
+
+  async function load() {
+    const streams = [];
+    offsets.forEach((start, num) => {
+      if (/\/Type\s*\/ObjStm/.test(text.slice(start, start + 300))) streams.push(num);
+    });
+    for (const num of streams) {
+      await loadObjectStream(num);
+    }
+  }
+
+  return { text, readObject, resolve, load, lastRef };
+}
+
+// ===== Fonts =====
+
+function parseToUnicode(cmap) {
+  const map = new Map();
+  const hex = (s) => s.replace(/[<>\s]/g, "");
+  const utf16 = (h) => {
+    let out = "";
+    for (let i = 0; i + 3 < h.length; i += 4) out += String.fromCharCode(parseInt(h.slice(i, i + 4), 16));
+    return out;
+  };
+
+  const space = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(cmap);
+  const codeBytes = space ? Math.max(1, space[1].length / 2) : 1;
+
+  for (const block of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const pair of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(parseInt(pair[1], 16), utf16(hex(pair[2])));
+    }
+  }
+  for (const block of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const range of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      const lo = parseInt(range[1], 16);
+      const hi = Math.min(parseInt(range[2], 16), lo + 0xffff);
+      if (range[3].startsWith("[")) {
+        const targets = [...range[3].matchAll(/<([0-9a-fA-F]*)>/g)].map((t) => utf16(t[1]));
+        for (let code = lo; code <= hi && code - lo < targets.length; code += 1) map.set(code, targets[code - lo]);
+      } else {
+        const base = hex(range[3]);
+        const last = parseInt(base.slice(-4) || "0", 16);
+        for (let code = lo; code <= hi; code += 1) {
+          map.set(code, utf16(base.slice(0, -4)) + String.fromCharCode(last + code - lo));
+        }
+      }
+    }
+  }
+  return { map, codeBytes };
+}
+
+async function loadFont(doc, fontRef) {
+  const font = await doc.resolve(fontRef);
+  if (!font || typeof font !== "object") return null;
+
+  if (font.ToUnicode?.ref) {
+    const { stream } = await doc.readObject(font.ToUnicode.ref);
+    if (stream) return parseToUnicode(bytesToBinary(stream));
+  }
+
+  // Two-byte fonts without a map can't be read; single-byte ones are close to Latin-1
+  const encoding = await doc.resolve(font.Encoding);
+  if (font.Subtype === "/Type0" || encoding === "/Identity-H") return { unreadable: true };
+  return null;
+}
+
+function decodeShownText(bytes, font) {
+  if (font?.unreadable) return "";
+  if (!font?.map) return bytes;
+  let out = "";
+  for (let i = 0; i + font.codeBytes - 1 < bytes.length; i += font.codeBytes) {
+    let code = 0;
+    for (let j = 0; j < font.codeBytes; j += 1) code = (code << 8) | bytes.charCodeAt(i + j);
+    out += font.map.get(code) ?? "";
+  }
+  return out;
+}
+
+// ===== Page text =====
+
+async function extractContentText(doc, content, fonts) {
+  const reader = createReader(content);
+  const operands = [];
+  const fontCache = new Map();
+  let font = null;
+  let out = "";
+  let lastY = null;
+
+  const newline = () => {
+    if (out && !out.endsWith("\n")) out += "\n";
+  };
+  const show = (value) => {
+    if (value && typeof value === "object" && "bytes" in value) out += decodeShownText(value.bytes, font);
+  };
+
+  for (;;) {
+    const token = reader.read();
+    if (token === undefined) break;
+    if (!token || typeof token !== "object" || !("op" in token)) {
+      operands.push(token);
+      continue;
+    }
+
+    const op = token.op;
+    if (op === "Tf") {
+      const name = String(operands[0] || "").slice(1);
+      if (!fontCache.has(name)) fontCache.set(name, fonts[name] ? await loadFont(doc, fonts[name]) : null);
+      font = fontCache.get(name);
+    } else if (op === "Tj" || op === "'" || op === '"') {
+      if (op !== "Tj") newline();
+      show(operands[operands.length - 1]);
+    } else if (op === "TJ") {
+      (Array.isArray(operands[0]) ? operands[0] : []).forEach((part) => {
+        if (typeof part === "number") {
+          if (part < -200 && !out.endsWith(" ")) out += " ";
+        } else {
+          show(part);
+        }
+      });
+    } else if (op === "Td" || op === "TD") {
+      if (operands[1]) newline();
+      else if (!out.endsWith(" ")) out += " ";
+    } else if (op === "Tm") {
+      if (lastY !== null && operands[5] !== lastY) newline();
+      lastY = operands[5];
+    } else if (op === "T*" || op === "ET") {
+      newline();
+    } else if (op === "ID") {
+      // Inline image data is binary; skip to its end marker
+      const end = content.indexOf("EI", reader.pos);
+      reader.pos = end < 0 ? content.length : end + 2;
+    }
+    operands.length = 0;
+  }
+
+  return out
+    .split("\n")
+    .map((line) => cleanText(line))
+    .filter(Boolean)
+    .join("\n");
+}
+
+async function collectPages(doc, node, inherited, pages, seen = new Set()) {
+  if (!node || pages.length >= PARSING_CONFIG.MAX_PDF_PAGES) return;
+  const key = node.ref;
+  if (key !== undefined) {
+    if (seen.has(key)) return;
+    seen.add(key);
+  }
+  const value = await doc.resolve(node);
+  if (!value || typeof value !== "object") return;
+
+  const resources = value.Resources || inherited;
+  if (Array.isArray(value.Kids)) {
+    for (const kid of value.Kids) {
+      await collectPages(doc, kid, resources, pages, seen);
+    }
+    return;
+  }
+  pages.push({ page: value, resources });
+}
+
+async function pageText(doc, { page, resources }) {
+  const contents = await doc.resolve(page.Contents);
+  const parts = Array.isArray(contents) ? contents : page.Contents ? [page.Contents] : [];
+  let content = "";
+  for (const part of parts) {
+    if (!part?.ref) continue;
+    const { stream } = await doc.readObject(part.ref);
+    if (stream) content += `${bytesToBinary(stream)}\n`;
+  }
+
+  const resolved = (await doc.resolve(resources)) || {};
+  const fonts = (await doc.resolve(resolved.Font)) || {};
+  return extractContentText(doc, content, fonts);
+}
+
+async function readOutline(doc, catalog) {
+  const titles = [];
+  const outlines = await doc.resolve(catalog.Outlines);
+  const seen = new Set();
+
+  async function walk(first, depth) {
+    let ref = first;
+    while (ref?.ref && !seen.has(ref.ref) && titles.length < PARSING_CONFIG.MAX_HEADINGS) {
+      seen.add(ref.ref);
+      const item = await doc.resolve(ref);
+      if (!item) break;
+      const title = decodeTextString(await doc.resolve(item.Title));
+      if (title) titles.push(title);
+      if (depth < 2 && item.First) await walk(item.First, depth + 1);
+      ref = item.Next;
+    }
+  }
+
+  if (outlines?.First) await walk(outlines.First, 1);
+  return titles;
+}
+
+/**
+ * Open a PDF from its bytes. `pageText(n)` is 1-based and cached.
+ */
+export async function openPdf(bytes) {
+  const doc = createPdfDocument(bytes);
+  await doc.load();
+
+  const catalog = (await doc.resolve(doc.lastRef("Root"))) || {};
+  const info = (await doc.resolve(doc.lastRef("Info"))) || {};
+  const pages = [];
+  await collectPages(doc, catalog.Pages, null, pages);
+
+  const texts = new Map();
+  return {
+    title: decodeTextString(await doc.resolve(info.Title)),
+    outline: await readOutline(doc, catalog),
+    pageCount: pages.length,
+    async pageText(number) {
+      const index = number - 1;
+      if (!pages[index]) return "";
+      if (!texts.has(index)) texts.set(index, await pageText(doc, pages[index]).catch(() => ""));
+      return texts.get(index);
+    },
+  };
+}
+
+// ===== Current document =====
+
+let current = null;
+
+export function isPdfDocument() {
+  return document.contentType === "application/pdf";
+}
+
+function requestedPage(url) {
+  const match = /[#&]page=(\d+)/.exec(new URL(url).hash);
+  return match ? Math.max(1, Number(match[1])) : 1;
+}
+
+async function fetchPdf(url) {
+  const response = await fetch(url, { credentials: "include" });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  if (Number(response.headers.get("content-length")) > PARSING_CONFIG.MAX_PDF_BYTES) throw new Error("too large");
+  const buffer = await response.arrayBuffer();
+  if (buffer.byteLength > PARSING_CONFIG.MAX_PDF_BYTES) throw new Error("too large");
+  return openPdf(new Uint8Array(buffer));
+}
+
+// Slides rarely have outlines; their first lines are the slide titles
+async function fallbackHeadings(pdf) {
+  const headings = [];
+  for (let n = 1; n <= Math.min(pdf.pageCount, PARSING_CONFIG.MAX_HEADINGS); n += 1) {
+    const firstLine = (await pdf.pageText(n)).split("\n")[0];
+    if (firstLine && firstLine.length <= 220 && !headings.includes(firstLine)) headings.push(firstLine);
+  }
+  return headings;
+}
+
+/**
+ * Read the PDF this tab shows, for the page in `#page=N` (default 1). Short
+ * pages are topped up with the pages after them. Resolves to the content
+ * that getPdfContent then returns, or null when the file can't be read.
+ */
+export async function loadPdfContent(url = window.location.href) {
+  const fileUrl = url.split("#")[0];
+  if (!current || current.fileUrl !== fileUrl) {
+    current = { fileUrl, pdf: fetchPdf(fileUrl), content: null };
+  }
+  const state = current;
+
+  try {
+    const pdf = await state.pdf;
+    const pageNumber = Math.min(requestedPage(url), Math.max(1, pdf.pageCount));
+    let text = "";
+    for (let n = pageNumber; n <= pdf.pageCount && n < pageNumber + 3 && text.length < 1200; n += 1) {
+      text += `${await pdf.pageText(n)}\n`;
+    }
+
+    const summary = trimText(cleanText(text), PARSING_CONFIG.MAX_TEXT_CHARS);
+    state.content = {
+      title: pdf.title || cleanText(document.title),
+      headings: pdf.outline.length ? pdf.outline : await fallbackHeadings(pdf),
+      summary,
+      word_count: summary ? summary.split(/\s+/).length : 0,
+      page_number: pageNumber,
+      page_count: pdf.pageCount,
+    };
+  } catch (error) {
+    console.warn("Focus Flow: could not read PDF", error);
+    state.content = null;
+  }
+  return state.content;
+}
+
+/**
+ * Content from the last loadPdfContent call, or null before it finishes.
+ */
+export function getPdfContent() {
+  return current?.content || null;
+}
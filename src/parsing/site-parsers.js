@@ -0,0 +1,396 @@
+import { PARSING_CONFIG } from "./config.js";
+import { cleanText, parseDomain, trimText } from "./helpers.js";
+
+// Structured context for the study sites in EDUCATION_DOMAINS (config.js),
+// sent as `site_context` next to the generic headings/summary. Every context
+// has `site` and `type` (e.g. "stackoverflow" / "question"); the other fields
+// depend on the type. Parsers return null for pages they don't understand
+// (home pages, settings, search) and the event goes out without one.
+//
+// Selectors follow each site's current markup with older fallbacks; anything
+// a parser can read from the URL it reads from the URL.
+
+// ===== DOM helpers =====
+
+function queryText(selectors, root = document) {
+  for (const selector of selectors) {
+    const el = root.querySelector(selector);
+    const text = cleanText(el?.textContent);
+    if (text) return text;
+  }
+  return null;
+}
+
+function queryAll(selector, max = PARSING_CONFIG.MAX_KEYWORDS, root = document) {
+  const list = [];
+  root.querySelectorAll(selector).forEach((el) => {
+    const text = cleanText(el.textContent);
+    if (text && text.length <= 160 && !list.includes(text)) list.push(text);
+  });
+  return list.slice(0, max);
+}
+
+function excerpt(text, max = PARSING_CONFIG.SITE_EXCERPT_CHARS) {
+  return text ? trimText(cleanText(text), max) : null;
+}
+
+function toNumber(text) {
+  const value = Number(String(text || "").replace(/[^\d-]/g, ""));
+  return text && Number.isFinite(value) ? value : null;
+}
+
+function pathParts(url) {
+  return url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+}
+
+function humanizeSlug(slug) {
+  return slug ? slug.replace(/[-_]+/g, " ").trim() : null;
+}
+
+function titleWithoutSuffix(suffix) {
+  return cleanText(document.title.replace(suffix, "")) || null;
+}
+
+// ===== Reference and Q&A sites =====
+
+const WIKIPEDIA_SKIPPED_SECTIONS = new Set([
+  "Contents",
+  "See also",
+  "Notes",
+  "References",
+  "Sources",
+  "Further reading",
+  "External links",
+  "Bibliography",
+]);
+
+function parseWikipedia(url) {
+  const title = queryText(["#firstHeading"]);
+  if (!title || !url.pathname.startsWith("/wiki/")) return null;
+
+  const body = document.querySelector("#mw-content-text .mw-parser-output");
+  const lead = Array.from(body?.querySelectorAll(":scope > p") || [])
+    .map((p) => cleanText(p.textContent).replace(/\[\d+\]/g, ""))
+    .find((text) => text.length > 40);
+
+  const infobox = [];
+  document.querySelectorAll("table.infobox tr").forEach((row) => {
+    const label = cleanText(row.querySelector("th")?.textContent);
+    const value = cleanText(row.querySelector("td")?.textContent).replace(/\[\d+\]/g, "");
+    if (label && value && infobox.length < PARSING_CONFIG.MAX_KEYWORDS) {
+      infobox.push({ label, value: trimText(value, 120) });
+    }
+  });
+
+  return {
+    site: "wikipedia",
+    type: "article",
+    title,
+    language: url.hostname.split(".")[0],
+    lead: excerpt(lead),
+    sections: queryAll(
+      "#mw-content-text .mw-heading2 h2, #mw-content-text h2 .mw-headline",
+      PARSING_CONFIG.MAX_HEADINGS + WIKIPEDIA_SKIPPED_SECTIONS.size
+    )
+      .filter((section) => !WIKIPEDIA_SKIPPED_SECTIONS.has(section))
+      .slice(0, PARSING_CONFIG.MAX_HEADINGS),
+    infobox,
+    categories: queryAll("#mw-normal-catlinks li a"),
+  };
+}
+
+function parseStackOverflow(url) {
+  const parts = pathParts(url);
+  if (parts[0] !== "questions") return null;
+
+  if (parts[1] === "tagged" && parts[2]) {
+    return { site: "stackoverflow", type: "tag_listing", tags: parts[2].split(/[+ ]/).filter(Boolean) };
+  }
+  if (!/^\d+$/.test(parts[1] || "")) return null;
+
+  const question = document.querySelector("#question");
+  const accepted = document.querySelector("#answers .answer.accepted-answer");
+  return {
+    site: "stackoverflow",
+    type: "question",
+    question_id: Number(parts[1]),
+    title: queryText(["#question-header h1"]) || titleWithoutSuffix(/\s*-\s*Stack Overflow$/i),
+    tags: question ? queryAll(".post-tag", PARSING_CONFIG.MAX_KEYWORDS, question) : [],
+    score: question ? toNumber(queryText([".js-vote-count"], question)) : null,
+    question: question ? excerpt(queryText([".s-prose"], question)) : null,
+    answer_count: document.querySelectorAll("#answers .answer").length,
+    accepted_answer: accepted
+      ? {
+          score: toNumber(queryText([".js-vote-count"], accepted)),
+          excerpt: excerpt(queryText([".s-prose"], accepted)),
+        }
+      : null,
+  };
+}
+
+function parseMdn(url) {
+  const [locale, docs, ...area] = pathParts(url);
+  if (docs !== "docs" || !area.length) return null;
+
+  return {
+    site: "mdn",
+    type: "reference",
+    locale,
+    api_name: queryText(["main h1", "article h1", "h1"]) || humanizeSlug(area[area.length - 1]),
+    // e.g. ["Web", "JavaScript", "Reference", "Global_Objects", "Array", "map"]
+    area,
+    technology: area[0] === "Web" ? area[1] || null : area[0],
+    breadcrumbs: queryAll(".breadcrumbs-container li a, nav[aria-label='Breadcrumb'] a"),
+    summary: excerpt(queryText([".main-page-content .section-content p", "article p"])),
+    syntax: excerpt(queryText(["#syntax ~ .code-example pre", "section[aria-labelledby='syntax'] pre"]), 300),
+  };
+}
+
+function parsePythonDocs(url) {
+  const parts = pathParts(url);
+  const title = queryText(["h1"]);
+  if (!title) return null;
+
+  const apiNames = [];
+  document.querySelectorAll("dl.py > dt[id]").forEach((dt) => {
+    if (apiNames.length < PARSING_CONFIG.MAX_HEADINGS) apiNames.push(dt.id);
+  });
+
+  return {
+    site: "python_docs",
+    type: "reference",
+    version: /^\d/.test(parts[0] || "") ? parts[0] : null,
+    title: title.replace(/¶$/, "").trim(),
+    path: parts.slice(1).join("/") || null,
+    api_names: apiNames,
+  };
+}
+
+function parseArxiv(url) {
+  const [section, ...idParts] = pathParts(url);
+  if (section !== "abs" || !idParts.length) return null;
+
+  return {
+    site: "arxiv",
+    type: "paper",
+    paper_id: idParts.join("/"),
+    title: queryText(["h1.title"])?.replace(/^Title:\s*/i, "") || null,
+    authors: queryAll(".authors a"),
+    abstract: excerpt(queryText(["blockquote.abstract"])?.replace(/^Abstract:\s*/i, ""), 1000),
+    subjects: queryText(["td.subjects"]),
+  };
+}
+
+function parseScholar(url) {
+  const query = cleanText(url.searchParams.get("q") || "");
+  if (!query) return null;
+
+  return {
+    site: "google_scholar",
+    type: "search",
+    query,
+    results: queryAll("#gs_res_ccl .gs_rt", PARSING_CONFIG.GOOGLE_MAX_RESULTS),
+  };
+}
+
+// ===== Code hosting and practice sites =====
+
+// First path segments that are GitHub pages rather than owners
+const GITHUB_RESERVED = new Set([
+  "about",
+  "codespaces",
+  "collections",
+  "explore",
+  "features",
+  "login",
+  "marketplace",
+  "new",
+  "notifications",
+  "orgs",
+  "pricing",
+  "pulls",
+  "issues",
+  "search",
+  "settings",
+  "sponsors",
+  "topics",
+  "trending",
+]);
+
+function parseGitHub(url) {
+  const [owner, repo, section, ...rest] = pathParts(url);
+  if (!owner || !repo || GITHUB_RESERVED.has(owner)) return null;
+
+  const base = { site: "github", owner, repo };
+
+  if (!section) {
+    return {
+      ...base,
+      type: "repo",
+      description: queryText([".BorderGrid p.f4", "[itemprop='about']"]),
+      topics: queryAll("a.topic-tag"),
+    };
+  }
+
+  if ((section === "blob" || section === "tree") && rest.length) {
+    // Branch names may contain "/", so ref is only the first segment's guess
+    const path = rest.slice(1).join("/");
+    const fileName = path.split("/").pop() || "";
+    return {
+      ...base,
+      type: section === "blob" ? "file" : "directory",
+      ref: rest[0],
+      path: path || null,
+      extension: section === "blob" && fileName.includes(".") ? fileName.split(".").pop().toLowerCase() : null,
+    };
+  }
+
+  if ((section === "issues" || section === "pull") && /^\d+$/.test(rest[0] || "")) {
+    return {
+      ...base,
+      type: section === "issues" ? "issue" : "pull_request",
+      number: Number(rest[0]),
+      title:
+        queryText(["[data-testid='issue-title']", "bdi.js-issue-title", ".js-issue-title", "h1 bdi"]) ||
+        titleWithoutSuffix(/\s*·\s*(Issue|Pull Request) #\d+.*$/i),
+      state: queryText(["[data-testid='header-state']", ".gh-header-meta .State", ".State"]),
+      labels: queryAll(".IssueLabel, [data-testid='issue-labels'] a"),
+    };
+  }
+
+  return { ...base, type: "repo_page", section };
+}
+
+function parseLeetCode(url) {
+  const [section, slug] = pathParts(url);
+  if (section !== "problems" || !slug) return null;
+
+  return {
+    site: "leetcode",
+    type: "problem",
+    slug,
+    title: titleWithoutSuffix(/\s*-\s*LeetCode$/i) || humanizeSlug(slug),
+    difficulty: queryText(["[class*='text-difficulty-']", "[diff]"]),
+    tags: queryAll("a[href^='/tag/']"),
+  };
+}
+
+function parseHackerRank(url) {
+  const parts = pathParts(url);
+  const index = parts.indexOf("challenges");
+  const slug = index >= 0 ? parts[index + 1] : null;
+  if (!slug) return null;
+
+  return {
+    site: "hackerrank",
+    type: "challenge",
+    slug,
+    title: queryText(["h1.ui-icon-label", ".challenge-page-label-wrapper h1", "h1"]) || humanizeSlug(slug),
+    breadcrumbs: queryAll(".breadcrumb-item a, .breadcrumb a"),
+  };
+}
+
+function parseGeeksForGeeks(url) {
+  const title = queryText(["article h1", ".article-title", "h1"]);
+  if (!title || pathParts(url).length === 0) return null;
+
+  return {
+    site: "geeksforgeeks",
+    type: "article",
+    title,
+    tags: queryAll("a[href*='geeksforgeeks.org/tag/'], a[href^='/tag/']"),
+  };
+}
+
+// ===== Course platforms =====
+
+const KHAN_ITEM_TYPES = { v: "video", e: "exercise", a: "article" };
+
+function parseKhanAcademy(url) {
+  const parts = pathParts(url);
+  if (parts.length < 2 || ["profile", "settings", "login", "signup"].includes(parts[0])) return null;
+
+  // /<subject>/<course>/<unit>/<lesson>/<v|e|a>/<slug>
+  const kindIndex = parts.findIndex((part) => KHAN_ITEM_TYPES[part]);
+  // Unit and lesson slugs carry an id prefix, e.g. "x2f8bb11595b61c86:solve-equations"
+  const coursePath = (kindIndex >= 0 ? parts.slice(0, kindIndex) : parts).map((part) => part.replace(/^x[0-9a-f]+:/, ""));
+  return {
+    site: "khanacademy",
+    type: kindIndex >= 0 ? KHAN_ITEM_TYPES[parts[kindIndex]] : "course_page",
+    subject: humanizeSlug(coursePath[0]),
+    course: humanizeSlug(coursePath[1]),
+    unit: humanizeSlug(coursePath[2]),
+    lesson: humanizeSlug(coursePath[3]),
+    title: queryText(["h1"]),
+  };
+}
+
+function parseCoursera(url) {
+  const [section, course, itemKind] = pathParts(url);
+  if (!["learn", "specializations", "professional-certificates"].includes(section) || !course) return null;
+
+  return {
+    site: "coursera",
+    type: section === "learn" ? (itemKind ? "course_item" : "course") : "program",
+    course: humanizeSlug(course),
+    // lecture, supplement, quiz, exam, ...
+    item_kind: itemKind || null,
+    title: queryText(["main h1", "h1"]),
+  };
+}
+
+function parseEdx(url) {
+  const parts = pathParts(url);
+  const courseId = parts.find((part) => part.startsWith("course-v1:"));
+  if (courseId) {
+    const [org, course, run] = courseId.slice("course-v1:".length).split("+");
+    return {
+      site: "edx",
+      type: "course_item",
+      org: org || null,
+      course: course || null,
+      run: run || null,
+      title: queryText(["main h1", "h1", "h2"]),
+    };
+  }
+
+  if (parts[0] !== "learn" || parts.length < 3) return null;
+  return {
+    site: "edx",
+    type: "course",
+    subject: humanizeSlug(parts[1]),
+    course: humanizeSlug(parts[2]),
+    title: queryText(["h1"]),
+  };
+}
+
+// ===== Registry =====
+
+const SITE_PARSERS = {
+  "wikipedia.org": parseWikipedia,
+  "geeksforgeeks.org": parseGeeksForGeeks,
+  "khanacademy.org": parseKhanAcademy,
+  "coursera.org": parseCoursera,
+  "edx.org": parseEdx,
+  "stackoverflow.com": parseStackOverflow,
+  "developer.mozilla.org": parseMdn,
+  "docs.python.org": parsePythonDocs,
+  "leetcode.com": parseLeetCode,
+  "hackerrank.com": parseHackerRank,
+  "github.com": parseGitHub,
+  "arxiv.org": parseArxiv,
+  "scholar.google.com": parseScholar,
+};
+
+export function parseSiteContext(href = window.location.href) {
+  const domain = parseDomain(href);
+  const key = Object.keys(SITE_PARSERS).find((item) => domain === item || domain.endsWith(`.${item}`));
+  if (!key) return null;
+
+  try {
+    return SITE_PARSERS[key](new URL(href)) || null;
+  } catch (error) {
+    console.warn("Focus Flow: site parser failed", key, error);
+    return null;
+  }
+}
@@ -1,5 +1,7 @@
 import { PARSING_CONFIG } from "./config.js";
 import { cleanText, compactUrl, parseDomain, trimText } from "./helpers.js";
+import { getPdfContent, isPdfDocument } from "./pdf-parser.js";
+import { parseSiteContext } from "./site-parsers.js";
 
 function readMeta(name, attr = "name") {
   const el = document.querySelector(`meta[${attr}='${name}']`);
@@ -132,6 +134,43 @@ export function parseGoogleSearchContent() {
   };
 }
 
+// Text comes from pdf-parser.js once loadPdfContent has read the file
+export function parsePdfPageContent() {
+  const url = compactUrl(window.location.href);
+  const pdf = getPdfContent();
+
+  return {
+    page: {
+      url,
+      domain: parseDomain(url),
+      page_title: pdf?.title || cleanText(document.title),
+    },
+    metadata: {
+      description: null,
+      keywords: [],
+      og_title: null,
+      og_description: null,
+      author: null,
+    },
+    content: {
+      top_headings: pdf?.headings || [],
+      visible_text_summary: pdf?.summary || "",
+      word_count: pdf?.word_count || 0,
+      pdf: pdf ? { page_number: pdf.page_number, page_count: pdf.page_count } : null,
+    },
+    media: {
+      images: [],
+      pdf_refs: [url],
+    },
+    dom_features: {
+      image_count: 0,
+      video_count: 0,
+      iframe_count: 0,
+      input_fields: 0,
+    },
+  };
+}
+
 export function parsePageLite() {
   const url = compactUrl(window.location.href);
   return {
@@ -162,6 +201,10 @@ export function parseGeneralPageContent() {
     return parseGoogleSearchContent();
   }
 
+  if (isPdfDocument()) {
+    return parsePdfPageContent();
+  }
+
   const container = selectMainContainer();
   const bodyText = trimText(
     cleanText(container?.innerText || container?.textContent || ""),
@@ -196,5 +239,6 @@ export function parseGeneralPageContent() {
       pdf_refs: collectPdfRefs(container),
     },
     dom_features: collectDomFeatures(container),
+    site_context: parseSiteContext(window.location.href),
   };
 }
@@ -13,7 +13,38 @@ import {
   loadActiveSession,
   clearStaleSession,
   isSessionStale,
+  saveScheduleToCloud,
+  saveTemplatesToCloud,
+  loadTemplatesFromCloud,
 } from "./sync.js";
+import {
+  getActiveElapsed,
+  getPausedMs,
+  pauseSession,
+  resumeSession,
+  createIntervalState,
+  getPhaseRemainingMs,
+  getPlanProgress,
+  evaluateSessionGoal,
+} from "./session-time.js";
+import {
+  normalizeSiteRule,
+  isValidSiteRule,
+  parseSiteRule,
+  RULE_TYPE,
+  SITE_MODE,
+  getSiteMode,
+} from "./site-rules.js";
+import { SITE_BUDGETS_KEY, SITE_BUDGET_USAGE_KEY, getBudgetStatus } from "./site-budgets.js";
+import {
+  SCHEDULE_KEY,
+  DAY_LABELS,
+  createScheduleId,
+  isValidScheduleTime,
+  formatScheduleEntry,
+} from "./schedule.js";
+import { FLASHCARD_DECK_KEY, getDueCards, summarizeDeck } from "./flashcard-deck.js";
+import { OUTBOX_KEY, summarizeOutbox } from "./outbox.js";
 
 const app = document.getElementById("app");
 
@@ -27,8 +58,27 @@ const PRESETS = [
   { label: "Coursera", domain: "coursera.org" },
 ];
 
+// Interval (Pomodoro) presets — work / break minutes
+const INTERVAL_PRESETS = [
+  { id: "continuous", label: "Continuous" },
+  { id: "25-5", label: "25 / 5", work: 25, break: 5 },
+  { id: "50-10", label: "50 / 10", work: 50, break: 10 },
+  { id: "custom", label: "Custom" },
+];
+
+const SITE_MODE_OPTIONS = [
+  { id: SITE_MODE.ALLOWLIST, label: "Allowlist" },
+  { id: SITE_MODE.BLOCKLIST, label: "Blocklist" },
+];
+
+const TEMPLATES_KEY = "sessionTemplates";
+
 // State for session setup
+let selectedTemplate = null;
 let allowedSites = [];
+let blockedSites = [];
+let siteMode = SITE_MODE.ALLOWLIST;
+let intervalMode = "continuous";
 let timerInterval = null;
 
 // ===== Utilities =====
@@ -39,19 +89,46 @@ function escapeHtml(str) {
   return div.innerHTML;
 }
 
-function cleanDomain(input) {
-  let domain = input.trim().toLowerCase();
-  domain = domain.replace(/^https?:\/\//, "");
-  domain = domain.replace(/^www\./, "");
-  domain = domain.replace(/\/.*$/, "");
-  domain = domain.replace(/:\d+$/, "");
-  return domain;
+// The setup list being edited: allowed sites or, in blocklist mode, blocked sites
+function getSetupSiteList() {
+  return siteMode === SITE_MODE.BLOCKLIST ? blockedSites : allowedSites;
 }
 
-function isValidDomain(domain) {
-  if (!domain || domain.length < 3) return false;
-  const pattern = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/;
-  return pattern.test(domain);
+function getSessionSiteListKey(session) {
+  return getSiteMode(session) === SITE_MODE.BLOCKLIST ? "blockedSites" : "allowedSites";
+}
+
+function renderActiveSiteItems(session) {
+  const key = getSessionSiteListKey(session);
+  const items = (session[key] || [])
+    .map((s) => `<div class="session-site-item ${key === "blockedSites" || s.startsWith("!") ? "deny" : ""}">${renderSiteRuleLabel(s)}</div>`)
+    .join("");
+  if (key === "allowedSites") return items;
+  return `${items}<div class="session-site-item deny">Entertainment &amp; social sites</div>`;
+}
+
+function hasAllowRule(rules) {
+  return rules.some((rule) => !rule.startsWith("!"));
+}
+
+function toggleRuleDeny(rule) {
+  return rule.startsWith("!") ? rule.slice(1) : `!${rule}`;
+}
+
+/**
+ * Site list row for a rule: the rule text plus a small tag for
+ * path / pattern / block rules. Plain domains get no tag.
+ */
+function renderSiteRuleLabel(rule) {
+  const parsed = parseSiteRule(rule);
+  const text = escapeHtml(parsed && parsed.deny ? rule.slice(1) : rule);
+  if (!parsed) return text;
+
+  const tags = [];
+  if (parsed.deny) tags.push(`<span class="rule-tag deny">Block</span>`);
+  if (parsed.type === RULE_TYPE.PATH) tags.push(`<span class="rule-tag">Path</span>`);
+  if (parsed.type === RULE_TYPE.PATTERN) tags.push(`<span class="rule-tag">Pattern</span>`);
+  return `${text}${tags.join("")}`;
 }
 
 function isValidEmail(email) {
@@ -169,7 +246,17 @@ async function checkAndResumeCloudSession(user) {
         active: true,
         topic: cloudSession.topic,
         allowedSites: cloudSession.allowedSites || [],
+        siteMode: cloudSession.siteMode || SITE_MODE.ALLOWLIST,
+        blockedSites: cloudSession.blockedSites || [],
         startTime: cloudSession.startTime,
+        paused: Boolean(cloudSession.paused),
+        pausedAt: cloudSession.pausedAt || null,
+        pausedIntervals: cloudSession.pausedIntervals || [],
+        interval: cloudSession.interval || null,
+        plannedMinutes: cloudSession.plannedMinutes || null,
+        goalScore: cloudSession.goalScore || null,
+        templateId: cloudSession.templateId || null,
+        templateName: cloudSession.templateName || null,
         firestoreSessionId: currentSessionId,
         distractionStats: {
           count: cloudSession.distractions || 0,
@@ -189,7 +276,16 @@ async function checkAndResumeCloudSession(user) {
         topic: cloudSession.topic,
         startTime: cloudSession.startTime,
         endTime: Date.now(),
-        duration: Date.now() - cloudSession.startTime,
+        duration: getActiveElapsed(cloudSession),
+        pausedTime: getPausedMs(cloudSession),
+        interval: cloudSession.interval
+          ? { workMinutes: cloudSession.interval.workMinutes, breakMinutes: cloudSession.interval.breakMinutes }
+          : null,
+        cycles: cloudSession.interval?.cycles || [],
+        plannedMinutes: cloudSession.plannedMinutes || null,
+        goalScore: cloudSession.goalScore || null,
+        templateId: cloudSession.templateId || null,
+        templateName: cloudSession.templateName || null,
         focusScore: cloudSession.focusScore || 100,
         distractions: cloudSession.distractions || 0,
         distractionTime: cloudSession.distractionTime || 0,
@@ -212,7 +308,7 @@ async function checkAndResumeCloudSession(user) {
  */
 function showResumeDialog(cloudSession) {
   return new Promise((resolve) => {
-    const elapsed = Date.now() - (cloudSession.startTime || Date.now());
+    const elapsed = getActiveElapsed(cloudSession);
     const elapsedStr = formatTime(elapsed);
     const topic = cloudSession.topic || "Untitled";
 
@@ -474,9 +570,14 @@ function showMain(user) {
         <p class="subtitle">Ready to focus on what matters?</p>
       </div>
 
+      <div class="outbox-status" id="outbox-status" style="display:none;"></div>
+
       <button class="btn btn-primary" id="start-btn">Start Focus Session</button>
       <button class="btn btn-secondary" id="dashboard-btn">Open Dashboard</button>
       <button class="btn btn-secondary" id="history-btn">Session History</button>
+      <button class="btn btn-secondary" id="schedule-btn">Weekly Schedule</button>
+      <button class="btn btn-secondary" id="budgets-btn">Site Budgets</button>
+      <button class="btn btn-secondary" id="review-btn">Review Flashcards<span class="review-due-count" id="review-due-count"></span></button>
       <button class="btn btn-ghost" id="close-btn">Not right now</button>
       <button class="btn btn-ghost" id="logout-btn" style="color:var(--error);font-size:12px;margin-top:4px;">Sign Out</button>
     </div>
@@ -487,17 +588,409 @@ function showMain(user) {
     chrome.tabs.create({ url: chrome.runtime.getURL("dashboard.html") });
   };
   document.getElementById("history-btn").onclick = showHistory;
+  document.getElementById("schedule-btn").onclick = showSchedule;
+  document.getElementById("budgets-btn").onclick = showSiteBudgets;
+  document.getElementById("review-btn").onclick = showFlashcardReview;
   document.getElementById("close-btn").onclick = () => window.close();
   document.getElementById("logout-btn").onclick = async () => {
     await logout();
     showLogin();
   };
+
+  chrome.storage.local.get([FLASHCARD_DECK_KEY], (res) => {
+    const { due } = summarizeDeck(res[FLASHCARD_DECK_KEY]);
+    const badge = document.getElementById("review-due-count");
+    if (badge && due) badge.textContent = due;
+  });
+  renderOutboxStatus();
+}
+
+// ===== Screen: Weekly Schedule =====
+
+let scheduleDay = new Date().getDay();
+
+function showSchedule() {
+  scheduleDay = new Date().getDay();
+
+  app.innerHTML = `
+    <div class="screen">
+      <div class="header">
+        <div class="brand">Focus Flow</div>
+        <h1>Weekly Schedule</h1>
+        <p class="subtitle">Sessions start on their own, with a heads-up 5 minutes before.</p>
+      </div>
+
+      <div class="section-label">Day</div>
+      <div class="preset-chips" id="schedule-days"></div>
+
+      <div class="input-group">
+        <input type="time" id="schedule-time" value="09:00" title="Start time">
+        <input type="number" id="schedule-duration" class="budget-minutes" min="5" max="480" value="50" title="Duration (minutes)">
+      </div>
+
+      <div class="form-group" style="margin-top:10px;">
+        <input type="text" id="schedule-topic" placeholder="Topic, e.g., Linear Algebra">
+      </div>
+      <div class="form-group">
+        <input type="text" id="schedule-sites" placeholder="Allowed sites, comma separated">
+      </div>
+      <div id="schedule-error" class="validation-msg error" style="display:none;"></div>
+
+      <button class="btn btn-primary" id="add-schedule-btn">Add to Schedule</button>
+
+      <div class="site-list" id="schedule-list"></div>
+
+      <button class="btn btn-ghost" id="schedule-back-btn">Back</button>
+    </div>
+  `;
+
+  renderScheduleDays();
+  renderScheduleList();
+
+  document.getElementById("add-schedule-btn").onclick = addScheduleEntryFromInput;
+  document.getElementById("schedule-back-btn").onclick = async () => {
+    const { user } = await chrome.storage.local.get(["user"]);
+    showMain(user);
+  };
+}
+
+function renderScheduleDays() {
+  const container = document.getElementById("schedule-days");
+  if (!container) return;
+
+  container.innerHTML = DAY_LABELS.map(
+    (label, day) => `<button class="preset-chip ${day === scheduleDay ? "selected" : ""}" data-day="${day}">${label}</button>`
+  ).join("");
+
+  container.querySelectorAll(".preset-chip").forEach((chip) => {
+    chip.onclick = () => {
+      scheduleDay = parseInt(chip.dataset.day, 10);
+      renderScheduleDays();
+    };
+  });
+}
+
+async function renderScheduleList() {
+  const container = document.getElementById("schedule-list");
+  if (!container) return;
+
+  const { [SCHEDULE_KEY]: schedule = [] } = await chrome.storage.local.get([SCHEDULE_KEY]);
+  const sorted = [...schedule].sort((a, b) => a.day - b.day || a.time.localeCompare(b.time));
+
+  container.innerHTML = sorted
+    .map(
+      (entry) => `
+      <div class="site-item">
+        <span class="site-name">${escapeHtml(entry.topic)}<span class="rule-tag">${escapeHtml(formatScheduleEntry(entry))}</span></span>
+        <button class="site-remove" data-id="${escapeHtml(entry.id)}" title="Remove">&times;</button>
+      </div>
+    `
+    )
+    .join("");
+
+  container.querySelectorAll(".site-remove").forEach((btn) => {
+    btn.onclick = async () => {
+      const { [SCHEDULE_KEY]: current = [] } = await chrome.storage.local.get([SCHEDULE_KEY]);
+      await saveSchedule(current.filter((entry) => entry.id !== btn.dataset.id));
+      renderScheduleList();
+    };
+  });
+}
+
+async function addScheduleEntryFromInput() {
+  const errorEl = document.getElementById("schedule-error");
+  const time = document.getElementById("schedule-time").value;
+  const durationMinutes = parseInt(document.getElementById("schedule-duration").value, 10);
+  const topic = document.getElementById("schedule-topic").value.trim();
+  const sites = document
+    .getElementById("schedule-sites")
+    .value.split(",")
+    .map((site) => normalizeSiteRule(site))
+    .filter(Boolean);
+
+  let error = "";
+  if (!isValidScheduleTime(time)) error = "Pick a start time.";
+  else if (!(durationMinutes >= 5 && durationMinutes <= 480)) error = "Duration must be 5–480 minutes.";
+  else if (!topic) error = "Please enter what you'll study.";
+  else if (!hasAllowRule(sites)) error = "Add at least one allowed website.";
+  else if (sites.some((site) => !isValidSiteRule(site))) error = "One of the sites doesn't look valid.";
+
+  if (error) {
+    errorEl.textContent = error;
+    errorEl.style.display = "block";
+    return;
+  }
+
+  const { [SCHEDULE_KEY]: current = [] } = await chrome.storage.local.get([SCHEDULE_KEY]);
+  await saveSchedule([
+    ...current,
+    {
+      id: createScheduleId(),
+      day: scheduleDay,
+      time,
+      durationMinutes,
+      topic,
+      allowedSites: [...new Set(sites)],
+    },
+  ]);
+
+  document.getElementById("schedule-topic").value = "";
+  errorEl.style.display = "none";
+  renderScheduleList();
+}
+
+// Background re-registers alarms from the storage change
+async function saveSchedule(entries) {
+  await chrome.storage.local.set({ [SCHEDULE_KEY]: entries });
+  saveScheduleToCloud(entries).catch((e) => {
+    console.warn("Focus Flow: failed to sync schedule", e);
+  });
+}
+
+// ===== Screen: Site Budgets =====
+
+function showSiteBudgets() {
+  app.innerHTML = `
+    <div class="screen">
+      <div class="header">
+        <div class="brand">Focus Flow</div>
+        <h1>Site Budgets</h1>
+        <p class="subtitle">Daily minutes on a site before Focus Flow steps in.</p>
+      </div>
+
+      <div class="input-group">
+        <input type="text" id="budget-domain" placeholder="e.g., reddit.com">
+        <input type="number" id="budget-minutes" class="budget-minutes" min="1" max="240" value="10" title="Minutes per day">
+        <button class="btn-add" id="add-budget-btn">+ Add</button>
+      </div>
+      <div id="budget-error" class="validation-msg error" style="display:none;"></div>
+
+      <div class="site-list" id="budget-list"></div>
+
+      <button class="btn btn-ghost" id="budgets-back-btn">Back</button>
+    </div>
+  `;
+
+  renderBudgetList();
+
+  document.getElementById("add-budget-btn").onclick = addBudgetFromInput;
+  document.getElementById("budget-domain").addEventListener("keydown", (e) => {
+    if (e.key === "Enter") addBudgetFromInput();
+  });
+  document.getElementById("budgets-back-btn").onclick = async () => {
+    const { user } = await chrome.storage.local.get(["user"]);
+    showMain(user);
+  };
+}
+
+async function renderBudgetList() {
+  const container = document.getElementById("budget-list");
+  if (!container) return;
+
+  const data = await chrome.storage.local.get([SITE_BUDGETS_KEY, SITE_BUDGET_USAGE_KEY]);
+  const budgets = data[SITE_BUDGETS_KEY] || {};
+  const usage = data[SITE_BUDGET_USAGE_KEY] || null;
+
+  container.innerHTML = Object.entries(budgets)
+    .map(([domain, minutes]) => {
+      const status = getBudgetStatus(domain, budgets, usage);
+      return `
+      <div class="site-item">
+        <span class="site-name">${escapeHtml(domain)}<span class="rule-tag">${minutes} min/day</span></span>
+        <span class="site-actions">
+          <span class="budget-left">${formatTime(status.remainingMs)} left</span>
+          <button class="site-remove" data-domain="${escapeHtml(domain)}" title="Remove">&times;</button>
+        </span>
+      </div>
+    `;
+    })
+    .join("");
+
+  container.querySelectorAll(".site-remove").forEach((btn) => {
+    btn.onclick = async () => {
+      const { [SITE_BUDGETS_KEY]: current = {} } = await chrome.storage.local.get([SITE_BUDGETS_KEY]);
+      delete current[btn.dataset.domain];
+      await chrome.storage.local.set({ [SITE_BUDGETS_KEY]: current });
+      renderBudgetList();
+    };
+  });
+}
+
+async function addBudgetFromInput() {
+  const domainInput = document.getElementById("budget-domain");
+  const minutesInput = document.getElementById("budget-minutes");
+  const errorEl = document.getElementById("budget-error");
+
+  // Budgets are per domain, so only plain hostname rules are accepted
+  const domain = normalizeSiteRule(domainInput.value);
+  const parsed = parseSiteRule(domain);
+  if (!parsed || parsed.deny || parsed.type !== RULE_TYPE.HOST || !isValidSiteRule(domain)) {
+    errorEl.textContent = "Enter a plain domain, like reddit.com.";
+    errorEl.style.display = "block";
+    domainInput.focus();
+    return;
+  }
+
+  const minutes = parseInt(minutesInput.value, 10);
+  if (!(minutes >= 1 && minutes <= 240)) {
+    errorEl.textContent = "Budgets must be between 1 and 240 minutes.";
+    errorEl.style.display = "block";
+    minutesInput.focus();
+    return;
+  }
+
+  const { [SITE_BUDGETS_KEY]: current = {} } = await chrome.storage.local.get([SITE_BUDGETS_KEY]);
+  current[domain] = minutes;
+  await chrome.storage.local.set({ [SITE_BUDGETS_KEY]: current });
+
+  domainInput.value = "";
+  errorEl.style.display = "none";
+  renderBudgetList();
+}
+
+/**
+ * Active-session budget rows: remaining minutes today for each budgeted domain.
+ */
+async function renderActiveBudgets() {
+  const container = document.getElementById("active-budget-list");
+  if (!container) return;
+
+  const data = await chrome.storage.local.get([SITE_BUDGETS_KEY, SITE_BUDGET_USAGE_KEY]);
+  const budgets = data[SITE_BUDGETS_KEY] || {};
+  const domains = Object.keys(budgets);
+  const section = document.getElementById("active-budgets");
+  if (section) section.style.display = domains.length ? "block" : "none";
+
+  container.innerHTML = domains
+    .map((domain) => {
+      const status = getBudgetStatus(domain, budgets, data[SITE_BUDGET_USAGE_KEY] || null);
+      return `<div class="session-site-item ${status.remainingMs > 0 ? "" : "deny"}">${escapeHtml(domain)}<span class="budget-left">${formatTime(status.remainingMs)} of ${budgets[domain]}m left</span></div>`;
+    })
+    .join("");
+}
+
+// ===== Screen: Flashcard Review =====
+
+let reviewQueue = [];
+
+async function showFlashcardReview() {
+  const { [FLASHCARD_DECK_KEY]: deck } = await chrome.storage.local.get([FLASHCARD_DECK_KEY]);
+  reviewQueue = getDueCards(deck);
+  const { total } = summarizeDeck(deck);
+
+  app.innerHTML = `
+    <div class="screen">
+      <div class="header">
+        <div class="brand">Focus Flow</div>
+        <h1>Flashcard Review</h1>
+        <p class="subtitle" id="review-subtitle"></p>
+      </div>
+      <div id="review-content"></div>
+      <button class="btn btn-ghost" id="review-back-btn">Back</button>
+    </div>
+  `;
+
+  document.getElementById("review-back-btn").onclick = async () => {
+    const { user } = await chrome.storage.local.get(["user"]);
+    showMain(user);
+  };
+
+  renderReviewCard(total);
+}
+
+function renderReviewCard(total) {
+  const subtitle = document.getElementById("review-subtitle");
+  const contentEl = document.getElementById("review-content");
+  const card = reviewQueue[0];
+
+  if (!card) {
+    subtitle.textContent = total ? "You're all caught up." : "Your deck is empty.";
+    contentEl.innerHTML = `
+      <div class="history-empty">
+        <div class="history-empty-icon">&#129504;</div>
+        <p>No cards due right now.</p>
+        <p style="font-size:12px;color:var(--text-muted);margin-top:4px;">
+          Flashcards you answer during sessions come back here when it's time to review them.
+        </p>
+      </div>
+    `;
+    return;
+  }
+
+  subtitle.textContent = `${reviewQueue.length} card${reviewQueue.length === 1 ? "" : "s"} due`;
+  contentEl.innerHTML = `
+    <div class="review-card">
+      ${card.topic ? `<div class="review-topic">${escapeHtml(card.topic)}</div>` : ""}
+      <p class="review-question">${escapeHtml(card.question)}</p>
+      <div class="review-options">
+        ${card.options
+          .map((option, i) => `<button class="review-option" data-index="${i}">${escapeHtml(option)}</button>`)
+          .join("")}
+      </div>
+      <p class="review-explanation" id="review-explanation" style="display:none;"></p>
+    </div>
+    <button class="btn btn-primary" id="review-next-btn" style="display:none;">Next Card</button>
+    <button class="btn btn-secondary" id="review-skip-btn">Skip for Now</button>
+  `;
+
+  const shownAt = Date.now();
+  const nextBtn = document.getElementById("review-next-btn");
+  const skipBtn = document.getElementById("review-skip-btn");
+  const next = () => {
+    reviewQueue.shift();
+    renderReviewCard(total);
+  };
+  nextBtn.onclick = next;
+  skipBtn.onclick = next;
+
+  contentEl.querySelectorAll(".review-option").forEach((btn) => {
+    btn.onclick = async () => {
+      const selected = card.options[Number(btn.dataset.index)];
+      const isCorrect = selected.trim() === card.answer.trim();
+
+      contentEl.querySelectorAll(".review-option").forEach((node) => {
+        node.disabled = true;
+        if (card.options[Number(node.dataset.index)].trim() === card.answer.trim()) {
+          node.classList.add("correct");
+        }
+      });
+      if (!isCorrect) btn.classList.add("incorrect");
+
+      const explanation = document.getElementById("review-explanation");
+      explanation.textContent = card.explanation || `Answer: ${card.answer}`;
+      explanation.style.display = "block";
+      skipBtn.style.display = "none";
+      nextBtn.style.display = "block";
+
+      const updated = await chrome.runtime.sendMessage({
+        action: "recordFlashcardReview",
+        cardId: card.id,
+        selected,
+        responseMs: Date.now() - shownAt,
+      });
+      if (updated) {
+        nextBtn.textContent = `Next Card · back in ${formatReviewInterval(updated.dueAt - Date.now())}`;
+      }
+    };
+  });
+}
+
+function formatReviewInterval(ms) {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours}h`;
+  return `${Math.round(hours / 24)}d`;
 }
 
 // ===== Screen: Session Setup =====
 
 function showSessionSetup() {
+  selectedTemplate = null;
   allowedSites = [];
+  blockedSites = [];
+  siteMode = SITE_MODE.ALLOWLIST;
+  intervalMode = "continuous";
 
   app.innerHTML = `
     <div class="screen">
@@ -507,25 +1000,60 @@ function showSessionSetup() {
         <p class="subtitle">Choose your topic and the sites you'll need.</p>
       </div>
 
+      <div id="templates-section" style="display:none;">
+        <div class="section-label">Templates</div>
+        <div class="preset-chips" id="templates"></div>
+      </div>
+
       <div class="form-group">
         <label>What are you studying?</label>
         <input type="text" id="topic" placeholder="e.g., Linear Algebra, React Hooks...">
       </div>
 
+      <div class="form-group">
+        <label>Planned duration (minutes, optional)</label>
+        <input type="number" id="planned-minutes" min="5" max="480" placeholder="e.g., 90">
+      </div>
+
+      <div class="form-group">
+        <label>Focus score goal (%, optional)</label>
+        <input type="number" id="goal-score" min="1" max="100" placeholder="e.g., 80">
+      </div>
+
+      <div class="section-label">Session Mode</div>
+      <div class="preset-chips" id="interval-modes"></div>
+      <div class="input-group interval-custom" id="interval-custom" style="display:none;">
+        <input type="number" id="interval-work" min="1" max="180" value="25" title="Work minutes">
+        <input type="number" id="interval-break" min="1" max="60" value="5" title="Break minutes">
+      </div>
+
       <div class="divider"></div>
 
-      <div class="section-label">Quick Add</div>
-      <div class="preset-chips" id="presets"></div>
+      <div class="section-label">Site Mode</div>
+      <div class="preset-chips" id="site-modes"></div>
 
-      <div class="section-label">Add Custom Site</div>
+      <div id="presets-section">
+        <div class="section-label">Quick Add</div>
+        <div class="preset-chips" id="presets"></div>
+      </div>
+
+      <div class="section-label" id="site-input-label">Add Custom Site</div>
       <div class="input-group">
         <input type="text" id="site-input" placeholder="e.g., docs.python.org">
         <button class="btn-add" id="add-site-btn">+ Add</button>
       </div>
+      <div class="rule-hint" id="site-rule-hint"></div>
       <div id="site-error" class="validation-msg error" style="display:none;"></div>
 
       <div class="site-list" id="site-list"></div>
 
+      <div class="section-label">Save as Template</div>
+      <div class="input-group">
+        <input type="text" id="template-name" placeholder="e.g., DSA practice">
+        <button class="btn-add" id="save-template-btn">Save</button>
+      </div>
+      <div id="template-msg" class="validation-msg" style="display:none; margin-bottom:10px;"></div>
+
       <div id="start-error" class="validation-msg error" style="display:none; margin-bottom:10px;"></div>
 
       <button class="btn btn-primary" id="start-session-btn">Start Session</button>
@@ -534,8 +1062,11 @@ function showSessionSetup() {
   `;
 
   renderPresets();
-  renderSiteList();
+  renderIntervalModes();
+  renderSiteModes();
+  loadTemplates();
 
+  document.getElementById("save-template-btn").onclick = saveCurrentAsTemplate;
   document.getElementById("add-site-btn").onclick = addSiteFromInput;
   document.getElementById("site-input").addEventListener("keydown", (e) => {
     if (e.key === "Enter") addSiteFromInput();
@@ -543,6 +1074,9 @@ function showSessionSetup() {
   document.getElementById("site-input").addEventListener("input", () => {
     document.getElementById("site-error").style.display = "none";
   });
+  ["topic", "planned-minutes", "goal-score", "interval-work", "interval-break"].forEach((id) => {
+    document.getElementById(id)?.addEventListener("input", clearSelectedTemplate);
+  });
   document.getElementById("start-session-btn").onclick = handleStartSession;
   document.getElementById("back-btn").onclick = async () => {
     const { user } = await chrome.storage.local.get(["user"]);
@@ -550,6 +1084,169 @@ function showSessionSetup() {
   };
 }
 
+// ===== Session Templates =====
+
+/**
+ * Render templates from local storage, then refresh from the user doc
+ * so templates saved on other devices show up.
+ */
+async function loadTemplates() {
+  const { [TEMPLATES_KEY]: templates = [] } = await chrome.storage.local.get([TEMPLATES_KEY]);
+  renderTemplates(templates);
+
+  try {
+    await waitForAuth();
+    const cloudTemplates = await loadTemplatesFromCloud();
+    if (cloudTemplates) {
+      await chrome.storage.local.set({ [TEMPLATES_KEY]: cloudTemplates });
+      renderTemplates(cloudTemplates);
+    }
+  } catch (e) {
+    console.warn("Focus Flow: failed to load templates from cloud", e);
+  }
+}
+
+function renderTemplates(templates) {
+  const section = document.getElementById("templates-section");
+  const container = document.getElementById("templates");
+  if (!section || !container) return;
+
+  section.style.display = templates.length ? "block" : "none";
+  container.innerHTML = templates
+    .map(
+      (t) => `<button class="preset-chip ${selectedTemplate && selectedTemplate.id === t.id ? "selected" : ""}" data-id="${escapeHtml(t.id)}">
+        ${escapeHtml(t.name)}<span class="chip-remove" data-remove="${escapeHtml(t.id)}" title="Delete template">&times;</span>
+      </button>`
+    )
+    .join("");
+
+  container.querySelectorAll(".preset-chip").forEach((chip) => {
+    chip.onclick = async (e) => {
+      const removeId = e.target.dataset && e.target.dataset.remove;
+      if (removeId) {
+        const remaining = templates.filter((t) => t.id !== removeId);
+        if (selectedTemplate && selectedTemplate.id === removeId) selectedTemplate = null;
+        await saveTemplates(remaining);
+        renderTemplates(remaining);
+        return;
+      }
+      const template = templates.find((t) => t.id === chip.dataset.id);
+      if (template) applyTemplate(template, templates);
+    };
+  });
+}
+
+function applyTemplate(template, templates) {
+  selectedTemplate = { id: template.id, name: template.name };
+
+  document.getElementById("topic").value = template.topic || "";
+  document.getElementById("planned-minutes").value = template.plannedMinutes || "";
+  document.getElementById("goal-score").value = template.goalScore || "";
+
+  siteMode = template.siteMode === SITE_MODE.BLOCKLIST ? SITE_MODE.BLOCKLIST : SITE_MODE.ALLOWLIST;
+  allowedSites = [...(template.allowedSites || [])];
+  blockedSites = [...(template.blockedSites || [])];
+
+  const interval = template.interval;
+  const preset = interval
+    ? INTERVAL_PRESETS.find((m) => m.work === interval.workMinutes && m.break === interval.breakMinutes)
+    : null;
+  intervalMode = !interval ? "continuous" : preset ? preset.id : "custom";
+  if (intervalMode === "custom") {
+    document.getElementById("interval-work").value = interval.workMinutes;
+    document.getElementById("interval-break").value = interval.breakMinutes;
+  }
+
+  renderTemplates(templates);
+  renderIntervalModes();
+  renderPresets();
+  renderSiteModes();
+  clearStartError();
+}
+
+// Editing a templated field means the session no longer matches the
+// template, so it isn't recorded under the template's id and name
+function clearSelectedTemplate() {
+  if (!selectedTemplate) return;
+  selectedTemplate = null;
+  document.querySelectorAll("#templates .preset-chip.selected").forEach((chip) => chip.classList.remove("selected"));
+}
+
+async function saveCurrentAsTemplate() {
+  const nameInput = document.getElementById("template-name");
+  const msgEl = document.getElementById("template-msg");
+  const name = nameInput.value.trim();
+  const topic = document.getElementById("topic").value.trim();
+  const intervalSelection = getIntervalSelection();
+
+  const showMsg = (text, type) => {
+    msgEl.textContent = text;
+    msgEl.className = `validation-msg ${type}`;
+    msgEl.style.display = "block";
+  };
+
+  if (!name) return showMsg("Give the template a name.", "error");
+  if (!topic) return showMsg("Enter a topic before saving.", "error");
+  if (intervalSelection && intervalSelection.error) return showMsg(intervalSelection.error, "error");
+  const planError = getPlanError();
+  if (planError) return showMsg(planError, "error");
+
+  const { [TEMPLATES_KEY]: templates = [] } = await chrome.storage.local.get([TEMPLATES_KEY]);
+  // Saving under an existing name updates that template
+  const existing = templates.find((t) => t.name.toLowerCase() === name.toLowerCase());
+  const template = {
+    id: existing ? existing.id : `tpl_${Date.now().toString(36)}`,
+    name,
+    topic,
+    siteMode,
+    allowedSites: [...allowedSites],
+    blockedSites: [...blockedSites],
+    interval: intervalSelection
+      ? { workMinutes: intervalSelection.work, breakMinutes: intervalSelection.break }
+      : null,
+    plannedMinutes: getPlannedMinutes(),
+    goalScore: getGoalScore(),
+    updatedAt: Date.now(),
+  };
+
+  const next = existing
+    ? templates.map((t) => (t.id === existing.id ? template : t))
+    : [...templates, template];
+  await saveTemplates(next);
+
+  selectedTemplate = { id: template.id, name: template.name };
+  nameInput.value = "";
+  renderTemplates(next);
+  showMsg(existing ? "Template updated." : "Template saved.", "success");
+}
+
+async function saveTemplates(templates) {
+  await chrome.storage.local.set({ [TEMPLATES_KEY]: templates });
+  saveTemplatesToCloud(templates).catch((e) => {
+    console.warn("Focus Flow: failed to sync templates", e);
+  });
+}
+
+function getPlannedMinutes() {
+  const value = parseInt(document.getElementById("planned-minutes")?.value, 10);
+  return value >= 5 && value <= 480 ? value : null;
+}
+
+function getGoalScore() {
+  const value = parseInt(document.getElementById("goal-score")?.value, 10);
+  return value >= 1 && value <= 100 ? value : null;
+}
+
+// Both fields are optional, but a filled-in value out of range is an error
+// rather than silently meaning "no plan" or "no goal"
+function getPlanError() {
+  const planned = document.getElementById("planned-minutes")?.value.trim();
+  const goal = document.getElementById("goal-score")?.value.trim();
+  if (planned && getPlannedMinutes() === null) return "Planned duration must be 5–480 minutes.";
+  if (goal && getGoalScore() === null) return "Focus-score goal must be 1–100.";
+  return null;
+}
+
 function renderPresets() {
   const container = document.getElementById("presets");
   if (!container) return;
@@ -568,6 +1265,7 @@ function renderPresets() {
       const domain = chip.dataset.domain;
       if (!allowedSites.includes(domain)) {
         allowedSites.push(domain);
+        clearSelectedTemplate();
         renderPresets();
         renderSiteList();
         clearStartError();
@@ -576,21 +1274,100 @@ function renderPresets() {
   });
 }
 
+function renderIntervalModes() {
+  const container = document.getElementById("interval-modes");
+  if (!container) return;
+
+  container.innerHTML = INTERVAL_PRESETS.map(
+    (m) => `<button class="preset-chip ${m.id === intervalMode ? "selected" : ""}" data-mode="${m.id}">${m.label}</button>`
+  ).join("");
+
+  container.querySelectorAll(".preset-chip").forEach((chip) => {
+    chip.onclick = () => {
+      if (chip.dataset.mode !== intervalMode) clearSelectedTemplate();
+      intervalMode = chip.dataset.mode;
+      renderIntervalModes();
+      clearStartError();
+    };
+  });
+
+  const custom = document.getElementById("interval-custom");
+  if (custom) custom.style.display = intervalMode === "custom" ? "flex" : "none";
+}
+
+/**
+ * Resolve the selected session mode into work/break minutes.
+ * Returns null for a continuous session, or { error } for bad custom input.
+ */
+function getIntervalSelection() {
+  if (intervalMode === "continuous") return null;
+
+  if (intervalMode === "custom") {
+    const work = parseInt(document.getElementById("interval-work").value, 10);
+    const brk = parseInt(document.getElementById("interval-break").value, 10);
+    if (!(work >= 1 && work <= 180) || !(brk >= 1 && brk <= 60)) {
+      return { error: "Work must be 1–180 minutes and breaks 1–60 minutes." };
+    }
+    return { work, break: brk };
+  }
+
+  const preset = INTERVAL_PRESETS.find((m) => m.id === intervalMode);
+  return preset ? { work: preset.work, break: preset.break } : null;
+}
+
+function renderSiteModes() {
+  const container = document.getElementById("site-modes");
+  if (!container) return;
+
+  container.innerHTML = SITE_MODE_OPTIONS.map(
+    (m) => `<button class="preset-chip ${m.id === siteMode ? "selected" : ""}" data-mode="${m.id}">${m.label}</button>`
+  ).join("");
+
+  container.querySelectorAll(".preset-chip").forEach((chip) => {
+    chip.onclick = () => {
+      if (chip.dataset.mode !== siteMode) clearSelectedTemplate();
+      siteMode = chip.dataset.mode;
+      renderSiteModes();
+      clearStartError();
+    };
+  });
+
+  const isBlocklist = siteMode === SITE_MODE.BLOCKLIST;
+  const presets = document.getElementById("presets-section");
+  const label = document.getElementById("site-input-label");
+  const hint = document.getElementById("site-rule-hint");
+  if (presets) presets.style.display = isBlocklist ? "none" : "block";
+  if (label) label.textContent = isBlocklist ? "Block a Site" : "Add Custom Site";
+  if (hint) {
+    hint.textContent = isBlocklist
+      ? "Everything else is allowed. Entertainment and social sites (YouTube, Reddit, Instagram...) are always blocked."
+      : "Also works: reddit.com/r/learnprogramming, *.mit.edu, !youtube.com/shorts to block";
+  }
+
+  renderSiteList();
+}
+
 function renderSiteList() {
   const container = document.getElementById("site-list");
   if (!container) return;
 
-  if (allowedSites.length === 0) {
+  const list = getSetupSiteList();
+  const isBlocklist = siteMode === SITE_MODE.BLOCKLIST;
+
+  if (list.length === 0) {
     container.innerHTML = "";
     return;
   }
 
-  container.innerHTML = allowedSites
+  container.innerHTML = list
     .map(
       (site, i) => `
-      <div class="site-item">
-        <span class="site-name">${escapeHtml(site)}</span>
-        <button class="site-remove" data-index="${i}" title="Remove">&times;</button>
+      <div class="site-item ${isBlocklist || site.startsWith("!") ? "deny" : ""}">
+        <span class="site-name">${renderSiteRuleLabel(site)}</span>
+        <span class="site-actions">
+          ${isBlocklist ? "" : `<button class="site-toggle" data-index="${i}" title="Switch between allow and block">${site.startsWith("!") ? "Allow" : "Block"}</button>`}
+          <button class="site-remove" data-index="${i}" title="Remove">&times;</button>
+        </span>
       </div>
     `
     )
@@ -599,7 +1376,23 @@ function renderSiteList() {
   container.querySelectorAll(".site-remove").forEach((btn) => {
     btn.onclick = () => {
       const index = parseInt(btn.dataset.index);
-      allowedSites.splice(index, 1);
+      list.splice(index, 1);
+      clearSelectedTemplate();
+      renderPresets();
+      renderSiteList();
+    };
+  });
+
+  container.querySelectorAll(".site-toggle").forEach((btn) => {
+    btn.onclick = () => {
+      const index = parseInt(btn.dataset.index);
+      const next = toggleRuleDeny(allowedSites[index]);
+      if (allowedSites.includes(next)) {
+        allowedSites.splice(index, 1);
+      } else {
+        allowedSites[index] = next;
+      }
+      clearSelectedTemplate();
       renderPresets();
       renderSiteList();
     };
@@ -618,23 +1411,27 @@ function addSiteFromInput() {
     return;
   }
 
-  const domain = cleanDomain(raw);
+  const list = getSetupSiteList();
+  // Every blocklist entry is a block rule already, so "!" is dropped there
+  const normalized = normalizeSiteRule(raw);
+  const domain = siteMode === SITE_MODE.BLOCKLIST ? normalized.replace(/^!/, "") : normalized;
 
-  if (!isValidDomain(domain)) {
-    errorEl.textContent = "That doesn't look like a valid domain. Try something like: example.com";
+  if (!isValidSiteRule(domain)) {
+    errorEl.textContent = "That doesn't look like a valid site. Try: example.com, example.com/path, *.example.com or !example.com/path";
     errorEl.style.display = "block";
     input.focus();
     return;
   }
 
-  if (allowedSites.includes(domain)) {
+  if (list.includes(domain)) {
     errorEl.textContent = "This site is already in your list.";
     errorEl.style.display = "block";
     input.focus();
     return;
   }
 
-  allowedSites.push(domain);
+  list.push(domain);
+  clearSelectedTemplate();
   input.value = "";
   errorEl.style.display = "none";
   renderPresets();
@@ -659,12 +1456,26 @@ async function handleStartSession() {
     return;
   }
 
-  if (allowedSites.length === 0) {
+  if (siteMode === SITE_MODE.ALLOWLIST && !hasAllowRule(allowedSites)) {
     errorEl.textContent = "Add at least one allowed website before starting.";
     errorEl.style.display = "block";
     return;
   }
 
+  const intervalSelection = getIntervalSelection();
+  if (intervalSelection && intervalSelection.error) {
+    errorEl.textContent = intervalSelection.error;
+    errorEl.style.display = "block";
+    return;
+  }
+
+  const planError = getPlanError();
+  if (planError) {
+    errorEl.textContent = planError;
+    errorEl.style.display = "block";
+    return;
+  }
+
   // Check Firestore for existing active session before starting
   try {
     const existingSessionId = await getCurrentSessionId();
@@ -686,11 +1497,21 @@ async function handleStartSession() {
     console.warn("Focus Flow: could not check cloud session, proceeding locally", e);
   }
 
+  const startTime = Date.now();
   const session = {
     active: true,
     topic: topic,
-    allowedSites: [...allowedSites],
-    startTime: Date.now(),
+    siteMode,
+    allowedSites: siteMode === SITE_MODE.ALLOWLIST ? [...allowedSites] : [],
+    blockedSites: siteMode === SITE_MODE.BLOCKLIST ? [...blockedSites] : [],
+    startTime,
+    interval: intervalSelection
+      ? createIntervalState(intervalSelection.work, intervalSelection.break, startTime)
+      : null,
+    plannedMinutes: getPlannedMinutes(),
+    goalScore: getGoalScore(),
+    templateId: selectedTemplate ? selectedTemplate.id : null,
+    templateName: selectedTemplate ? selectedTemplate.name : null,
   };
 
   // Create session in Firestore and store the ID locally
@@ -724,10 +1545,25 @@ function showSuccessScreen(session) {
           <span class="label">Topic</span>
           <span class="value">${escapeHtml(session.topic)}</span>
         </div>
+        ${getSiteMode(session) === SITE_MODE.BLOCKLIST ? `
+        <div class="success-detail-row">
+          <span class="label">Blocked Sites</span>
+          <span class="value">${session.blockedSites.length} + entertainment &amp; social</span>
+        </div>` : `
         <div class="success-detail-row">
           <span class="label">Allowed Sites</span>
           <span class="value">${session.allowedSites.length} site${session.allowedSites.length !== 1 ? "s" : ""}</span>
-        </div>
+        </div>`}
+        ${session.interval ? `
+        <div class="success-detail-row">
+          <span class="label">Intervals</span>
+          <span class="value">${session.interval.workMinutes} min work / ${session.interval.breakMinutes} min break</span>
+        </div>` : ""}
+        ${session.plannedMinutes || session.goalScore ? `
+        <div class="success-detail-row">
+          <span class="label">Plan</span>
+          <span class="value">${formatPlanTarget(session)}</span>
+        </div>` : ""}
       </div>
 
       <button class="btn btn-primary" id="got-it-btn">Got it</button>
@@ -740,7 +1576,7 @@ function showSuccessScreen(session) {
 // ===== Screen: Active Session Dashboard =====
 
 function showActiveSession(session, user) {
-  const elapsed = Date.now() - (session.startTime || Date.now());
+  const elapsed = getActiveElapsed(session);
   const stats = session.distractionStats || {
     count: 0,
     totalTime: 0,
@@ -749,14 +1585,22 @@ function showActiveSession(session, user) {
 
   app.innerHTML = `
     <div class="screen">
-      <div class="session-status">
+      <div class="session-status ${session.paused ? "paused" : ""}" id="session-status">
         <div class="status-dot"></div>
-        <span class="status-text">Session Active</span>
+        <span class="status-text" id="status-text">${session.paused ? "Session Paused" : "Session Active"}</span>
       </div>
 
+      <div class="outbox-status" id="outbox-status" style="display:none;"></div>
+
       <div class="session-timer">
         <div class="time" id="timer-display">${formatTimeLarge(elapsed)}</div>
         <div class="time-label">Focus Time</div>
+        ${session.interval ? `<div class="interval-phase ${session.interval.phase}" id="interval-phase">${formatPhaseLabel(session)}</div>` : ""}
+        ${session.plannedMinutes ? `
+        <div class="plan-progress" id="plan-progress">
+          <div class="plan-progress-bar"><div class="plan-progress-fill" id="plan-progress-fill"></div></div>
+          <div class="plan-progress-label" id="plan-progress-label"></div>
+        </div>` : ""}
       </div>
 
       <div class="session-stats" id="session-stats">
@@ -780,22 +1624,32 @@ function showActiveSession(session, user) {
       </div>
 
       <div class="session-sites-header">
-        <h3>Allowed Sites</h3>
+        <h3>${getSiteMode(session) === SITE_MODE.BLOCKLIST ? "Blocked Sites" : "Allowed Sites"}</h3>
         <button class="add-more-btn" id="toggle-add-site">+ Add more</button>
       </div>
 
       <div id="add-site-area"></div>
 
       <div class="session-sites-list" id="active-site-list">
-        ${(session.allowedSites || [])
-          .map((s) => `<div class="session-site-item">${escapeHtml(s)}</div>`)
-          .join("")}
+        ${renderActiveSiteItems(session)}
       </div>
 
+      <div id="active-budgets" style="display:none;">
+        <div class="session-sites-header">
+          <h3>Daily Budgets</h3>
+        </div>
+        <div class="session-sites-list" id="active-budget-list"></div>
+      </div>
+
+      <button class="btn btn-secondary" id="pause-session-btn">${session.paused ? "Resume Session" : "Pause Session"}</button>
       <button class="btn btn-danger" id="end-session-btn">End Session</button>
     </div>
   `;
 
+  renderActiveBudgets();
+  updatePlanProgress(session);
+  renderOutboxStatus();
+
   // Live timer + stats update
   if (timerInterval) clearInterval(timerInterval);
   timerInterval = setInterval(async () => {
@@ -804,11 +1658,21 @@ function showActiveSession(session, user) {
       clearInterval(timerInterval);
       return;
     }
-    const now = Date.now() - (session.startTime || Date.now());
-    el.textContent = formatTimeLarge(now);
 
-    // Refresh distraction stats from storage
+    // Refresh pause state and distraction stats from storage
     const { session: freshSession } = await chrome.storage.local.get(["session"]);
+    const now = getActiveElapsed(freshSession || session);
+    el.textContent = formatTimeLarge(now);
+
+    renderActiveBudgets();
+    updatePlanProgress(freshSession || session);
+
+    const phaseEl = document.getElementById("interval-phase");
+    if (phaseEl && freshSession && freshSession.interval) {
+      phaseEl.textContent = formatPhaseLabel(freshSession);
+      phaseEl.className = `interval-phase ${freshSession.interval.phase}`;
+    }
+
     if (freshSession && freshSession.distractionStats) {
       const s = freshSession.distractionStats;
       const dEl = document.getElementById("stat-distractions");
@@ -820,6 +1684,9 @@ function showActiveSession(session, user) {
     }
   }, 1000);
 
+  // Pause / resume
+  document.getElementById("pause-session-btn").onclick = () => togglePause(session);
+
   // Add more sites toggle
   document.getElementById("toggle-add-site").onclick = () => {
     const area = document.getElementById("add-site-area");
@@ -860,55 +1727,128 @@ async function addSiteToActiveSession(session) {
     return;
   }
 
-  const domain = cleanDomain(raw);
+  const key = getSessionSiteListKey(session);
+  const normalized = normalizeSiteRule(raw);
+  const domain = key === "blockedSites" ? normalized.replace(/^!/, "") : normalized;
 
-  if (!isValidDomain(domain)) {
-    errorEl.textContent = "Invalid domain format. Try: example.com";
+  if (!isValidSiteRule(domain)) {
+    errorEl.textContent = "Invalid site format. Try: example.com, example.com/path or !example.com/path";
     errorEl.style.display = "block";
     return;
   }
 
-  if (session.allowedSites.includes(domain)) {
-    errorEl.textContent = "Already in your allowed list.";
+  // Re-read the session so background updates (interval phases, stats) aren't overwritten
+  const { session: freshSession } = await chrome.storage.local.get(["session"]);
+  const current = freshSession || session;
+  const sites = current[key] || [];
+
+  if (sites.includes(domain)) {
+    errorEl.textContent = key === "blockedSites" ? "Already in your blocked list." : "Already in your allowed list.";
     errorEl.style.display = "block";
     return;
   }
 
-  session.allowedSites.push(domain);
-  await chrome.storage.local.set({ session });
+  const next = { ...current, [key]: [...sites, domain] };
+  await chrome.storage.local.set({ session: next });
+  Object.assign(session, next);
 
   const list = document.getElementById("active-site-list");
-  list.innerHTML = session.allowedSites
-    .map((s) => `<div class="session-site-item">${escapeHtml(s)}</div>`)
-    .join("");
+  list.innerHTML = renderActiveSiteItems(session);
 
   input.value = "";
   errorEl.style.display = "none";
   input.focus();
 }
 
+async function togglePause(session) {
+  const { session: freshSession } = await chrome.storage.local.get(["session"]);
+  const current = freshSession || session;
+  if (!current || !current.active) return;
+
+  const next = current.paused ? resumeSession(current) : pauseSession(current);
+  await chrome.storage.local.set({ session: next });
+  chrome.runtime.sendMessage({ action: next.paused ? "sessionPaused" : "sessionResumed" });
+
+  Object.assign(session, next);
+  updatePauseControls(next);
+}
+
+function formatPlanTarget(session) {
+  const parts = [];
+  if (session.plannedMinutes) parts.push(`${session.plannedMinutes} min`);
+  if (session.goalScore) parts.push(`${session.goalScore}% focus`);
+  return parts.join(" · ");
+}
+
+function updatePlanProgress(session) {
+  const fillEl = document.getElementById("plan-progress-fill");
+  const labelEl = document.getElementById("plan-progress-label");
+  const progress = getPlanProgress(session);
+  if (!fillEl || !labelEl || !progress) return;
+
+  const container = document.getElementById("plan-progress");
+  if (container) container.classList.toggle("reached", progress.reached);
+  fillEl.style.width = `${Math.round(progress.ratio * 100)}%`;
+
+  const done = Math.floor(progress.elapsedMs / 60000);
+  const goal = session.goalScore ? ` · goal ${session.goalScore}%` : "";
+  labelEl.textContent = progress.reached
+    ? `Planned ${session.plannedMinutes} min reached${goal}`
+    : `${done} / ${session.plannedMinutes} min${goal}`;
+}
+
+function formatPhaseLabel(session) {
+  const interval = session.interval;
+  const phase = interval.phase === "break" ? "Break" : "Work";
+  const cycles = (interval.cycles || []).length;
+  return `${phase} · ${formatTimeLarge(getPhaseRemainingMs(session))} left · ${cycles} cycle${cycles !== 1 ? "s" : ""} done`;
+}
+
+function updatePauseControls(session) {
+  const statusEl = document.getElementById("session-status");
+  const statusText = document.getElementById("status-text");
+  const pauseBtn = document.getElementById("pause-session-btn");
+  if (statusEl) statusEl.classList.toggle("paused", Boolean(session.paused));
+  if (statusText) statusText.textContent = session.paused ? "Session Paused" : "Session Active";
+  if (pauseBtn) pauseBtn.textContent = session.paused ? "Resume Session" : "Pause Session";
+}
+
 async function endSession(session, user) {
-  const elapsed = Date.now() - (session.startTime || Date.now());
+  const endTime = Date.now();
 
   // Fetch fresh session data (content.js may have updated distractionStats)
   const { session: freshSession } = await chrome.storage.local.get(["session"]);
+  const current = freshSession || session;
+  const elapsed = getActiveElapsed(current, endTime);
   const stats =
     (freshSession && freshSession.distractionStats) ||
     session.distractionStats ||
     null;
 
-  // Build session record
+  // Build session record (paused time is excluded from duration and score)
   const sessionRecord = {
     topic: session.topic,
     duration: elapsed,
+    pausedTime: getPausedMs(current, endTime),
+    interval: current.interval
+      ? { workMinutes: current.interval.workMinutes, breakMinutes: current.interval.breakMinutes }
+      : null,
+    cycles: current.interval ? [...(current.interval.cycles || [])] : [],
+    scheduleId: current.scheduleId || null,
+    plannedMinutes: current.plannedMinutes || null,
+    goalScore: current.goalScore || null,
+    templateId: current.templateId || null,
+    templateName: current.templateName || null,
     startTime: session.startTime,
-    endTime: Date.now(),
+    endTime,
     focusScore: stats ? computeFocusScore(elapsed, stats.totalTime) : 100,
     distractions: stats ? stats.count : 0,
     distractionTime: stats ? stats.totalTime : 0,
     distractingSites: stats && stats.sites ? { ...stats.sites } : {},
     choices: stats && stats.choices ? { ...stats.choices } : { angel: 0, devil: 0 },
+    exceptions: [...(current.exceptions || [])],
   };
+  sessionRecord.goalMet = evaluateSessionGoal(sessionRecord)?.met ?? null;
 
   // Save to local history
   await saveSessionHistoryLocal(sessionRecord);
@@ -932,15 +1872,16 @@ async function endSession(session, user) {
 
   if (timerInterval) clearInterval(timerInterval);
 
-  showSessionSummary(elapsed, session.topic, user, stats);
+  showSessionSummary(elapsed, session.topic, user, stats, sessionRecord);
 }
 
 // ===== Screen: Session Summary =====
 
-function showSessionSummary(duration, topic, user, stats) {
+function showSessionSummary(duration, topic, user, stats, record = null) {
   const focusScore = stats ? computeFocusScore(duration, stats.totalTime) : 100;
   const distractionCount = stats ? stats.count : 0;
   const distractionTime = stats ? stats.totalTime : 0;
+  const goal = record ? evaluateSessionGoal({ ...record, duration, focusScore }) : null;
 
   app.innerHTML = `
     <div class="screen" style="text-align:center;">
@@ -956,12 +1897,17 @@ function showSessionSummary(duration, topic, user, stats) {
         </div>
         <div class="success-detail-row">
           <span class="label">Total Time</span>
-          <span class="value">${formatTime(duration)}</span>
+          <span class="value">${formatTime(duration)}${record && record.plannedMinutes ? ` / ${record.plannedMinutes}m planned` : ""}</span>
         </div>
         <div class="success-detail-row">
           <span class="label">Focus Score</span>
-          <span class="value">${focusScore}%</span>
+          <span class="value">${focusScore}%${record && record.goalScore ? ` / ${record.goalScore}% goal` : ""}</span>
         </div>
+        ${goal ? `
+        <div class="success-detail-row">
+          <span class="label">Goal</span>
+          <span class="value goal-result ${goal.met ? "met" : "missed"}">${goal.met ? "Reached" : "Not reached"}</span>
+        </div>` : ""}
         <div class="success-detail-row">
           <span class="label">Distractions</span>
           <span class="value">${distractionCount}</span>
@@ -1080,6 +2026,12 @@ async function showHistory() {
           <div class="history-item-main">
             <div class="history-item-topic">${escapeHtml(s.topic || "Untitled")}</div>
             <div class="history-item-meta">${timeStr} &middot; ${formatTime(s.duration || 0)}</div>
+            ${(s.exceptions || [])
+              .map(
+                (e) =>
+                  `<div class="history-exception" title="${escapeHtml(e.reason || "")}">Unlocked ${escapeHtml(e.site)} for ${e.minutes} min &middot; &ldquo;${escapeHtml(e.reason || "")}&rdquo;</div>`
+              )
+              .join("")}
           </div>
           <div class="history-item-right">
             <div class="history-score ${scoreClass}">${s.focusScore != null ? s.focusScore + "%" : "--"}</div>
@@ -1148,7 +2100,10 @@ async function saveSessionHistoryLocal(record) {
 // Background sends this when the phone app ends the session remotely
 
 chrome.runtime.onMessage.addListener((msg) => {
-  if (msg.action === "sessionEndedRemotely" && msg.sessionRecord) {
+  if (
+    (msg.action === "sessionEndedRemotely" || msg.action === "scheduledSessionEnded") &&
+    msg.sessionRecord
+  ) {
     // Stop the timer if running
     if (timerInterval) {
       clearInterval(timerInterval);
@@ -1166,11 +2121,28 @@ chrome.runtime.onMessage.addListener((msg) => {
 
     // Show session summary in the popup
     chrome.storage.local.get(["user"], (res) => {
-      showSessionSummary(duration, topic, res.user, stats);
+      showSessionSummary(duration, topic, res.user, stats, record);
     });
   }
 });
 
+// ===== Server Outbox Indicator =====
+// Background queues parse batches while the AI server is unreachable
+
+function renderOutboxStatus() {
+  chrome.storage.local.get([OUTBOX_KEY], (res) => {
+    const el = document.getElementById("outbox-status");
+    if (!el) return;
+    const { offline, events } = summarizeOutbox(res[OUTBOX_KEY]);
+    el.textContent = `AI backend offline, ${events} event${events === 1 ? "" : "s"} queued`;
+    el.style.display = offline ? "" : "none";
+  });
+}
+
+chrome.storage.onChanged.addListener((changes) => {
+  if (changes[OUTBOX_KEY]) renderOutboxStatus();
+});
+
 // ===== Initialize =====
 
 init();
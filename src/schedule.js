@@ -0,0 +1,38 @@
+// ===== Focus Flow - Weekly Session Schedule =====
+// Entries are stored in chrome.storage.local under `sessionSchedule` and
+// mirrored to the user doc by sync.js:
+//   { id, day (0 = Sunday), time ("HH:MM"), durationMinutes, topic, allowedSites }
+// background.js turns each entry into alarms: a heads-up notification
+// shortly before the start, the start itself, and the scheduled end.
+
+export const SCHEDULE_KEY = "sessionSchedule";
+export const SCHEDULE_SKIPS_KEY = "sessionScheduleSkips";
+export const SCHEDULE_NOTICE_LEAD_MS = 5 * 60000;
+
+export const DAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+export function createScheduleId() {
+  return `sch_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+}
+
+export function isValidScheduleTime(time) {
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(String(time || ""));
+}
+
+/**
+ * Next start time (ms) of an entry strictly after `now`.
+ */
+export function getNextOccurrence(entry, now = Date.now()) {
+  const [hours, minutes] = String(entry.time || "00:00").split(":").map(Number);
+  const next = new Date(now);
+  next.setHours(hours, minutes, 0, 0);
+
+  let daysAhead = (Number(entry.day) - next.getDay() + 7) % 7;
+  if (daysAhead === 0 && next.getTime() <= now) daysAhead = 7;
+  next.setDate(next.getDate() + daysAhead);
+  return next.getTime();
+}
+
+export function formatScheduleEntry(entry) {
+  return `${DAY_LABELS[entry.day] || "?"} ${entry.time} · ${entry.durationMinutes}m`;
+}
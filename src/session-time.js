@@ -0,0 +1,173 @@
+// ===== Focus Flow - Session Timing Helpers =====
+// Shared by popup, background and content scripts so paused time is
+// excluded consistently from durations, focus scores and Firestore sync.
+
+/**
+ * Total milliseconds the session has spent paused, including an
+ * ongoing pause that has not been resumed yet.
+ */
+export function getPausedMs(session, now = Date.now()) {
+  if (!session) return 0;
+
+  const intervals = Array.isArray(session.pausedIntervals) ? session.pausedIntervals : [];
+  let total = intervals.reduce((sum, interval) => {
+    if (!interval || !interval.start) return sum;
+    return sum + Math.max(0, (interval.end || now) - interval.start);
+  }, 0);
+
+  if (session.paused && session.pausedAt) {
+    total += Math.max(0, now - session.pausedAt);
+  }
+
+  return total;
+}
+
+/**
+ * Active (non-paused) session time in milliseconds.
+ */
+export function getActiveElapsed(session, now = Date.now()) {
+  if (!session || !session.startTime) return 0;
+  return Math.max(0, now - session.startTime - getPausedMs(session, now));
+}
+
+/**
+ * Return a copy of the session marked as paused from `now`.
+ */
+export function pauseSession(session, now = Date.now()) {
+  if (!session || session.paused) return session;
+  return {
+    ...session,
+    paused: true,
+    pausedAt: now,
+  };
+}
+
+/**
+ * Return a copy of the session with the current pause closed into
+ * `pausedIntervals`. An interval phase is pushed back by the paused time.
+ */
+export function resumeSession(session, now = Date.now()) {
+  if (!session || !session.paused) return session;
+  const intervals = Array.isArray(session.pausedIntervals) ? session.pausedIntervals : [];
+  const pausedFor = session.pausedAt ? Math.max(0, now - session.pausedAt) : 0;
+  return {
+    ...session,
+    paused: false,
+    pausedAt: null,
+    pausedIntervals: session.pausedAt
+      ? [...intervals, { start: session.pausedAt, end: now }]
+      : intervals,
+    interval: session.interval
+      ? { ...session.interval, phaseEndsAt: (session.interval.phaseEndsAt || now) + pausedFor }
+      : session.interval,
+  };
+}
+
+// ===== Interval (Pomodoro) Phases =====
+
+/**
+ * Build the initial interval state for a session starting at `now`.
+ * Sessions always open with a work phase.
+ */
+export function createIntervalState(workMinutes, breakMinutes, now = Date.now()) {
+  return {
+    workMinutes,
+    breakMinutes,
+    phase: "work",
+    phaseStartedAt: now,
+    phaseEndsAt: now + workMinutes * 60000,
+    cycles: [],
+  };
+}
+
+export function isOnBreak(session) {
+  return Boolean(session && session.interval && session.interval.phase === "break");
+}
+
+/**
+ * Milliseconds left in the current interval phase (frozen while paused).
+ */
+export function getPhaseRemainingMs(session, now = Date.now()) {
+  const interval = session && session.interval;
+  if (!interval || !interval.phaseEndsAt) return 0;
+  const reference = session.paused && session.pausedAt ? session.pausedAt : now;
+  return Math.max(0, interval.phaseEndsAt - reference);
+}
+
+/**
+ * Return a copy of the session moved to the next interval phase.
+ * A work -> break -> work round trip records one completed cycle.
+ */
+export function advanceIntervalPhase(session, now = Date.now()) {
+  const interval = session && session.interval;
+  if (!interval) return session;
+
+  if (interval.phase === "work") {
+    return {
+      ...session,
+      interval: {
+        ...interval,
+        phase: "break",
+        phaseStartedAt: now,
+        phaseEndsAt: now + interval.breakMinutes * 60000,
+      },
+    };
+  }
+
+  const cycle = {
+    index: interval.cycles.length + 1,
+    workMinutes: interval.workMinutes,
+    breakMinutes: interval.breakMinutes,
+    completedAt: now,
+  };
+
+  return {
+    ...session,
+    interval: {
+      ...interval,
+      phase: "work",
+      phaseStartedAt: now,
+      phaseEndsAt: now + interval.workMinutes * 60000,
+      cycles: [...interval.cycles, cycle],
+    },
+  };
+}
+
+// ===== Planned Duration + Goals =====
+
+/**
+ * Progress toward the planned duration, or null when none was set.
+ * `ratio` is capped at 1.
+ */
+export function getPlanProgress(session, now = Date.now()) {
+  const plannedMinutes = Number(session && session.plannedMinutes) || 0;
+  if (plannedMinutes <= 0) return null;
+
+  const plannedMs = plannedMinutes * 60000;
+  const elapsedMs = getActiveElapsed(session, now);
+  return {
+    plannedMs,
+    elapsedMs,
+    ratio: Math.min(1, elapsedMs / plannedMs),
+    reached: elapsedMs >= plannedMs,
+  };
+}
+
+/**
+ * Compare a finished session against its plan.
+ * `record` needs `plannedMinutes`, `goalScore`, `duration` and `focusScore`.
+ * Returns null when the session had neither a planned duration nor a score goal.
+ */
+export function evaluateSessionGoal(record) {
+  const plannedMinutes = Number(record && record.plannedMinutes) || 0;
+  const goalScore = Number(record && record.goalScore) || 0;
+  if (!plannedMinutes && !goalScore) return null;
+
+  const durationMet = plannedMinutes ? (record.duration || 0) >= plannedMinutes * 60000 : null;
+  const scoreMet = goalScore ? (record.focusScore || 0) >= goalScore : null;
+  return {
+    durationMet,
+    scoreMet,
+    met: durationMet !== false && scoreMet !== false,
+  };
+}
@@ -0,0 +1,58 @@
+// ===== Focus Flow - Per-Site Daily Budgets =====
+// A budget grants N minutes per day on a domain before interventions start.
+// Budgets live in chrome.storage.local under `siteBudgets` ({ domain: minutes });
+// today's usage under `siteBudgetUsage` ({ date, usedMs: { domain: ms } }).
+// Usage is written by background.js from its per-tab time accounting.
+
+export const SITE_BUDGETS_KEY = "siteBudgets";
+export const SITE_BUDGET_USAGE_KEY = "siteBudgetUsage";
+
+export function getTodayKey(now = Date.now()) {
+  const d = new Date(now);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+/**
+ * Budget domain covering a hostname (subdomains included), or null.
+ */
+export function findBudgetDomain(hostname, budgets = {}) {
+  const host = String(hostname || "").toLowerCase().replace(/^www\./, "");
+  if (!host) return null;
+  return (
+    Object.keys(budgets).find((domain) => host === domain || host.endsWith(`.${domain}`)) || null
+  );
+}
+
+/**
+ * Today's usage map, starting fresh when the stored usage is from another day.
+ */
+export function getTodayUsage(usage, now = Date.now()) {
+  if (!usage || usage.date !== getTodayKey(now)) return {};
+  return usage.usedMs || {};
+}
+
+/**
+ * Remaining budget for a hostname, or null when it has no budget.
+ */
+export function getBudgetStatus(hostname, budgets = {}, usage = null, now = Date.now()) {
+  const domain = findBudgetDomain(hostname, budgets);
+  if (!domain) return null;
+
+  const limitMs = Math.max(0, Number(budgets[domain]) || 0) * 60000;
+  const usedMs = getTodayUsage(usage, now)[domain] || 0;
+  return {
+    domain,
+    limitMs,
+    usedMs,
+    remainingMs: Math.max(0, limitMs - usedMs),
+  };
+}
+
+/**
+ * Return a new usage object with `ms` added to the domain for today.
+ */
+export function addBudgetUsage(usage, domain, ms, now = Date.now()) {
+  const usedMs = { ...getTodayUsage(usage, now) };
+  usedMs[domain] = (usedMs[domain] || 0) + Math.max(0, ms);
+  return { date: getTodayKey(now), usedMs };
+}
@@ -0,0 +1,225 @@
+// ===== Focus Flow - Allowed-Site Rules =====
+// One rule format shared by popup, background, content and the parsing
+// collector. Rules are stored as plain strings in `session.allowedSites`:
+//
+//   youtube.com                    hostname (and any subdomain)
+//   reddit.com/r/learnprogramming  hostname + URL path prefix
+//   *.mit.edu / github.com/*/docs  wildcard pattern ("*" matches anything
+//                                  within the host, or within the path)
+//   !youtube.com/shorts            deny rule — overrides every allow rule
+//
+// Plain-domain entries from older sessions are valid hostname rules.
+//
+// Sessions run in one of two site modes. Allowlist (the default) blocks
+// everything not allowed by `allowedSites`. Blocklist allows everything
+// except `blockedSites` and the built-in entertainment/social categories;
+// allow rules still act as exceptions there, so "allow this site" works
+// in both modes. Deny rules in `allowedSites` block in both modes too:
+// "!youtube.com/shorts" blocks Shorts even on a blocklist session that
+// doesn't block youtube.com.
+//
+// `session.temporaryAllows` holds time-limited exceptions
+// ({ site, until, reason, source }); each acts as an allow rule until `until`.
+// Every grant is also logged to `session.exceptions`, which outlives expiry
+// and goes into the session's history record.
+
+import { ENTERTAINMENT_DOMAINS, SOCIAL_DOMAINS } from "./parsing/config.js";
+
+export const SITE_MODE = {
+  ALLOWLIST: "allowlist",
+  BLOCKLIST: "blocklist",
+};
+
+// Unlock lengths offered on the shame screen
+export const TEMPORARY_UNLOCK_MINUTES = [5, 15, 30];
+
+export const RULE_TYPE = {
+  HOST: "host",
+  PATH: "path",
+  PATTERN: "pattern",
+};
+
+function stripWww(hostname) {
+  return hostname.replace(/^www\./, "");
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Clean user input into canonical rule text: lowercase, no protocol,
+ * no "www.", no port, query or trailing slash. Keeps a leading "!".
+ * Matching is case-insensitive, paths included.
+ */
+export function normalizeSiteRule(input) {
+  let raw = String(input || "").trim().toLowerCase();
+  const deny = raw.startsWith("!");
+  if (deny) raw = raw.slice(1).trim();
+
+  raw = raw.replace(/^https?:\/\//, "");
+  raw = raw.replace(/[?#].*$/, "");
+
+  const slash = raw.indexOf("/");
+  let host = slash === -1 ? raw : raw.slice(0, slash);
+  let path = slash === -1 ? "" : raw.slice(slash);
+
+  host = stripWww(host).replace(/:\d+$/, "");
+  path = path.replace(/\/+$/, "");
+
+  return `${deny ? "!" : ""}${host}${path}`;
+}
+
+/**
+ * Parse rule text into a matcher description.
+ * Returns null for rules that can't be parsed.
+ */
+export function parseSiteRule(rule) {
+  const text = normalizeSiteRule(rule);
+  const deny = text.startsWith("!");
+  const body = deny ? text.slice(1) : text;
+  if (!body) return null;
+
+  const slash = body.indexOf("/");
+  const host = slash === -1 ? body : body.slice(0, slash);
+  const path = slash === -1 ? "" : body.slice(slash);
+  if (!host) return null;
+
+  if (body.includes("*")) {
+    // Host-only patterns match the whole hostname; patterns with a path
+    // match host + path up to a segment boundary (a prefix, like path
+    // rules), so "github.com/*/docs" matches /x/docs/y but not /x/docsxyz.
+    // "*" never crosses from the host into the path.
+    const hostSource = escapeRegex(host).replace(/\*/g, "[^/]*");
+    const pathSource = escapeRegex(path).replace(/\*/g, ".*");
+    return {
+      rule: text,
+      deny,
+      type: RULE_TYPE.PATTERN,
+      host,
+      path,
+      regex: new RegExp(path ? `^${hostSource}${pathSource}(?:/|$)` : `^${hostSource}$`),
+    };
+  }
+
+  return {
+    rule: text,
+    deny,
+    type: path ? RULE_TYPE.PATH : RULE_TYPE.HOST,
+    host,
+    path,
+  };
+}
+
+export function isValidSiteRule(rule) {
+  const parsed = parseSiteRule(rule);
+  if (!parsed) return false;
+
+  if (/\s/.test(parsed.path)) return false;
+
+  if (parsed.type === RULE_TYPE.PATTERN) {
+    // "*", "*.*" or "*.com" would match whole swaths of the web: keep at
+    // least two concrete labels
+    const labels = parsed.host.split(".");
+    return (
+      /^[a-z0-9*]([a-z0-9*.-]*[a-z0-9*])?$/.test(parsed.host) &&
+      labels.every(Boolean) &&
+      labels.filter((label) => !label.includes("*")).length >= 2
+    );
+  }
+
+  // A host needs a dot ("com" alone would allow every .com site);
+  // "localhost" is the only single-label exception
+  if (parsed.host === "localhost") return true;
+  const hostPattern = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/;
+  return parsed.host.length >= 3 && hostPattern.test(parsed.host);
+}
+
+function splitUrl(url) {
+  try {
+    const u = new URL(url);
+    return { host: stripWww(u.hostname.toLowerCase()), path: u.pathname || "/" };
+  } catch {
+    // Bare hostnames (e.g. "docs.python.org") are treated as the site root
+    const host = stripWww(String(url || "").toLowerCase());
+    return { host, path: "/" };
+  }
+}
+
+function matchesHost(host, ruleHost) {
+  return host === ruleHost || host.endsWith(`.${ruleHost}`);
+}
+
+function matchesPathPrefix(path, prefix) {
+  const p = path.toLowerCase();
+  return p === prefix || p.startsWith(`${prefix}/`);
+}
+
+function ruleMatches(parsed, host, path) {
+  if (parsed.type === RULE_TYPE.PATTERN) {
+    return parsed.regex.test(parsed.path ? `${host}${path.toLowerCase()}` : host);
+  }
+  if (!matchesHost(host, parsed.host)) return false;
+  return parsed.type === RULE_TYPE.HOST || matchesPathPrefix(path, parsed.path);
+}
+
+/**
+ * Check a URL (or bare hostname) against a list of rules.
+ * Deny rules win over allow rules; with no matching allow rule the URL is not allowed.
+ */
+export function isUrlAllowed(url, rules = []) {
+  const { host, path } = splitUrl(url);
+  if (!host) return false;
+
+  const parsedRules = rules.map(parseSiteRule).filter(Boolean);
+  if (parsedRules.some((r) => r.deny && ruleMatches(r, host, path))) return false;
+  return parsedRules.some((r) => !r.deny && ruleMatches(r, host, path));
+}
+
+// ===== Session Site Modes =====
+
+export function getSiteMode(session) {
+  return session && session.siteMode === SITE_MODE.BLOCKLIST ? SITE_MODE.BLOCKLIST : SITE_MODE.ALLOWLIST;
+}
+
+function matchesAnyRule(url, rules) {
+  const { host, path } = splitUrl(url);
+  if (!host) return false;
+  return rules
+    .map(parseSiteRule)
+    .filter(Boolean)
+    .some((r) => ruleMatches(r, host, path));
+}
+
+/**
+ * Temporary exceptions that have not expired yet.
+ */
+export function getActiveTemporaryAllows(session, now = Date.now()) {
+  return ((session && session.temporaryAllows) || []).filter((entry) => entry.until > now);
+}
+
+/**
+ * Whether a URL is allowed under the session's site mode.
+ * `session` only needs `siteMode`, `allowedSites`, `blockedSites` and
+ * `temporaryAllows`.
+ */
+export function isUrlAllowedForSession(url, session) {
+  const allowedSites = [
+    ...((session && session.allowedSites) || []),
+    ...getActiveTemporaryAllows(session).map((entry) => entry.site),
+  ];
+  if (getSiteMode(session) === SITE_MODE.ALLOWLIST) {
+    return isUrlAllowed(url, allowedSites);
+  }
+
+  const denyRules = allowedSites.filter((rule) => normalizeSiteRule(rule).startsWith("!"));
+  if (matchesAnyRule(url, denyRules)) return false;
+  if (isUrlAllowed(url, allowedSites)) return true;
+
+  const blocked = [
+    ...((session && session.blockedSites) || []).map((rule) => rule.replace(/^!/, "")),
+    ...ENTERTAINMENT_DOMAINS,
+    ...SOCIAL_DOMAINS,
+  ];
+  return !matchesAnyRule(url, blocked);
+}
@@ -16,6 +16,7 @@ import {
   limit,
   getDocs,
   serverTimestamp,
+  writeBatch,
 } from "firebase/firestore";
 
 // ===== User Profile =====
@@ -65,6 +66,14 @@ export async function saveSessionToCloud(sessionData) {
   await addDoc(collection(db, "users", user.uid, "sessions"), {
     topic: sessionData.topic,
     duration: sessionData.duration,
+    pausedTime: sessionData.pausedTime || 0,
+    interval: sessionData.interval || null,
+    cycles: sessionData.cycles || [],
+    plannedMinutes: sessionData.plannedMinutes || null,
+    goalScore: sessionData.goalScore || null,
+    goalMet: sessionData.goalMet != null ? sessionData.goalMet : null,
+    templateId: sessionData.templateId || null,
+    templateName: sessionData.templateName || null,
     startTime: sessionData.startTime,
     endTime: sessionData.endTime,
     focusScore: sessionData.focusScore,
@@ -72,6 +81,7 @@ export async function saveSessionToCloud(sessionData) {
     distractionTime: sessionData.distractionTime,
     distractingSites: sessionData.distractingSites || {},
     choices: sessionData.choices || { angel: 0, devil: 0 },
+    exceptions: sessionData.exceptions || [],
     createdAt: serverTimestamp(),
   });
 }
@@ -122,6 +132,14 @@ function normalizeSessionDoc(docSnap) {
     id: docSnap.id,
     topic: data.topic || "",
     duration: data.duration || 0,
+    pausedTime: data.pausedTime || 0,
+    interval: data.interval || null,
+    cycles: data.cycles || [],
+    plannedMinutes: data.plannedMinutes || null,
+    goalScore: data.goalScore || null,
+    goalMet: data.goalMet != null ? data.goalMet : null,
+    templateId: data.templateId || null,
+    templateName: data.templateName || null,
     startTime: toMillis(data.startTime),
     endTime: toMillis(data.endTime),
     focusScore: data.focusScore != null ? data.focusScore : 100,
@@ -129,7 +147,10 @@ function normalizeSessionDoc(docSnap) {
     distractionTime: data.distractionTime || 0,
     distractingSites: data.distractingSites || {},
     choices: data.choices || { angel: 0, devil: 0 },
+    exceptions: data.exceptions || [],
     allowedSites: data.allowedSites || [],
+    siteMode: data.siteMode || "allowlist",
+    blockedSites: data.blockedSites || [],
     createdAt: toMillis(data.createdAt),
   };
 }
@@ -167,9 +188,19 @@ export async function createActiveSession(sessionData) {
     {
       topic: sessionData.topic || "",
       allowedSites: sessionData.allowedSites || [],
+      siteMode: sessionData.siteMode || "allowlist",
+      blockedSites: sessionData.blockedSites || [],
       startTime: sessionData.startTime,
       endTime: null,
       duration: 0,
+      paused: false,
+      pausedAt: null,
+      pausedIntervals: [],
+      interval: sessionData.interval || null,
+      plannedMinutes: sessionData.plannedMinutes || null,
+      goalScore: sessionData.goalScore || null,
+      templateId: sessionData.templateId || null,
+      templateName: sessionData.templateName || null,
       focusScore: 100,
       distractions: 0,
       distractionTime: 0,
@@ -191,7 +222,9 @@ export async function createActiveSession(sessionData) {
 
 /**
  * Update an active session's stats in Firestore.
- * Called periodically (every 2 minutes) during a session.
+ * Called periodically (every 2 minutes) during a session, on pause/resume
+ * and on each interval phase change.
+ * `duration` is active time only — paused intervals are excluded by the caller.
  */
 export async function updateActiveSession(sessionId, updates) {
   const user = getCurrentUser();
@@ -199,10 +232,15 @@ export async function updateActiveSession(sessionId, updates) {
 
   await updateDoc(doc(db, "users", user.uid, "sessions", sessionId), {
     duration: updates.duration || 0,
+    paused: Boolean(updates.paused),
+    pausedAt: updates.pausedAt || null,
+    pausedIntervals: updates.pausedIntervals || [],
+    interval: updates.interval || null,
     distractions: updates.distractions || 0,
     distractionTime: updates.distractionTime || 0,
     distractingSites: updates.distractingSites || {},
     choices: updates.choices || { angel: 0, devil: 0 },
+    exceptions: updates.exceptions || [],
     focusScore: updates.focusScore != null ? updates.focusScore : 100,
   });
 }
@@ -218,6 +256,16 @@ export async function endActiveSession(sessionId, finalData) {
   await updateDoc(doc(db, "users", user.uid, "sessions", sessionId), {
     topic: finalData.topic || "",
     duration: finalData.duration || 0,
+    pausedTime: finalData.pausedTime || 0,
+    paused: false,
+    pausedAt: null,
+    interval: finalData.interval || null,
+    cycles: finalData.cycles || [],
+    plannedMinutes: finalData.plannedMinutes || null,
+    goalScore: finalData.goalScore || null,
+    goalMet: finalData.goalMet != null ? finalData.goalMet : null,
+    templateId: finalData.templateId || null,
+    templateName: finalData.templateName || null,
     startTime: finalData.startTime,
     endTime: finalData.endTime || Date.now(),
     focusScore: finalData.focusScore != null ? finalData.focusScore : 100,
@@ -225,6 +273,7 @@ export async function endActiveSession(sessionId, finalData) {
     distractionTime: finalData.distractionTime || 0,
     distractingSites: finalData.distractingSites || {},
     choices: finalData.choices || { angel: 0, devil: 0 },
+    exceptions: finalData.exceptions || [],
   });
 
   // Clear currentSessionId on user document
@@ -306,3 +355,119 @@ export function isSessionStale(startTime) {
   const ageMs = Date.now() - startTime;
   return ageMs > STALE_SESSION_HOURS * 60 * 60 * 1000;
 }
+
+// ===== Weekly Schedule =====
+
+/**
+ * Save the weekly session schedule on the user document.
+ */
+export async function saveScheduleToCloud(entries) {
+  const user = getCurrentUser();
+  if (!user) return;
+
+  await setDoc(
+    doc(db, "users", user.uid),
+    { schedule: entries || [], scheduleUpdatedAt: serverTimestamp() },
+    { merge: true }
+  );
+}
+
+/**
+ * Load the weekly schedule from the user document.
+ * Returns null when no schedule has been saved yet.
+ */
+export async function loadScheduleFromCloud() {
+  const user = getCurrentUser();
+  if (!user) return null;
+
+  const snap = await getDoc(doc(db, "users", user.uid));
+  if (!snap.exists()) return null;
+
+  const schedule = snap.data().schedule;
+  return Array.isArray(schedule) ? schedule : null;
+}
+
+// ===== Session Templates =====
+
+/**
+ * Save the user's session templates on the user document.
+ */
+export async function saveTemplatesToCloud(templates) {
+  const user = getCurrentUser();
+  if (!user) return;
+
+  await setDoc(
+    doc(db, "users", user.uid),
+    { templates: templates || [], templatesUpdatedAt: serverTimestamp() },
+    { merge: true }
+  );
+}
+
+/**
+ * Load session templates from the user document.
+ * Returns null when no templates have been saved yet.
+ */
+export async function loadTemplatesFromCloud() {
+  const user = getCurrentUser();
+  if (!user) return null;
+
+  const snap = await getDoc(doc(db, "users", user.uid));
+  if (!snap.exists()) return null;
+
+  const templates = snap.data().templates;
+  return Array.isArray(templates) ? templates : null;
+}
+
+// ===== Flashcard Deck =====
+
+/**
+ * Save one deck card under users/{uid}/flashcards/{cardId}.
+ * Cards are stored individually so the deck can grow past the
+ * user document size limit.
+ */
+export async function saveFlashcardToCloud(card) {
+  const user = getCurrentUser();
+  if (!user) return;
+
+  await setDoc(doc(db, "users", user.uid, "flashcards", card.id), {
+    ...card,
+    syncedAt: serverTimestamp(),
+  });
+}
+
+/**
+ * Save many deck cards at once (imports, offline reviews).
+ * Firestore batches cap at 500 writes, so large sets are split.
+ */
+export async function saveFlashcardsToCloud(cards) {
+  const user = getCurrentUser();
+  if (!user || !cards.length) return;
+
+  for (let i = 0; i < cards.length; i += 400) {
+    const batch = writeBatch(db);
+    cards.slice(i, i + 400).forEach((card) => {
+      batch.set(doc(db, "users", user.uid, "flashcards", card.id), {
+        ...card,
+        syncedAt: serverTimestamp(),
+      });
+    });
+    await batch.commit();
+  }
+}
+
+/**
+ * Load every card in the user's deck.
+ * Returns null when not signed in.
+ */
+export async function loadFlashcardDeckFromCloud() {
+  const user = getCurrentUser();
+  if (!user) return null;
+
+  const snap = await getDocs(collection(db, "users", user.uid, "flashcards"));
+  return {
+    cards: snap.docs.map((d) => {
+      const { syncedAt, ...card } = d.data();
+      return { ...card, id: d.id };
+    }),
+  };
+}
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createDeckCard, getNextImportedCard, reviewCard } from "../src/flashcard-deck.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 1);
+const flashcard = { question: "2 + 2?", options: ["3", "4"], answer: "4" };
+
+test("a new card is scheduled on its first answer", () => {
+  const card = createDeckCard(flashcard, "math", NOW, { source: "import" });
+  const reviewed = reviewCard(card, 5, NOW);
+  assert.equal(reviewed.intervalDays, 1);
+  assert.equal(reviewed.dueAt, NOW + DAY_MS);
+  assert.equal(reviewed.reviewCount, 1);
+});
+
+test("studying an imported card ahead of schedule keeps its interval", () => {
+  let card = reviewCard(createDeckCard(flashcard, "math", NOW, { source: "import" }), 5, NOW);
+  const deck = { cards: [card] };
+  assert.equal(getNextImportedCard(deck, { topic: "math" })?.id, card.id);
+
+  for (let minute = 1; minute <= 3; minute++) {
+    card = reviewCard(card, 5, NOW + minute * 60 * 1000);
+  }
+  assert.equal(card.intervalDays, 1);
+  assert.equal(card.repetitions, 1);
+  assert.equal(card.dueAt, NOW + DAY_MS);
+  assert.equal(card.lastReviewedAt, NOW + 3 * 60 * 1000);
+});
+
+test("a card answered once due is rescheduled", () => {
+  const card = reviewCard(createDeckCard(flashcard, "math", NOW), 5, NOW);
+  const reviewed = reviewCard(card, 5, card.dueAt);
+  assert.equal(reviewed.intervalDays, 6);
+  assert.equal(reviewed.reviewCount, 2);
+});